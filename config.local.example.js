@@ -1,4 +1,5 @@
-// PhysChat Local Configuration
+// PhysChat Test Page Configuration
+// Read only by the standalone test page (test.html) - the extension is configured on its options page
 // Copy this file to config.local.js and fill in your values
 // config.local.js is gitignored and will not be committed
 
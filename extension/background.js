@@ -1,19 +1,278 @@
 // PhysChat Background Service Worker
-// Handles authentication callbacks and manages extension state
+// Handles sign-in and token renewal and manages extension state
 
-// Try to load config.local.js (gitignored)
-try {
-  importScripts('config.local.js');
-} catch (e) {
-  // config.local.js not found - using defaults
+// Settings from the options page - loaded where they are used, so changes apply straight away
+importScripts('settings.js');
+
+// The sidebar keeps per-session choices (its AI mode) in session storage, which content
+// scripts can only use once it is opened up to them
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+
+// Renew the access token this long before its JWT exp claim passes
+const TOKEN_REFRESH_MARGIN_SECONDS = 120;
+const TOKEN_REFRESH_ALARM = 'physchat-token-refresh';
+
+// In-flight refresh, shared so concurrent callers don't redeem the refresh token twice
+let refreshInFlight = null;
+
+// Read the exp claim (seconds) from a JWT access token, or null if it isn't a JWT
+function getTokenExpiry(token) {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=')));
+    return typeof claims.exp === 'number' ? claims.exp : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Schedule a silent renewal shortly before the token expires
+function scheduleTokenRefresh(token) {
+  chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+  const exp = token ? getTokenExpiry(token) : null;
+  if (!exp) return;
+
+  const when = Math.max((exp - TOKEN_REFRESH_MARGIN_SECONDS) * 1000, Date.now() + 1000);
+  chrome.alarms.create(TOKEN_REFRESH_ALARM, { when: when });
+}
+
+// Exchange the stored (worker-sealed) refresh token for a new access token
+// Resolves to the new access token, or null if the session can't be renewed
+function refreshAccessToken() {
+  if (refreshInFlight) return refreshInFlight;
+
+  refreshInFlight = (async () => {
+    const { physchat_refresh: refreshToken } = await chrome.storage.local.get(['physchat_refresh']);
+    const { workerUrl } = await PhysChatSettings.load();
+    if (!refreshToken || !workerUrl) return null;
+
+    try {
+      const response = await fetch(`${workerUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        // Refresh token revoked or expired - the user has to sign in again
+        if (response.status === 401) {
+          await chrome.storage.local.remove(['physchat_refresh']);
+        }
+        return null;
+      }
+
+      const data = await response.json();
+      const update = { physchat_token: data.token };
+      if (data.refreshToken) {
+        update.physchat_refresh = data.refreshToken;
+      }
+      await chrome.storage.local.set(update);
+      return data.token;
+    } catch (e) {
+      console.error('PhysChat token refresh failed:', e);
+      return null;
+    }
+  })();
+
+  refreshInFlight.finally(() => {
+    refreshInFlight = null;
+  });
+
+  return refreshInFlight;
 }
 
-// Configuration - uses config.local.js if present, otherwise placeholder
-const CONFIG = {
-  workerUrl: (typeof PHYSCHAT_CONFIG !== 'undefined' && PHYSCHAT_CONFIG.workerUrl)
-    ? PHYSCHAT_CONFIG.workerUrl
-    : 'https://YOUR_WORKER_NAME.YOUR_SUBDOMAIN.workers.dev'
-};
+// Sign in through the worker in a chrome.identity window - the worker's callback redirects to this
+// extension's chromiumapp.org URL with the tokens in the fragment. Works from the side panel, the
+// injected sidebar and the popup alike; every sidebar picks the new token up from storage
+async function signIn() {
+  const { workerUrl } = await PhysChatSettings.load();
+  if (!workerUrl) {
+    chrome.runtime.openOptionsPage();
+    return { success: false };
+  }
+
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({
+      url: `${workerUrl}/auth?redirect_uri=${encodeURIComponent(chrome.identity.getRedirectURL())}`,
+      interactive: true
+    });
+  } catch (e) {
+    // Window closed, or the worker showed an error page and the user closed that
+    console.warn('PhysChat sign-in did not complete:', e.message);
+    return { success: false };
+  }
+
+  const params = new URLSearchParams(new URL(responseUrl).hash.substring(1));
+  const token = params.get('token');
+  if (!token) {
+    return { success: false };
+  }
+  const update = { physchat_token: token };
+  if (params.get('refresh_token')) {
+    update.physchat_refresh = params.get('refresh_token');
+  }
+  await chrome.storage.local.set(update);
+  return { success: true };
+}
+
+// ----- Watched searches -----
+// Saved queries re-run through /search on a schedule; papers not seen before are counted on the action badge
+
+const WATCHES_KEY = 'physchat_watches';
+const WATCH_CHECK_ALARM = 'physchat-watch-check';
+const WATCH_CHECK_INTERVAL_MINUTES = 6 * 60;
+const WATCH_RESULT_LIMIT = 25;
+const WATCH_MAX_SEEN = 500; // DOIs remembered per watch
+const WATCH_MAX_NEW = 50; // unread papers kept per watch
+
+async function getWatches() {
+  const stored = await chrome.storage.local.get([WATCHES_KEY]);
+  return stored[WATCHES_KEY] || [];
+}
+
+async function saveWatches(watches) {
+  await chrome.storage.local.set({ [WATCHES_KEY]: watches });
+  await updateWatchBadge(watches);
+}
+
+// Badge shows how many new papers the watched searches have turned up
+async function updateWatchBadge(watches) {
+  const count = watches.reduce((n, w) => n + (w.newPapers || []).length, 0);
+  await chrome.action.setBadgeBackgroundColor({ color: '#0077b6' });
+  await chrome.action.setBadgeText({ text: count > 0 ? (count > 99 ? '99+' : String(count)) : '' });
+}
+
+// Poll only while something is watched
+async function scheduleWatchChecks(watches) {
+  const existing = await chrome.alarms.get(WATCH_CHECK_ALARM);
+  if (watches.length === 0) {
+    if (existing) await chrome.alarms.clear(WATCH_CHECK_ALARM);
+  } else if (!existing) {
+    chrome.alarms.create(WATCH_CHECK_ALARM, { periodInMinutes: WATCH_CHECK_INTERVAL_MINUTES });
+  }
+}
+
+// Run a watched query through /search, renewing the token once on 401
+// Resolves to the result list; throws if the user is signed out or the search fails
+async function runWatchedSearch(watch) {
+  const { workerUrl } = await PhysChatSettings.load();
+  if (!workerUrl) throw new Error('No worker URL set in the options');
+
+  const send = (token) => fetch(`${workerUrl}/search`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ query: watch.query, sort: watch.sort, limit: WATCH_RESULT_LIMIT, noCache: true })
+  });
+
+  const { physchat_token: token } = await chrome.storage.local.get(['physchat_token']);
+  if (!token) throw new Error('Not signed in');
+
+  let response = await send(token);
+  if (response.status === 401) {
+    const renewed = await refreshAccessToken();
+    if (!renewed) throw new Error('Not signed in');
+    response = await send(renewed);
+  }
+  if (!response.ok) {
+    throw new Error(`Search failed (${response.status})`);
+  }
+
+  const data = await response.json();
+  return data.results || [];
+}
+
+function watchPaperKey(paper) {
+  return (paper.doi || paper.url || '').toLowerCase();
+}
+
+// Re-run every watched search and collect the papers that weren't there last time
+async function checkWatchedSearches() {
+  const watches = await getWatches();
+  if (watches.length === 0) return watches;
+
+  for (const watch of watches) {
+    try {
+      const results = await runWatchedSearch(watch);
+      const seen = new Set(watch.seenDois);
+      const fresh = results.filter(p => watchPaperKey(p) && !seen.has(watchPaperKey(p)));
+
+      watch.newPapers = fresh.map(p => ({
+        doi: p.doi || '',
+        url: p.url || `https://doi.org/${p.doi}`,
+        title: (p.title || 'Untitled').replace(/<[^>]+>/g, '').substring(0, 200),
+        journal: p.journal || '',
+        date: p.date || '',
+        foundAt: Date.now()
+      })).concat(watch.newPapers || []).slice(0, WATCH_MAX_NEW);
+      watch.seenDois = [...fresh.map(watchPaperKey), ...watch.seenDois].slice(0, WATCH_MAX_SEEN);
+      watch.lastChecked = Date.now();
+      watch.lastError = null;
+    } catch (e) {
+      console.error('PhysChat watched search failed:', watch.query, e.message);
+      watch.lastError = e.message;
+      if (e.message === 'Not signed in') break;
+    }
+  }
+
+  // Watches may have been added or removed while we were searching - merge by id
+  const latest = await getWatches();
+  const checked = new Map(watches.map(w => [w.id, w]));
+  const merged = latest.map(w => checked.get(w.id) || w);
+  await saveWatches(merged);
+  return merged;
+}
+
+// Start watching a query - the first run only records what is already there
+async function addWatch(query, sort) {
+  const watches = await getWatches();
+  const existing = watches.find(w => w.query.toLowerCase() === query.toLowerCase() && w.sort === sort);
+  if (existing) return existing;
+
+  const watch = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+    query: query,
+    sort: sort,
+    createdAt: Date.now(),
+    lastChecked: null,
+    lastError: null,
+    seenDois: [],
+    newPapers: []
+  };
+
+  try {
+    const results = await runWatchedSearch(watch);
+    watch.seenDois = results.map(watchPaperKey).filter(Boolean).slice(0, WATCH_MAX_SEEN);
+    watch.lastChecked = Date.now();
+  } catch (e) {
+    watch.lastError = e.message;
+  }
+
+  const latest = await getWatches();
+  latest.push(watch);
+  await saveWatches(latest);
+  await scheduleWatchChecks(latest);
+  return watch;
+}
+
+async function removeWatch(id) {
+  const watches = (await getWatches()).filter(w => w.id !== id);
+  await saveWatches(watches);
+  await scheduleWatchChecks(watches);
+  return watches;
+}
+
+async function markWatchSeen(id) {
+  const watches = await getWatches();
+  for (const watch of watches) {
+    if (!id || watch.id === id) watch.newPapers = [];
+  }
+  await saveWatches(watches);
+  return watches;
+}
 
 // Listen for messages from content script or popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -25,50 +284,210 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.type === 'LOGOUT') {
-    chrome.storage.local.remove(['physchat_token'], () => {
+    chrome.storage.local.remove(['physchat_token', 'physchat_refresh'], () => {
       sendResponse({ success: true });
     });
     return true;
   }
 
-  if (request.type === 'SAVE_TOKEN') {
-    chrome.storage.local.set({ physchat_token: request.token }, () => {
-      sendResponse({ success: true });
+  if (request.type === 'SIGN_IN') {
+    signIn().then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'REFRESH_TOKEN') {
+    refreshAccessToken().then((token) => {
+      sendResponse({ success: !!token, token: token });
+    });
+    return true;
+  }
+
+  if (request.type === 'GET_WATCHES') {
+    getWatches().then((watches) => sendResponse({ watches }));
+    return true;
+  }
+
+  if (request.type === 'WATCH_SEARCH') {
+    addWatch(request.query, request.sort || 'relevance').then((watch) => sendResponse({ watch }));
+    return true;
+  }
+
+  if (request.type === 'UNWATCH_SEARCH') {
+    removeWatch(request.id).then((watches) => sendResponse({ watches }));
+    return true;
+  }
+
+  if (request.type === 'MARK_WATCH_SEEN') {
+    markWatchSeen(request.id).then((watches) => sendResponse({ watches }));
+    return true;
+  }
+
+  if (request.type === 'CHECK_WATCHES') {
+    checkWatchedSearches().then((watches) => sendResponse({ watches }));
+    return true;
+  }
+
+  if (request.type === 'OPEN_OPTIONS') {
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+
+  if (request.type === 'GET_SIDEBAR_MODE') {
+    // Read fresh - the cached mode may not have loaded yet in a just-started service worker
+    chrome.storage.local.get([SIDEBAR_MODE_KEY], (result) => {
+      sendResponse({ mode: usesSidePanel(result[SIDEBAR_MODE_KEY]) ? 'panel' : 'page' });
+    });
+    return true;
+  }
+
+  if (request.type === 'GET_COMMANDS') {
+    chrome.commands.getAll((commands) => {
+      sendResponse({ commands: commands.filter(c => c.name !== '_execute_action') });
     });
     return true;
   }
 });
 
-// Handle OAuth callback URL
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.url && changeInfo.url.includes('/auth/callback')) {
-    // Extract token from callback URL
-    const url = new URL(changeInfo.url);
-    const token = url.searchParams.get('token');
-
-    if (token) {
-      // Save token
-      chrome.storage.local.set({ physchat_token: token }, () => {
-        // Close the auth popup/tab
-        chrome.tabs.remove(tabId);
-
-        // Notify all journals.aps.org tabs
-        chrome.tabs.query({ url: 'https://journals.aps.org/*' }, (tabs) => {
-          tabs.forEach((tab) => {
-            chrome.tabs.sendMessage(tab.id, {
-              type: 'AUTH_SUCCESS',
-              token: token
-            }).catch(() => {
-              // Tab might not have content script loaded yet
-            });
-          });
-        });
-      });
-    }
+// ----- Side panel -----
+// PhysChat lives in Chrome's side panel (sidepanel.html) on any site; the sidebar injected into
+// APS pages remains for users who prefer it, or browsers without the side panel API
+
+const SIDEBAR_MODE_KEY = 'physchat_sidebar_mode'; // 'page' for the injected sidebar
+
+// Cached because sidePanel.open() has to be called before anything is awaited, while the
+// shortcut or menu click still counts as a user gesture
+let sidebarMode = 'panel';
+
+const panelPorts = new Map(); // windowId -> port of the side panel open in that window
+const pendingPanelMessages = new Map(); // windowId -> message for a panel that is still loading
+
+function usesSidePanel(mode = sidebarMode) {
+  return !!chrome.sidePanel && mode !== 'page';
+}
+
+// Side panel only when it is the chosen mode, so the injected sidebar isn't doubled up
+async function applySidebarMode() {
+  const stored = await chrome.storage.local.get([SIDEBAR_MODE_KEY]);
+  sidebarMode = stored[SIDEBAR_MODE_KEY] || 'panel';
+  if (chrome.sidePanel) {
+    await chrome.sidePanel.setOptions({ path: 'sidepanel.html', enabled: usesSidePanel() });
+  }
+  createSelectionMenus();
+}
+
+applySidebarMode();
+
+chrome.runtime.onConnect.addListener((port) => {
+  const match = port.name.match(/^physchat-panel:(\d+)$/);
+  if (!match) return;
+
+  const windowId = Number(match[1]);
+  panelPorts.set(windowId, port);
+  port.onDisconnect.addListener(() => {
+    if (panelPorts.get(windowId) === port) panelPorts.delete(windowId);
+  });
+  if (pendingPanelMessages.has(windowId)) {
+    port.postMessage(pendingPanelMessages.get(windowId));
+    pendingPanelMessages.delete(windowId);
   }
 });
 
-// Set up context menu for quick access (optional)
-chrome.runtime.onInstalled.addListener(() => {
+// Hand a command or search to PhysChat in the tab's window - the side panel, opened if needed
+// (deliverOnOpen: false when opening is all there is to do), or the sidebar injected into the tab
+function sendToSidebar(tab, message, deliverOnOpen = true) {
+  if (!usesSidePanel()) {
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {
+      // Not an APS page, or it was open before the extension loaded - there is no sidebar to act on
+    });
+    return;
+  }
+
+  const port = panelPorts.get(tab.windowId);
+  if (port) {
+    port.postMessage(message);
+    return;
+  }
+  if (deliverOnOpen) {
+    pendingPanelMessages.set(tab.windowId, message);
+  }
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch((e) => {
+    pendingPanelMessages.delete(tab.windowId);
+    console.error('PhysChat could not open the side panel:', e.message);
+  });
+}
+
+// ----- Context menu -----
+// Right-click on selected text searches for it in PhysChat - on any page with the side panel,
+// only on APS pages with the injected sidebar
+
+const SELECTION_MENU_SEARCH = 'physchat-search-selection';
+const SELECTION_MENU_EXPLAIN = 'physchat-explain-selection';
+
+function createSelectionMenus() {
+  chrome.contextMenus.removeAll(() => {
+    const common = usesSidePanel()
+      ? { contexts: ['selection'] }
+      : { contexts: ['selection'], documentUrlPatterns: ['https://journals.aps.org/*'] };
+    chrome.contextMenus.create({ ...common, id: SELECTION_MENU_SEARCH, title: 'Search PhysChat for "%s"' });
+    chrome.contextMenus.create({ ...common, id: SELECTION_MENU_EXPLAIN, title: 'Explain "%s" in APS literature' });
+  });
+}
+
+// The sidebar opens if it is collapsed (or the side panel if it is closed) and runs the search there
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !tab.id || !info.selectionText) return;
+  if (info.menuItemId !== SELECTION_MENU_SEARCH && info.menuItemId !== SELECTION_MENU_EXPLAIN) return;
+
+  sendToSidebar(tab, {
+    type: 'SEARCH_SELECTION',
+    text: info.selectionText,
+    explain: info.menuItemId === SELECTION_MENU_EXPLAIN
+  });
+});
+
+// Browser shortcuts from the manifest's commands - a closed side panel just opens for "toggle"
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || !tab.id) return;
+  sendToSidebar(tab, { type: 'COMMAND', command: command }, command !== 'toggle-sidebar');
+});
+
+// Keep the renewal alarm in step with whichever token is stored
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.physchat_token) {
+    scheduleTokenRefresh(changes.physchat_token.newValue);
+  }
+  if (namespace === 'local' && changes[SIDEBAR_MODE_KEY]) {
+    applySidebarMode();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TOKEN_REFRESH_ALARM) {
+    refreshAccessToken();
+  } else if (alarm.name === WATCH_CHECK_ALARM) {
+    checkWatchedSearches();
+  }
+});
+
+// Service workers are restarted often - re-arm the alarms and badge from storage on startup
+chrome.runtime.onStartup.addListener(() => {
+  chrome.storage.local.get(['physchat_token'], (result) => {
+    scheduleTokenRefresh(result.physchat_token);
+  });
+  getWatches().then((watches) => {
+    scheduleWatchChecks(watches);
+    updateWatchBadge(watches);
+  });
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
   console.log('PhysChat extension installed');
+  // Nothing works until the worker URL is set
+  if (details.reason === 'install') {
+    chrome.runtime.openOptionsPage();
+  }
+  getWatches().then((watches) => {
+    scheduleWatchChecks(watches);
+    updateWatchBadge(watches);
+  });
 });
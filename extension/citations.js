@@ -0,0 +1,308 @@
+// PhysChat Citation Export
+// Formats search results as BibTeX, RIS and CSL-JSON
+// Loaded as a plain script by both the content script and test.html - defines the PhysChatCitations global
+
+const PhysChatCitations = (function() {
+  'use strict';
+
+  const FORMATS = {
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+    ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+    csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' }
+  };
+
+  const PUBLISHER = 'American Physical Society';
+
+  // APS journal abbreviations, keyed by lowercase full name
+  const JOURNAL_ABBREVIATIONS = {
+    'physical review letters': 'Phys. Rev. Lett.',
+    'physical review x': 'Phys. Rev. X',
+    'reviews of modern physics': 'Rev. Mod. Phys.',
+    'physical review a': 'Phys. Rev. A',
+    'physical review b': 'Phys. Rev. B',
+    'physical review c': 'Phys. Rev. C',
+    'physical review d': 'Phys. Rev. D',
+    'physical review e': 'Phys. Rev. E',
+    'physical review research': 'Phys. Rev. Res.',
+    'physical review applied': 'Phys. Rev. Appl.',
+    'physical review fluids': 'Phys. Rev. Fluids',
+    'physical review materials': 'Phys. Rev. Mater.',
+    'prx quantum': 'PRX Quantum',
+    'physical review accelerators and beams': 'Phys. Rev. Accel. Beams',
+    'physical review physics education research': 'Phys. Rev. Phys. Educ. Res.',
+    'physical review': 'Phys. Rev.'
+  };
+
+  // Surname particles that belong to the family name ("van der Waals", "de Broglie")
+  const NAME_PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'la', 'le', 'dos', 'das', 'ter', 'ten']);
+  const NAME_SUFFIXES = new Set(['jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv']);
+
+  // Title text with MathML/HTML removed but its text kept - "MoS<sub>2</sub>" becomes "MoS2"
+  function plainText(html) {
+    return (html || '')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Split "First M. Last", "Last, First" or "J. van der Waals Jr." into { given, family, suffix }
+  function parseAuthor(name) {
+    const clean = plainText(name);
+    if (clean.includes(',')) {
+      const [family, ...rest] = clean.split(',').map(part => part.trim());
+      return { given: rest.join(' '), family: family, suffix: '' };
+    }
+
+    const parts = clean.split(' ').filter(Boolean);
+    let suffix = '';
+    if (parts.length > 2 && NAME_SUFFIXES.has(parts[parts.length - 1].toLowerCase())) {
+      suffix = parts.pop();
+    }
+    if (parts.length < 2) {
+      return { given: '', family: parts[0] || '', suffix: suffix };
+    }
+
+    let familyStart = parts.length - 1;
+    while (familyStart > 1 && NAME_PARTICLES.has(parts[familyStart - 1].toLowerCase())) {
+      familyStart--;
+    }
+    return {
+      given: parts.slice(0, familyStart).join(' '),
+      family: parts.slice(familyStart).join(' '),
+      suffix: suffix
+    };
+  }
+
+  // [year, month, day] from an ISO-ish date string, with as many parts as it has
+  function dateParts(dateStr) {
+    const match = (dateStr || '').match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?/);
+    return match ? match.slice(1).filter(Boolean).map(n => parseInt(n, 10)) : [];
+  }
+
+  function isApsArticle(article) {
+    return /^10\.1103\//i.test(article.doi || '') || Boolean(journalAbbreviation(article.journal));
+  }
+
+  function journalAbbreviation(journal) {
+    return JOURNAL_ABBREVIATIONS[(journal || '').trim().toLowerCase()] || '';
+  }
+
+  function asciiFold(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9]/g, '');
+  }
+
+  /**
+   * Citation key in the form APS uses in its own exports - the DOI suffix, e.g. PhysRevLett.121.123456
+   * Papers without an APS DOI get FamilyYearTitleword
+   */
+  function citationKey(article) {
+    const doi = (article.doi || '').trim();
+    if (/^10\.1103\//i.test(doi)) {
+      return doi.substring('10.1103/'.length).replace(/[^A-Za-z0-9.:_-]/g, '');
+    }
+    const author = article.authors && article.authors.length > 0 ? asciiFold(parseAuthor(article.authors[0]).family) : '';
+    const year = dateParts(article.date)[0] || '';
+    const word = plainText(article.title).split(' ').map(asciiFold).find(w => w.length > 3) || '';
+    return `${author || 'Anon'}${year}${word}` || 'PhysChat';
+  }
+
+  // Keys for a whole export - repeats get a, b, c... so every entry stays addressable
+  function uniqueKeys(articles) {
+    const seen = new Map();
+    return articles.map(article => {
+      const key = citationKey(article);
+      const count = seen.get(key) || 0;
+      seen.set(key, count + 1);
+      return count === 0 ? key : `${key}${String.fromCharCode(96 + Math.min(count, 26))}`;
+    });
+  }
+
+  // APS articles link through link.aps.org, like the APS exports do
+  function articleUrl(article) {
+    if (/^10\.1103\//i.test(article.doi || '')) return `https://link.aps.org/doi/${article.doi}`;
+    return article.url || (article.doi ? `https://doi.org/${article.doi}` : '');
+  }
+
+  // ----- BibTeX -----
+
+  function escapeBibtex(text) {
+    return text
+      .replace(/\\/g, '\\textbackslash{}')
+      .replace(/([&%$#_{}])/g, '\\$1')
+      .replace(/~/g, '\\textasciitilde{}')
+      .replace(/\^/g, '\\textasciicircum{}');
+  }
+
+  // BibTeX title - sub/superscripts become math, words with inner capitals or digits are brace-protected
+  function bibtexTitle(html) {
+    // Mark sub/superscripts with control characters so they survive tag stripping and escaping
+    const marked = (html || '')
+      .replace(/<sub>([\s\S]*?)<\/sub>/gi, '\u0001$1\u0002')
+      .replace(/<sup>([\s\S]*?)<\/sup>/gi, '\u0003$1\u0002');
+    return escapeBibtex(plainText(marked))
+      .replace(/\u0001([^\u0002]*)\u0002/g, '$$_{$1}$$')
+      .replace(/\u0003([^\u0002]*)\u0002/g, '$$^{$1}$$')
+      .split(' ')
+      .map(word => /[A-Z][A-Za-z]*[A-Z0-9]|^[A-Za-z]+\d/.test(word.replace(/\$[^$]*\$/g, '')) ? `{${word}}` : word)
+      .join(' ');
+  }
+
+  function bibtexAuthor(name) {
+    const author = parseAuthor(name);
+    const family = escapeBibtex(author.family);
+    const parts = [author.family.includes(' ') ? `{${family}}` : family, author.suffix, escapeBibtex(author.given)];
+    return parts.filter(Boolean).join(', ');
+  }
+
+  function toBibTeXEntry(article, key) {
+    const [year, month] = dateParts(article.date);
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const fields = [
+      ['title', `{${bibtexTitle(article.title)}}`],
+      ['author', article.authors && article.authors.length > 0 ? `{${article.authors.map(bibtexAuthor).join(' and ')}}` : null],
+      ['journal', article.journal ? `{${escapeBibtex(journalAbbreviation(article.journal) || plainText(article.journal))}}` : null],
+      ['volume', article.volume ? `{${escapeBibtex(String(article.volume))}}` : null],
+      ['issue', article.issue ? `{${escapeBibtex(String(article.issue))}}` : null],
+      ['pages', article.pages ? `{${escapeBibtex(String(article.pages))}}` : null],
+      ['year', year ? `{${year}}` : null],
+      ['month', month ? months[month - 1] : null],
+      ['publisher', isApsArticle(article) ? `{${PUBLISHER}}` : null],
+      ['doi', article.doi ? `{${article.doi}}` : null],
+      ['url', articleUrl(article) ? `{${articleUrl(article)}}` : null]
+    ].filter(([, value]) => value);
+
+    return `@article{${key},\n${fields.map(([name, value]) => `  ${name} = ${value}`).join(',\n')}\n}`;
+  }
+
+  function toBibTeX(articles) {
+    const keys = uniqueKeys(articles);
+    return articles.map((article, i) => toBibTeXEntry(article, keys[i])).join('\n\n') + '\n';
+  }
+
+  // ----- RIS -----
+
+  function toRISEntry(article, key) {
+    const [year, month, day] = dateParts(article.date);
+    const pad = n => String(n).padStart(2, '0');
+    const lines = [['TY', 'JOUR'], ['ID', key], ['TI', plainText(article.title)]];
+
+    for (const name of article.authors || []) {
+      const author = parseAuthor(name);
+      lines.push(['AU', [author.family, author.given, author.suffix].filter(Boolean).join(', ')]);
+    }
+    if (article.journal) {
+      lines.push(['JO', plainText(article.journal)]);
+      const abbreviation = journalAbbreviation(article.journal);
+      if (abbreviation) lines.push(['J2', abbreviation]);
+    }
+    if (article.volume) lines.push(['VL', String(article.volume)]);
+    if (article.issue) lines.push(['IS', String(article.issue)]);
+    if (article.pages) lines.push(['SP', String(article.pages)]);
+    if (year) {
+      lines.push(['PY', String(year)]);
+      lines.push(['DA', `${year}/${month ? pad(month) : ''}/${day ? pad(day) : ''}/`]);
+    }
+    if (isApsArticle(article)) lines.push(['PB', PUBLISHER]);
+    if (article.doi) lines.push(['DO', article.doi]);
+    if (articleUrl(article)) lines.push(['UR', articleUrl(article)]);
+    if (article.abstract) lines.push(['AB', plainText(article.abstract)]);
+    lines.push(['ER', '']);
+
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+  }
+
+  function toRIS(articles) {
+    const keys = uniqueKeys(articles);
+    return articles.map((article, i) => toRISEntry(article, keys[i])).join('\r\n\r\n') + '\r\n';
+  }
+
+  // ----- CSL-JSON -----
+
+  // CSL-JSON allows a few HTML tags in titles - keep those and drop the rest
+  function cslTitle(html) {
+    const kept = (html || '')
+      .replace(/<math[^>]*>([\s\S]*?)<\/math>/gi, (match, inner) => inner.replace(/<[^>]+>/g, ''))
+      .replace(/<(\/?)(i|b|sub|sup)>/gi, '\u0001$1$2\u0002');
+    return plainText(kept).replace(/\u0001(\/?)(i|b|sub|sup)\u0002/gi, '<$1$2>');
+  }
+
+  function toCSLItem(article, key) {
+    const item = {
+      id: key,
+      type: 'article-journal',
+      title: cslTitle(article.title),
+      author: (article.authors || []).map(name => {
+        const author = parseAuthor(name);
+        return author.given
+          ? { family: author.family, given: author.given, ...(author.suffix ? { suffix: author.suffix } : {}) }
+          : { literal: author.family };
+      })
+    };
+    if (isApsArticle(article)) item.publisher = PUBLISHER;
+    if (article.journal) {
+      item['container-title'] = plainText(article.journal);
+      const abbreviation = journalAbbreviation(article.journal);
+      if (abbreviation) item['container-title-short'] = abbreviation;
+    }
+    if (article.volume) item.volume = String(article.volume);
+    if (article.issue) item.issue = String(article.issue);
+    if (article.pages) item.page = String(article.pages);
+    const parts = dateParts(article.date);
+    if (parts.length > 0) item.issued = { 'date-parts': [parts] };
+    if (article.doi) item.DOI = article.doi;
+    if (articleUrl(article)) item.URL = articleUrl(article);
+    if (article.abstract) item.abstract = plainText(article.abstract);
+    return item;
+  }
+
+  function toCSLJSON(articles) {
+    const keys = uniqueKeys(articles);
+    return JSON.stringify(articles.map((article, i) => toCSLItem(article, keys[i])), null, 2) + '\n';
+  }
+
+  // ----- Output -----
+
+  function format(articles, formatName) {
+    if (formatName === 'bibtex') return toBibTeX(articles);
+    if (formatName === 'ris') return toRIS(articles);
+    if (formatName === 'csl') return toCSLJSON(articles);
+    throw new Error(`Unknown citation format: ${formatName}`);
+  }
+
+  // Filename for an export - the citation key for one paper, otherwise physchat-<n>-papers
+  function filename(articles, formatName) {
+    const base = articles.length === 1 ? citationKey(articles[0]) : `physchat-${articles.length}-papers`;
+    return `${base}.${FORMATS[formatName].extension}`;
+  }
+
+  // Save an export as a file through a temporary download link
+  function download(articles, formatName) {
+    const blob = new Blob([format(articles, formatName)], { type: FORMATS[formatName].mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename(articles, formatName);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function copyToClipboard(articles, formatName) {
+    return navigator.clipboard.writeText(format(articles, formatName));
+  }
+
+  return {
+    FORMATS,
+    citationKey,
+    parseAuthor,
+    toBibTeX,
+    toRIS,
+    toCSLJSON,
+    format,
+    filename,
+    download,
+    copyToClipboard
+  };
+})();
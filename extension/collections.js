@@ -0,0 +1,189 @@
+// PhysChat Collections
+// Named reading lists of saved papers, each paper with its own tags and note
+// Kept in chrome.storage.sync so they follow the user between browsers; if a write
+// doesn't fit sync's quotas, everything moves to chrome.storage.local for good
+// Loaded as a plain script - defines the PhysChatCollections global
+
+const PhysChatCollections = (function() {
+  'use strict';
+
+  const INDEX_KEY = 'physchat_collections'; // [{ id, name, createdAt, updatedAt }]
+  const COLLECTION_PREFIX = 'physchat_collection_'; // + id -> { papers: [...] }
+  const AREA_KEY = 'physchat_collections_area'; // in local storage: 'local' once sync overflowed
+
+  // Fields kept for a saved paper - enough to list, link and export it, small enough for sync
+  const MAX_TITLE_LENGTH = 300;
+  const MAX_AUTHORS = 10;
+  const MAX_NOTE_LENGTH = 1000;
+  const MAX_TAGS = 10;
+
+  async function getArea() {
+    if (!chrome.storage.sync) return chrome.storage.local;
+    const stored = await chrome.storage.local.get(AREA_KEY);
+    return stored[AREA_KEY] === 'local' ? chrome.storage.local : chrome.storage.sync;
+  }
+
+  // Identity of a paper across searches - its DOI, or its URL when it has none
+  function paperKey(article) {
+    return (article.doi || article.url || '').trim().toLowerCase();
+  }
+
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+  }
+
+  function toSavedPaper(article, details = {}) {
+    return {
+      doi: article.doi || '',
+      title: String(article.title || 'Untitled').substring(0, MAX_TITLE_LENGTH),
+      authors: (article.authors || []).slice(0, MAX_AUTHORS),
+      journal: article.journal || '',
+      date: article.date || '',
+      volume: article.volume || '',
+      issue: article.issue || '',
+      pages: article.pages || '',
+      url: article.url || (article.doi ? `https://doi.org/${article.doi}` : ''),
+      tags: normalizeTags(details.tags),
+      note: String(details.note || '').substring(0, MAX_NOTE_LENGTH),
+      addedAt: Date.now()
+    };
+  }
+
+  // All collections with their papers, oldest collection first
+  async function load() {
+    const area = await getArea();
+    const stored = await area.get(INDEX_KEY);
+    const index = stored[INDEX_KEY] || [];
+    if (index.length === 0) return [];
+
+    const bodies = await area.get(index.map(c => COLLECTION_PREFIX + c.id));
+    return index.map(c => ({ ...c, papers: (bodies[COLLECTION_PREFIX + c.id] || {}).papers || [] }));
+  }
+
+  async function save(collections) {
+    const items = {
+      [INDEX_KEY]: collections.map(({ papers, ...meta }) => meta)
+    };
+    for (const c of collections) {
+      items[COLLECTION_PREFIX + c.id] = { papers: c.papers };
+    }
+
+    const area = await getArea();
+    try {
+      await area.set(items);
+    } catch (error) {
+      if (area === chrome.storage.local) throw error;
+      // Over a sync quota - keep going locally rather than lose the user's papers
+      console.warn('PhysChat collections no longer fit sync storage, keeping them locally:', error.message);
+      await chrome.storage.local.set({ ...items, [AREA_KEY]: 'local' });
+    }
+  }
+
+  // Read-modify-write the whole set; mutate() changes the list in place
+  async function update(mutate) {
+    const collections = await load();
+    const result = mutate(collections);
+    await save(collections);
+    return result;
+  }
+
+  function findCollection(collections, id) {
+    const collection = collections.find(c => c.id === id);
+    if (!collection) throw new Error('Collection not found');
+    return collection;
+  }
+
+  function createCollection(name) {
+    const clean = String(name || '').trim().substring(0, 80);
+    if (!clean) return Promise.reject(new Error('Collection name is required'));
+
+    return update(collections => {
+      const existing = collections.find(c => c.name.toLowerCase() === clean.toLowerCase());
+      if (existing) return existing;
+      const now = Date.now();
+      const collection = { id: `${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`, name: clean, createdAt: now, updatedAt: now, papers: [] };
+      collections.push(collection);
+      return collection;
+    });
+  }
+
+  async function deleteCollection(id) {
+    await update(collections => {
+      const index = collections.findIndex(c => c.id === id);
+      if (index >= 0) collections.splice(index, 1);
+    });
+    const area = await getArea();
+    await area.remove(COLLECTION_PREFIX + id);
+  }
+
+  // Save a paper, or update its tags and note if the collection already has it
+  function addPaper(id, article, details = {}) {
+    return update(collections => {
+      const collection = findCollection(collections, id);
+      const key = paperKey(article);
+      const existing = collection.papers.find(p => paperKey(p) === key);
+      if (existing) {
+        existing.tags = normalizeTags(details.tags);
+        existing.note = String(details.note || '').substring(0, MAX_NOTE_LENGTH);
+      } else {
+        collection.papers.unshift(toSavedPaper(article, details));
+      }
+      collection.updatedAt = Date.now();
+    });
+  }
+
+  function updatePaper(id, key, details) {
+    return update(collections => {
+      const collection = findCollection(collections, id);
+      const paper = collection.papers.find(p => paperKey(p) === key);
+      if (!paper) return;
+      if (details.tags !== undefined) paper.tags = normalizeTags(details.tags);
+      if (details.note !== undefined) paper.note = String(details.note).substring(0, MAX_NOTE_LENGTH);
+      collection.updatedAt = Date.now();
+    });
+  }
+
+  function removePaper(id, key) {
+    return update(collections => {
+      const collection = findCollection(collections, id);
+      collection.papers = collection.papers.filter(p => paperKey(p) !== key);
+      collection.updatedAt = Date.now();
+    });
+  }
+
+  // Map of paper key -> names of the collections holding it
+  function savedIndex(collections) {
+    const index = new Map();
+    for (const c of collections) {
+      for (const paper of c.papers) {
+        const key = paperKey(paper);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(c.name);
+      }
+    }
+    return index;
+  }
+
+  // Call back whenever collections change in either storage area (other tabs included)
+  function onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes) => {
+      if (Object.keys(changes).some(key => key === INDEX_KEY || key === AREA_KEY || key.startsWith(COLLECTION_PREFIX))) {
+        callback();
+      }
+    });
+  }
+
+  return {
+    paperKey,
+    normalizeTags,
+    load,
+    createCollection,
+    deleteCollection,
+    addPaper,
+    updatePaper,
+    removePaper,
+    savedIndex,
+    onChanged
+  };
+})();
@@ -1,8 +0,0 @@
-// PhysChat Extension Local Configuration
-// Copy this file to config.local.js and fill in your values
-// config.local.js is gitignored and will not be committed
-
-const PHYSCHAT_CONFIG = {
-  // Your Cloudflare Worker URL
-  workerUrl: 'https://YOUR_WORKER_NAME.YOUR_SUBDOMAIN.workers.dev'
-};
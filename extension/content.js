@@ -1,16 +1,15 @@
 // PhysChat Content Script
-// Injects sidebar into journals.aps.org pages with AI-powered search
+// The PhysChat UI with AI-powered search - runs as Chrome's side panel (sidepanel.html), or injected into
+// journals.aps.org pages as a sidebar when the user prefers that
 
 (function() {
   'use strict';
 
-  // Configuration - uses config.local.js if present, otherwise placeholder
-  const CONFIG = {
-    workerUrl: (typeof PHYSCHAT_CONFIG !== 'undefined' && PHYSCHAT_CONFIG.workerUrl)
-      ? PHYSCHAT_CONFIG.workerUrl
-      : 'https://YOUR_WORKER_NAME.YOUR_SUBDOMAIN.workers.dev',
-    maxResults: 15
-  };
+  // Settings from the options page, see settings.js - replaced once they have loaded
+  let settings = PhysChatSettings.DEFAULTS;
+
+  // sidepanel.html loads this same script - it is an extension page rather than an APS page
+  const IN_SIDE_PANEL = location.protocol === 'chrome-extension:';
 
   // State
   let isAuthenticated = false;
@@ -21,6 +20,53 @@
   let currentTotalFound = 0;
   let currentQuery = '';
   let currentAIAnalysis = null;
+  let chatHistory = []; // follow-up turns over the current results: { role, content, action, note }
+  let chatPending = false;
+  let currentArticle = null; // article open on this page, if any: { doi, title, abstract, ... }
+  let selectedResults = new Set(); // indices into currentResults picked for export
+  let exportFormat = 'bibtex';
+  let collections = []; // saved reading lists, see collections.js
+  let savedPapers = new Map(); // paper key -> names of the collections holding it
+  let activeCollectionId = 'all';
+  let searchHistory = []; // past searches, newest first
+  let historyEnabled = true;
+  let watchedSearches = []; // queries background.js re-runs on a schedule
+  let activeFacets = {}; // facet -> value the displayed results are narrowed to
+  let searchAbort = null; // AbortController of the search in flight, so Esc can cancel it
+
+  const HISTORY_KEY = 'physchat_search_history';
+  const SESSION_MODE_KEY = 'physchat_session_mode'; // AI mode picked in the sidebar, kept until the browser closes
+  const HISTORY_MAX_ENTRIES = 50;
+  const HISTORY_MAX_PAPERS = 20;
+
+  // Journals offered in the filter panel - the worker knows these APS codes
+  const FILTER_JOURNALS = ['PRL', 'PRX', 'RMP', 'PRA', 'PRB', 'PRC', 'PRD', 'PRE', 'PRResearch', 'PRApplied', 'PRFluids', 'PRMaterials', 'PRXQuantum'];
+  const FACET_LABELS = { journal: 'Journal', year: 'Year', type: 'Type' };
+
+  // Fielded query syntax the worker understands in simple search, and the hints offered for it
+  const QUERY_SYNTAX_HINTS = [
+    { label: 'author:"…"', insert: 'author:""', caret: -1 },
+    { label: 'title:', insert: 'title:' },
+    { label: 'journal:PRL', insert: 'journal:PRL' },
+    { label: 'year:2019..2023', insert: 'year:2019..2023' },
+    { label: 'type:review', insert: 'type:review' },
+    { label: 'doi:', insert: 'doi:' },
+    { label: '"phrase"', insert: '""', caret: -1 },
+    { label: '-exclude', insert: '-' }
+  ];
+
+  // Keys handled while focus is in the sidebar (outside text fields) - listed in the ? overlay
+  const KEYBOARD_SHORTCUTS = [
+    ['/', 'Focus the search box'],
+    ['j / k', 'Next / previous result'],
+    ['o or Enter', 'Open the focused result'],
+    ['s', 'Save the focused result to a collection'],
+    ['c', 'Copy its citation in the export format'],
+    ['x', 'Select it for export'],
+    ['t', 'Expand or collapse the search process'],
+    ['Esc', 'Leave the search box, then cancel a running search'],
+    ['?', 'Show or hide these shortcuts']
+  ];
 
   // Input sanitization for prompt injection protection
   // This is a POC-level safeguard - not comprehensive
@@ -84,10 +130,40 @@
 
   // Initialize
   function init() {
+    if (IN_SIDE_PANEL) {
+      document.body.classList.add('physchat-side-panel');
+      startSidebar();
+      connectSidePanel();
+      followActiveTab();
+      return;
+    }
+
+    // On an APS page: tell the side panel about the article open here, and only inject the
+    // sidebar when the user has chosen it over the side panel
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'GET_PAGE_ARTICLE') {
+        sendResponse({ article: detectCurrentArticle() });
+      }
+    });
+    chrome.runtime.sendMessage({ type: 'GET_SIDEBAR_MODE' }, (response) => {
+      if (response && response.mode === 'page') {
+        startSidebar();
+        showCurrentArticle(detectCurrentArticle());
+      }
+    });
+  }
+
+  function startSidebar() {
     loadAuthState();
     injectSidebar();
     setupEventListeners();
+    loadSettings();
     restoreSearchState();
+    loadCollections();
+    PhysChatCollections.onChanged(loadCollections);
+    loadSearchHistory();
+    loadWatchedSearches();
+    loadSearchFilters();
   }
 
   // Save search state before navigation
@@ -99,6 +175,7 @@
           results: currentResults,
           totalFound: currentTotalFound,
           aiAnalysis: currentAIAnalysis,
+          chatHistory: chatHistory,
           timestamp: Date.now()
         }
       });
@@ -117,12 +194,15 @@
           currentResults = state.results;
           currentTotalFound = state.totalFound || currentResults.length;
           currentAIAnalysis = state.aiAnalysis;
+          chatHistory = state.chatHistory || [];
 
           // Restore UI - hide empty state first
           hideEmpty();
           document.getElementById('physchat-search-input').value = currentQuery;
           renderSynthesis(currentResults, currentTotalFound, currentAIAnalysis);
           displayResults(currentResults, currentTotalFound);
+          renderChatLog();
+          showChatPanel(true);
 
           // Fetch AI summaries for top results
           if (currentResults.length > 0) {
@@ -143,13 +223,22 @@
 
   // Load authentication state from storage
   function loadAuthState() {
-    chrome.storage.local.get(['physchat_token', 'physchat_collapsed'], (result) => {
+    chrome.storage.local.get(['physchat_token', 'physchat_collapsed', 'physchat_ai_ranking', 'physchat_export_format'], (result) => {
+      if (result.physchat_ai_ranking) {
+        document.getElementById('physchat-ranking-select').value = result.physchat_ai_ranking;
+      }
+      if (result.physchat_export_format && PhysChatCitations.FORMATS[result.physchat_export_format]) {
+        exportFormat = result.physchat_export_format;
+        document.querySelectorAll('#physchat-export-format, #physchat-collection-export-format').forEach(select => {
+          select.value = exportFormat;
+        });
+      }
       if (result.physchat_token) {
         authToken = result.physchat_token;
         isAuthenticated = true;
         updateAuthUI();
       }
-      if (result.physchat_collapsed) {
+      if (result.physchat_collapsed && !IN_SIDE_PANEL) {
         isCollapsed = result.physchat_collapsed;
         if (isCollapsed) {
           document.getElementById('physchat-sidebar')?.classList.add('collapsed');
@@ -159,6 +248,31 @@
     });
   }
 
+  // The default mode and sort only set the controls' starting values; the worker URL and
+  // result count follow the options page as it changes
+  function loadSettings() {
+    PhysChatSettings.load().then(async (loaded) => {
+      settings = loaded;
+      const useAIToggle = document.getElementById('physchat-use-ai');
+      const modeSelect = document.getElementById('physchat-mode-select');
+      useAIToggle.checked = settings.searchMode !== 'simple';
+      useAIToggle.dispatchEvent(new Event('change'));
+      if (settings.searchMode !== 'simple') {
+        modeSelect.value = settings.searchMode;
+      }
+      document.getElementById('physchat-sort-select').value = settings.sort;
+
+      // A mode picked in the sidebar earlier this session wins over the default
+      const session = await chrome.storage.session.get(SESSION_MODE_KEY).catch(() => ({}));
+      if (session[SESSION_MODE_KEY]) {
+        modeSelect.value = session[SESSION_MODE_KEY];
+      }
+    });
+    PhysChatSettings.onChanged((changed) => {
+      settings = changed;
+    });
+  }
+
   // Save collapsed state
   function saveCollapsedState() {
     chrome.storage.local.set({ physchat_collapsed: isCollapsed });
@@ -167,7 +281,7 @@
   // Inject sidebar HTML
   function injectSidebar() {
     const sidebarHTML = `
-      <div id="physchat-sidebar">
+      <div id="physchat-sidebar" tabindex="-1">
         <div id="physchat-header">
           <h1>
             <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -175,11 +289,14 @@
             </svg>
             PhysChat
           </h1>
-          <button id="physchat-close-btn" title="Collapse sidebar">
-            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-              <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
-            </svg>
-          </button>
+          <div class="physchat-header-actions">
+            <button type="button" id="physchat-shortcuts-btn" title="Keyboard shortcuts (?)">?</button>
+            <button id="physchat-close-btn" title="Collapse sidebar">
+              <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
+              </svg>
+            </button>
+          </div>
         </div>
 
         <div id="physchat-auth-banner">
@@ -187,65 +304,184 @@
           <button id="physchat-login-btn">Sign In</button>
         </div>
 
-        <div id="physchat-search-container">
-          <form id="physchat-search-form">
-            <input
-              type="text"
-              id="physchat-search-input"
-              placeholder="Ask a question about physics..."
-              autocomplete="off"
-            />
-            <button type="submit" id="physchat-search-btn" title="Search">
+        <div id="physchat-tabs">
+          <button type="button" class="physchat-tab active" data-view="search">Search</button>
+          <button type="button" class="physchat-tab" data-view="collections">Collections <span class="physchat-tab-count" id="physchat-collections-count"></span></button>
+          <button type="button" class="physchat-tab" data-view="history">History</button>
+        </div>
+
+        <div id="physchat-search-view" class="physchat-view active">
+          <div id="physchat-search-container">
+            <form id="physchat-search-form">
+              <input
+                type="text"
+                id="physchat-search-input"
+                placeholder="Ask a question about physics..."
+                autocomplete="off"
+              />
+              <button type="submit" id="physchat-search-btn" title="Search">
+                <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M15.5 14h-.79l-.28-.27a6.5 6.5 0 0 0 1.48-5.34c-.47-2.78-2.79-5-5.59-5.34a6.505 6.505 0 0 0-7.27 7.27c.34 2.8 2.56 5.12 5.34 5.59a6.5 6.5 0 0 0 5.34-1.48l.27.28v.79l4.25 4.25c.41.41 1.08.41 1.49 0 .41-.41.41-1.08 0-1.49L15.5 14zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/>
+                </svg>
+              </button>
+            </form>
+            <div id="physchat-query-preview" hidden></div>
+            <div id="physchat-syntax-hints" hidden>
+              ${QUERY_SYNTAX_HINTS.map((hint, i) => `<button type="button" class="physchat-syntax-hint" data-hint="${i}">${escapeHtml(hint.label)}</button>`).join('')}
+            </div>
+            <div class="physchat-search-options">
+              <select id="physchat-sort-select" class="physchat-sort-select">
+                <option value="relevance">Relevance</option>
+                <option value="recent">Most Recent</option>
+              </select>
+              <select id="physchat-mode-select" class="physchat-sort-select" title="AI search mode for this session - set the default in the options">
+                <option value="agentic">Agentic</option>
+                <option value="planned">Planned</option>
+              </select>
+              <select id="physchat-ranking-select" class="physchat-sort-select" title="Result ordering for AI search">
+                <option value="default">Default order</option>
+                <option value="bm25">BM25 re-rank</option>
+              </select>
+              <label class="physchat-ai-toggle">
+                <input type="checkbox" id="physchat-use-ai" checked />
+                <span>AI Search</span>
+                <span class="physchat-ai-badge">AI</span>
+              </label>
+            </div>
+            <details id="physchat-filters">
+              <summary>Filters <span class="physchat-tab-count" id="physchat-filters-count"></span></summary>
+              <div class="physchat-filter-row">
+                <span class="physchat-filter-label">Journals</span>
+                <div class="physchat-filter-journals">
+                  ${FILTER_JOURNALS.map(code => `<label><input type="checkbox" name="journal" value="${code}" /> ${code}</label>`).join('')}
+                </div>
+              </div>
+              <div class="physchat-filter-row">
+                <span class="physchat-filter-label">Years</span>
+                <input type="number" id="physchat-filter-start" class="physchat-filter-year" min="1893" max="2100" placeholder="From" />
+                <span>–</span>
+                <input type="number" id="physchat-filter-end" class="physchat-filter-year" min="1893" max="2100" placeholder="To" />
+              </div>
+              <div class="physchat-filter-row">
+                <span class="physchat-filter-label">Type</span>
+                <select id="physchat-filter-type" class="physchat-sort-select">
+                  <option value="">Any</option>
+                  <option value="research">Research</option>
+                  <option value="review">Reviews</option>
+                </select>
+                <button type="button" class="physchat-link-btn" id="physchat-filters-reset">Reset</button>
+              </div>
+            </details>
+          </div>
+
+          <!-- Article open on this page -->
+          <div id="physchat-article-bar">
+            <div class="physchat-article-label">On this page</div>
+            <div class="physchat-article-title" id="physchat-article-title"></div>
+            <div class="physchat-article-actions">
+              <button type="button" class="physchat-article-btn" data-action="related">Related work</button>
+              <button type="button" class="physchat-article-btn" data-action="citing">What cites this</button>
+              <button type="button" class="physchat-article-btn" data-action="ask">Ask about this paper</button>
+            </div>
+          </div>
+
+          <!-- Thinking Panel -->
+          <div id="physchat-thinking-panel">
+            <div class="physchat-thinking-header">
+              <div class="physchat-thinking-title">
+                <div class="physchat-status-indicator" id="physchat-status"></div>
+                <h3>Search Process</h3>
+              </div>
+              <button class="physchat-thinking-toggle" id="physchat-thinking-toggle">Collapse</button>
+            </div>
+            <div class="physchat-thinking-content" id="physchat-thinking-content"></div>
+          </div>
+
+          <!-- Synthesis Panel -->
+          <div id="physchat-synthesis-panel"></div>
+
+          <!-- Follow-up Chat -->
+          <div id="physchat-chat-panel">
+            <div id="physchat-chat-log"></div>
+            <form id="physchat-chat-form">
+              <input
+                type="text"
+                id="physchat-chat-input"
+                placeholder="Ask a follow-up about these results..."
+                autocomplete="off"
+              />
+              <button type="submit" id="physchat-chat-btn">Ask</button>
+            </form>
+          </div>
+
+          <div id="physchat-results">
+            <div id="physchat-loading">
+              <div class="physchat-spinner"></div>
+              <p>Searching articles...</p>
+              <p class="physchat-kbd-hint">Press <kbd>Esc</kbd> to cancel</p>
+            </div>
+
+            <div id="physchat-error"></div>
+
+            <div id="physchat-empty">
               <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                <path d="M15.5 14h-.79l-.28-.27a6.5 6.5 0 0 0 1.48-5.34c-.47-2.78-2.79-5-5.59-5.34a6.505 6.505 0 0 0-7.27 7.27c.34 2.8 2.56 5.12 5.34 5.59a6.5 6.5 0 0 0 5.34-1.48l.27.28v.79l4.25 4.25c.41.41 1.08.41 1.49 0 .41-.41.41-1.08 0-1.49L15.5 14zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/>
+                <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-5 14H7v-2h7v2zm3-4H7v-2h10v2zm0-4H7V7h10v2z"/>
               </svg>
-            </button>
-          </form>
-          <div class="physchat-search-options">
-            <select id="physchat-sort-select" class="physchat-sort-select">
-              <option value="relevance">Relevance</option>
-              <option value="recent">Most Recent</option>
-            </select>
-            <label class="physchat-ai-toggle">
-              <input type="checkbox" id="physchat-use-ai" checked />
-              <span>AI Search</span>
-              <span class="physchat-ai-badge">AI</span>
-            </label>
+              <h3>Search APS Articles</h3>
+              <p>Enter a query to search for physics articles across APS journals.</p>
+            </div>
+
+            <div id="physchat-results-list"></div>
           </div>
         </div>
 
-        <!-- Thinking Panel -->
-        <div id="physchat-thinking-panel">
-          <div class="physchat-thinking-header">
-            <div class="physchat-thinking-title">
-              <div class="physchat-status-indicator" id="physchat-status"></div>
-              <h3>Search Process</h3>
+        <!-- Saved collections -->
+        <div id="physchat-collections-view" class="physchat-view">
+          <div class="physchat-collections-toolbar">
+            <form id="physchat-new-collection-form">
+              <input type="text" id="physchat-new-collection-input" placeholder="New collection name..." autocomplete="off" />
+              <button type="submit">Create</button>
+            </form>
+            <div class="physchat-collections-filters">
+              <select id="physchat-collection-select" class="physchat-sort-select"></select>
+              <input type="text" id="physchat-collection-filter" placeholder="Filter by text or tag..." autocomplete="off" />
+            </div>
+            <div class="physchat-export-bar">
+              <span id="physchat-collection-export-scope"></span>
+              <select id="physchat-collection-export-format" class="physchat-sort-select" title="Citation format">
+                ${Object.entries(PhysChatCitations.FORMATS).map(([value, f]) => `<option value="${value}">${f.label}</option>`).join('')}
+              </select>
+              <button type="button" class="physchat-export-btn" data-export="copy">Copy</button>
+              <button type="button" class="physchat-export-btn" data-export="download">Download</button>
             </div>
-            <button class="physchat-thinking-toggle" id="physchat-thinking-toggle">Collapse</button>
           </div>
-          <div class="physchat-thinking-content" id="physchat-thinking-content"></div>
+          <div id="physchat-collections-list"></div>
         </div>
 
-        <!-- Synthesis Panel -->
-        <div id="physchat-synthesis-panel"></div>
-
-        <div id="physchat-results">
-          <div id="physchat-loading">
-            <div class="physchat-spinner"></div>
-            <p>Searching articles...</p>
+        <!-- Search history -->
+        <div id="physchat-history-view" class="physchat-view">
+          <div class="physchat-history-toolbar">
+            <label title="When off, searches are not recorded and past ones are deleted">
+              <input type="checkbox" id="physchat-history-enabled" checked />
+              Keep search history
+            </label>
+            <button type="button" class="physchat-link-btn" id="physchat-history-clear">Clear history</button>
           </div>
+          <div id="physchat-history-list"></div>
+        </div>
 
-          <div id="physchat-error"></div>
-
-          <div id="physchat-empty">
-            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-              <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-5 14H7v-2h7v2zm3-4H7v-2h10v2zm0-4H7V7h10v2z"/>
-            </svg>
-            <h3>Search APS Articles</h3>
-            <p>Enter a query to search for physics articles across APS journals.</p>
+        <!-- Keyboard shortcut help -->
+        <div id="physchat-shortcuts" hidden>
+          <div class="physchat-shortcuts-header">
+            <h3>Keyboard shortcuts</h3>
+            <button type="button" class="physchat-link-btn" id="physchat-shortcuts-close">Close</button>
           </div>
-
-          <div id="physchat-results-list"></div>
+          <table>
+            ${KEYBOARD_SHORTCUTS.map(([keys, action]) => `<tr><td>${keys.split(/ (or|\/) /).map((k, i) => i % 2 ? ` ${k} ` : `<kbd>${escapeHtml(k)}</kbd>`).join('')}</td><td>${escapeHtml(action)}</td></tr>`).join('')}
+          </table>
+          <h3>Anywhere on the page</h3>
+          <table id="physchat-shortcuts-commands"></table>
+          <p class="physchat-kbd-hint">Change these at chrome://extensions/shortcuts</p>
         </div>
       </div>
 
@@ -273,6 +509,17 @@
     // Close/collapse button
     document.getElementById('physchat-close-btn').addEventListener('click', toggleSidebar);
 
+    // Keyboard - in-sidebar keys, the ? overlay and the browser commands relayed by background.js
+    // (which also relays the right-click "Search PhysChat" menu)
+    document.getElementById('physchat-sidebar').addEventListener('keydown', handleSidebarKeydown);
+    document.getElementById('physchat-shortcuts-btn').addEventListener('click', () => toggleShortcutHelp());
+    document.getElementById('physchat-shortcuts-close').addEventListener('click', () => toggleShortcutHelp(false));
+    if (IN_SIDE_PANEL) {
+      document.getElementById('physchat-close-btn').title = 'Close side panel';
+    } else {
+      chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+    }
+
     // Toggle tab
     document.getElementById('physchat-toggle-tab').addEventListener('click', toggleSidebar);
 
@@ -282,14 +529,85 @@
     // Search form
     document.getElementById('physchat-search-form').addEventListener('submit', handleSearch);
 
+    // Follow-up chat form
+    document.getElementById('physchat-chat-form').addEventListener('submit', handleChatSubmit);
+
+    // Search / Collections tabs
+    document.querySelectorAll('.physchat-tab').forEach(tab => {
+      tab.addEventListener('click', () => showView(tab.dataset.view));
+    });
+
+    // Collections view
+    document.getElementById('physchat-new-collection-form').addEventListener('submit', handleCreateCollection);
+    document.getElementById('physchat-collection-select').addEventListener('change', (e) => {
+      activeCollectionId = e.target.value;
+      renderCollections();
+    });
+    document.getElementById('physchat-collection-filter').addEventListener('input', renderCollections);
+    document.getElementById('physchat-collection-export-format').addEventListener('change', (e) => {
+      exportFormat = e.target.value;
+      chrome.storage.local.set({ physchat_export_format: exportFormat });
+    });
+    document.querySelectorAll('#physchat-collections-view .physchat-export-btn').forEach(btn => {
+      btn.addEventListener('click', () => exportCitations(getVisibleSavedPapers().map(item => item.paper), exportFormat, btn.dataset.export, btn));
+    });
+    document.getElementById('physchat-collections-list').addEventListener('click', handleCollectionsClick);
+    document.getElementById('physchat-collections-list').addEventListener('submit', handleSavedPaperEdit);
+
+    // History view
+    document.getElementById('physchat-history-list').addEventListener('click', handleHistoryClick);
+    document.getElementById('physchat-history-enabled').addEventListener('change', handleHistoryToggle);
+    document.getElementById('physchat-history-clear').addEventListener('click', clearSearchHistory);
+
+    // Related work / citing papers / questions for the article on this page
+    document.querySelectorAll('.physchat-article-btn').forEach(btn => {
+      btn.addEventListener('click', () => handleArticleAction(btn.dataset.action));
+    });
+
     // Thinking panel toggle
     document.getElementById('physchat-thinking-toggle').addEventListener('click', toggleThinking);
 
-    // Listen for auth callback messages
-    window.addEventListener('message', handleAuthMessage);
+    // AI mode only applies to AI search - the choice lasts for this browser session, while the
+    // default mode stays whatever the options page says
+    const modeSelect = document.getElementById('physchat-mode-select');
+    const useAIToggle = document.getElementById('physchat-use-ai');
+    const rankingSelect = document.getElementById('physchat-ranking-select');
+    modeSelect.addEventListener('change', () => {
+      chrome.storage.session.set({ [SESSION_MODE_KEY]: modeSelect.value }).catch(() => {});
+    });
+    rankingSelect.addEventListener('change', () => {
+      chrome.storage.local.set({ physchat_ai_ranking: rankingSelect.value });
+    });
+    useAIToggle.addEventListener('change', () => {
+      modeSelect.disabled = !useAIToggle.checked;
+      rankingSelect.disabled = !useAIToggle.checked;
+      updateQueryPreview();
+    });
+
+    // Fielded query syntax - highlighted as you type, hints insert the operators
+    document.getElementById('physchat-search-input').addEventListener('input', updateQueryPreview);
+    document.getElementById('physchat-syntax-hints').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-hint]');
+      if (button) insertQuerySyntax(QUERY_SYNTAX_HINTS[parseInt(button.dataset.hint, 10)]);
+    });
+
+    // Search filters - remembered between pages
+    const filtersPanel = document.getElementById('physchat-filters');
+    filtersPanel.addEventListener('change', () => {
+      updateFiltersSummary();
+      chrome.storage.local.set({ physchat_search_filters: getSearchFilters() });
+    });
+    document.getElementById('physchat-filters-reset').addEventListener('click', () => {
+      setSearchFilters(null);
+      chrome.storage.local.remove('physchat_search_filters');
+    });
 
-    // Listen for storage changes (for auth updates from popup)
+    // Listen for storage changes (sign-in, renewal and sign-out happen in background.js or the popup)
     chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.physchat_watches) {
+        watchedSearches = changes.physchat_watches.newValue || [];
+        updateWatchButton();
+      }
       if (namespace === 'local' && changes.physchat_token) {
         if (changes.physchat_token.newValue) {
           authToken = changes.physchat_token.newValue;
@@ -303,8 +621,136 @@
     });
   }
 
-  // Toggle sidebar visibility
+  // Commands and context-menu searches relayed by background.js - by tab message to an
+  // injected sidebar, or over the side panel's port
+  function handleBackgroundMessage(message) {
+    if (message.type === 'SEARCH_SELECTION') {
+      searchSelection(message.text, message.explain);
+      return;
+    }
+    if (message.type !== 'COMMAND') return;
+    if (message.command === 'toggle-sidebar') {
+      toggleSidebar();
+    } else if (message.command === 'focus-search') {
+      focusSearchBox();
+    }
+  }
+
+  // Side panel: register with background.js, which routes this window's commands to us
+  function connectSidePanel() {
+    chrome.windows.getCurrent((win) => {
+      const port = chrome.runtime.connect({ name: `physchat-panel:${win.id}` });
+      port.onMessage.addListener(handleBackgroundMessage);
+      // The service worker was stopped - connect to its next instance
+      port.onDisconnect.addListener(() => setTimeout(connectSidePanel, 1000));
+    });
+  }
+
+  // Side panel: keep the article bar in step with the active tab, asking the content script on
+  // that page what it shows - other sites have no content script, so no article
+  function followActiveTab() {
+    const refresh = () => {
+      chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+        if (!tab) {
+          showCurrentArticle(null);
+          return;
+        }
+        chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_ARTICLE' })
+          .then(response => showCurrentArticle(response ? response.article : null))
+          .catch(() => showCurrentArticle(null));
+      });
+    };
+    chrome.tabs.onActivated.addListener(refresh);
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.status === 'complete' && tab.active) refresh();
+    });
+    refresh();
+  }
+
+  // Open the sidebar on the search view with the search box focused
+  function focusSearchBox() {
+    if (isCollapsed) toggleSidebar();
+    showView('search');
+    const input = document.getElementById('physchat-search-input');
+    input.focus();
+    input.select();
+  }
+
+  function handleSidebarKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const typing = event.target.matches('input:not([type="checkbox"]), textarea, select');
+    const help = document.getElementById('physchat-shortcuts');
+
+    if (event.key === 'Escape') {
+      if (!help.hidden) {
+        toggleShortcutHelp(false);
+      } else if (typing) {
+        document.getElementById('physchat-sidebar').focus();
+      } else if (searchAbort) {
+        searchAbort.abort();
+      } else {
+        return;
+      }
+      event.preventDefault();
+      return;
+    }
+    if (typing) return;
+
+    const card = document.querySelector('#physchat-results-list .physchat-result-focused:not([hidden])');
+    const actions = {
+      '/': focusSearchBox,
+      '?': () => toggleShortcutHelp(),
+      'j': () => moveResultFocus(1),
+      'k': () => moveResultFocus(-1),
+      't': toggleThinking,
+      'o': () => card && card.querySelector('.physchat-article-link').click(),
+      'Enter': () => card && card.querySelector('.physchat-article-link').click(),
+      's': () => card && card.querySelector('.physchat-save-btn').click(),
+      'c': () => card && card.querySelector(`.physchat-cite-btn[data-format="${exportFormat}"]`).click(),
+      'x': () => card && card.querySelector('.physchat-result-select').click()
+    };
+    const action = actions[event.key];
+    if (!action) return;
+    // Enter on a focused button or link keeps its usual meaning
+    if (event.key === 'Enter' && event.target.matches('button, a')) return;
+    event.preventDefault();
+    action();
+  }
+
+  // Move the keyboard focus to the next (1) or previous (-1) shown result card
+  function moveResultFocus(step) {
+    showView('search');
+    const cards = [...document.querySelectorAll('#physchat-results-list .physchat-result-card:not([hidden])')];
+    if (cards.length === 0) return;
+    const current = cards.findIndex(c => c.classList.contains('physchat-result-focused'));
+    const next = current === -1 ? (step > 0 ? 0 : cards.length - 1) : Math.min(Math.max(current + step, 0), cards.length - 1);
+    cards.forEach((c, i) => c.classList.toggle('physchat-result-focused', i === next));
+    cards[next].scrollIntoView({ block: 'nearest' });
+  }
+
+  // Show or hide the shortcut overlay, listing the browser commands as the user has them set
+  function toggleShortcutHelp(show) {
+    const help = document.getElementById('physchat-shortcuts');
+    help.hidden = show === undefined ? !help.hidden : !show;
+    if (help.hidden) {
+      document.getElementById('physchat-sidebar').focus();
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'GET_COMMANDS' }, (response) => {
+      const commands = response ? response.commands : [];
+      document.getElementById('physchat-shortcuts-commands').innerHTML = commands.map(c =>
+        `<tr><td>${c.shortcut ? `<kbd>${escapeHtml(c.shortcut)}</kbd>` : '<em>not set</em>'}</td><td>${escapeHtml(c.description)}</td></tr>`
+      ).join('');
+    });
+  }
+
+  // Toggle sidebar visibility - the side panel can only be closed
   function toggleSidebar() {
+    if (IN_SIDE_PANEL) {
+      window.close();
+      return;
+    }
+
     const sidebar = document.getElementById('physchat-sidebar');
     const tab = document.getElementById('physchat-toggle-tab');
 
@@ -335,28 +781,53 @@
   }
 
   // Initiate OAuth login
+  // background.js runs the sign-in window, so it works the same from the side panel and APS pages;
+  // the new token arrives through the storage listener
   function initiateLogin() {
-    const authUrl = `${CONFIG.workerUrl}/auth`;
-    const width = 500;
-    const height = 600;
-    const left = (window.screen.width - width) / 2;
-    const top = (window.screen.height - height) / 2;
+    if (!settings.workerUrl) {
+      // Content scripts can't open the options page themselves
+      chrome.runtime.sendMessage({ type: 'OPEN_OPTIONS' });
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'SIGN_IN' });
+  }
 
-    window.open(
-      authUrl,
-      'PhysChat Login',
-      `width=${width},height=${height},left=${left},top=${top}`
-    );
+  // Ask the background worker to renew an expired token - true if a new token was issued
+  async function renewSession() {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'REFRESH_TOKEN' });
+      if (result && result.token) {
+        authToken = result.token;
+        isAuthenticated = true;
+        return true;
+      }
+    } catch (error) {
+      console.error('PhysChat session renewal failed:', error);
+    }
+    return false;
   }
 
-  // Handle auth callback message from popup window
-  function handleAuthMessage(event) {
-    if (event.data && event.data.type === 'PHYSCHAT_AUTH_SUCCESS') {
-      authToken = event.data.token;
-      isAuthenticated = true;
-      chrome.storage.local.set({ physchat_token: authToken });
-      updateAuthUI();
+  // POST to the worker with the current token, renewing it and retrying once on 401
+  async function postToWorker(path, body, headers = {}, signal = undefined) {
+    if (!settings.workerUrl) {
+      throw new Error('Set your PhysChat worker URL in the extension options first.');
+    }
+    const send = () => fetch(`${settings.workerUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`,
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal: signal
+    });
+
+    let response = await send();
+    if (response.status === 401 && await renewSession()) {
+      response = await send();
     }
+    return response;
   }
 
   // Set status indicator
@@ -394,17 +865,34 @@
     document.getElementById('physchat-synthesis-panel').classList.toggle('visible', show);
   }
 
+  // Show/hide follow-up chat panel
+  function showChatPanel(show) {
+    document.getElementById('physchat-chat-panel').classList.toggle('visible', show);
+  }
+
   // Handle search form submission
   async function handleSearch(event) {
     event.preventDefault();
+    await runSearch(document.getElementById('physchat-search-input').value.trim());
+  }
 
-    const input = document.getElementById('physchat-search-input');
-    const rawQuery = input.value.trim();
+  // Run a search with the current search controls, optionally diffing the results against a history entry
+  async function runSearch(rawQuery, compareWith = null) {
     const useAI = document.getElementById('physchat-use-ai').checked;
     const sort = document.getElementById('physchat-sort-select').value;
+    const aiOptions = {
+      mode: document.getElementById('physchat-mode-select').value,
+      ranking: document.getElementById('physchat-ranking-select').value
+    };
+    const filters = getSearchFilters();
 
     if (!rawQuery) return;
 
+    if (filters && filters.dateRange && filters.dateRange.start && filters.dateRange.end && filters.dateRange.start > filters.dateRange.end) {
+      showError('The start year must not be after the end year.');
+      return;
+    }
+
     // Sanitize input for prompt injection protection
     const query = sanitizeInput(rawQuery);
     if (!query) {
@@ -417,41 +905,207 @@
       return;
     }
 
-    // Store query
-    currentQuery = query;
+    // A new search replaces the one in flight
+    if (searchAbort) searchAbort.abort();
+    const controller = new AbortController();
+    searchAbort = controller;
 
-    // Reset UI
-    clearThinking();
-    showThinkingPanel(useAI);
-    showSynthesisPanel(false);
-    setStatus('active');
-    showLoading(true);
-    hideError();
-    hideEmpty();
-    clearResults();
-    clearSearchState();
+    startNewSearch(query, useAI);
 
     try {
       if (useAI) {
-        await executeAISearch(query, sort);
+        await executeAISearch(query, sort, aiOptions, filters);
       } else {
-        await executeSimpleSearch(query, sort);
+        await executeSimpleSearch(query, sort, filters);
+      }
+      saveSearchState();
+      recordSearchHistory(query, useAI, sort, aiOptions, filters);
+      if (compareWith) {
+        showComparison(compareWith);
       }
+      showChatPanel(currentResults.length > 0);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Cancelled with Esc - or replaced by a newer search, which owns the UI now
+        if (controller === searchAbort) {
+          setStatus('error');
+          logThinking('<span class="label">Cancelled</span>');
+          showEmpty();
+        }
+        return;
+      }
       console.error('PhysChat search error:', error);
       setStatus('error');
-      showError(error.message || 'An error occurred while searching. Please try again.');
+      showError(error.message || 'An error occurred while searching. Please try again.', error instanceof RateLimitError);
     } finally {
-      showLoading(false);
+      if (controller === searchAbort) {
+        searchAbort = null;
+        showLoading(false);
+      }
+    }
+  }
+
+  function loadSearchFilters() {
+    chrome.storage.local.get(['physchat_search_filters'], (result) => {
+      setSearchFilters(result.physchat_search_filters || null);
+    });
+  }
+
+  // The filter panel as the worker takes it: { journals, articleTypes, dateRange }, or null when nothing is set
+  function getSearchFilters() {
+    const filters = {};
+    const journals = [...document.querySelectorAll('#physchat-filters input[name="journal"]:checked')].map(box => box.value);
+    if (journals.length > 0) {
+      filters.journals = journals;
+    }
+    const type = document.getElementById('physchat-filter-type').value;
+    if (type) {
+      filters.articleTypes = [type];
+    }
+    const start = parseInt(document.getElementById('physchat-filter-start').value, 10);
+    const end = parseInt(document.getElementById('physchat-filter-end').value, 10);
+    if (start || end) {
+      filters.dateRange = {};
+      if (start) filters.dateRange.start = `${start}-01-01`;
+      if (end) filters.dateRange.end = `${end}-12-31`;
+    }
+    return Object.keys(filters).length > 0 ? filters : null;
+  }
+
+  function setSearchFilters(filters) {
+    const f = filters || {};
+    document.querySelectorAll('#physchat-filters input[name="journal"]').forEach(box => {
+      box.checked = (f.journals || []).includes(box.value);
+    });
+    document.getElementById('physchat-filter-type').value = (f.articleTypes || [])[0] || '';
+    document.getElementById('physchat-filter-start').value = f.dateRange && f.dateRange.start ? f.dateRange.start.substring(0, 4) : '';
+    document.getElementById('physchat-filter-end').value = f.dateRange && f.dateRange.end ? f.dateRange.end.substring(0, 4) : '';
+    updateFiltersSummary();
+  }
+
+  // Show how many filters are on, and keep the panel open while any are
+  function updateFiltersSummary() {
+    const filters = getSearchFilters();
+    const count = filters ? describeUserFilters(filters).length : 0;
+    document.getElementById('physchat-filters-count').textContent = count > 0 ? count : '';
+    if (count > 0) {
+      document.getElementById('physchat-filters').open = true;
     }
   }
 
+  // Split a query into highlighted runs - fields, phrases, exclusions and the mistakes the worker would reject
+  // Uses the same grammar as the worker; text between terms comes back as 'space'
+  function tokenizeQuery(query) {
+    const runs = [];
+    let last = 0;
+    for (const term of PhysChatQuerySyntax.tokenize(query)) {
+      if (term.start > last) runs.push({ text: query.substring(last, term.start), kind: 'space' });
+      last = term.end;
+
+      const run = { text: query.substring(term.start, term.end), kind: 'text', negate: term.negate };
+      if (term.problem === 'unclosed_quote') {
+        run.kind = 'error';
+        run.problem = 'Missing closing quote';
+      } else if (term.problem === 'missing_value') {
+        run.kind = 'error';
+        run.problem = `${term.field}: needs a value`;
+      } else if (term.field) {
+        run.kind = 'field';
+      } else if (term.phrase) {
+        run.kind = 'phrase';
+      }
+      runs.push(run);
+    }
+    if (last < query.length) runs.push({ text: query.substring(last), kind: 'space' });
+    return runs;
+  }
+
+  // Highlighted copy of the query under the input, shown for simple search when the query uses the syntax
+  function updateQueryPreview() {
+    const preview = document.getElementById('physchat-query-preview');
+    const hints = document.getElementById('physchat-syntax-hints');
+    const simple = !document.getElementById('physchat-use-ai').checked;
+    const tokens = tokenizeQuery(document.getElementById('physchat-search-input').value);
+
+    hints.hidden = !simple;
+    preview.hidden = !simple || !tokens.some(t => t.kind !== 'text' && t.kind !== 'space' || t.negate);
+    if (preview.hidden) return;
+
+    preview.innerHTML = tokens.map(t => {
+      if (t.kind === 'space') return escapeHtml(t.text);
+      const classes = [`physchat-q-${t.kind}`, t.negate ? 'physchat-q-negate' : ''].join(' ').trim();
+      return `<span class="${classes}"${t.problem ? ` title="${escapeHtml(t.problem)}"` : ''}>${escapeHtml(t.text)}</span>`;
+    }).join('');
+  }
+
+  // Insert a syntax hint at the cursor, leaving the cursor where the value goes
+  function insertQuerySyntax(hint) {
+    const input = document.getElementById('physchat-search-input');
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    const before = input.value.substring(0, start);
+    const spacer = before && !/\s$/.test(before) ? ' ' : '';
+    input.value = before + spacer + hint.insert + input.value.substring(end);
+    const caret = before.length + spacer.length + hint.insert.length + (hint.caret || 0);
+    input.focus();
+    input.setSelectionRange(caret, caret);
+    updateQueryPreview();
+  }
+
+  // Store the query and reset the UI - a new search starts a new conversation
+  function startNewSearch(query, showThinking) {
+    currentQuery = query;
+    chatHistory = [];
+    renderChatLog();
+
+    clearThinking();
+    showThinkingPanel(showThinking);
+    showSynthesisPanel(false);
+    showChatPanel(false);
+    setStatus('active');
+    showLoading(true);
+    hideError();
+    hideEmpty();
+    clearResults();
+    clearSearchState();
+  }
+
   // Execute AI-powered search
-  async function executeAISearch(query, sort) {
+  async function executeAISearch(query, sort, aiOptions, filters) {
     logThinking(`<span class="label">Query:</span> <span class="value">"${escapeHtml(query)}"</span>`);
+    if (filters) {
+      logThinking(`<span class="label">Filters:</span> <span class="value">${escapeHtml(describeUserFilters(filters).join(', '))}</span>`);
+    }
     logThinking(`<span class="label">Processing:</span> <span class="highlight">Analyzing with Claude AI...</span>`);
 
-    const results = await performAISearch(query, sort);
+    // Render search progress live as the worker streams it
+    let streamedSteps = 0;
+    let streamedPlan = false;
+    const results = await performAISearch(query, sort, aiOptions, filters, (event, data) => {
+      if (event === 'plan') {
+        streamedPlan = true;
+        logThinking(`<span class="label">Mode:</span> <span class="highlight">📋 Planned Search</span>`);
+        logSearchPlan(data);
+        logThinking(`<span class="label">Running ${data.searches.length} searches:</span>`);
+      } else if (event === 'search') {
+        logPlannedSearch(data, data.index);
+      } else if (event === 'step') {
+        if (streamedSteps === 0) {
+          logThinking(`<span class="label">Mode:</span> <span class="highlight">🤖 Agentic Search</span>`);
+        }
+        streamedSteps++;
+        logAgentStep(data);
+      } else if (event === 'results') {
+        logThinking(`<span class="label">Collected:</span> <span class="value">+${data.papers.length} papers (${data.totalUnique} total)</span>`);
+      } else if (event === 'synthesis') {
+        logThinking(`<span class="label">Synthesis:</span> <span class="highlight">${data.synthesis ? 'Answer drafted from top abstracts' : 'Unavailable'}</span>`);
+        if (data.grounding) {
+          const g = data.grounding;
+          const flagged = g.unsupported + g.uncited;
+          logThinking(`<span class="label">Grounding:</span> <span class="${flagged > 0 ? 'value' : 'success'}">${g.supported + g.weak} of ${g.claims.length} claims backed by cited abstracts${flagged > 0 ? `, ${flagged} flagged` : ''}</span>`);
+        }
+      }
+    });
 
     if (results.error) {
       throw new Error(results.error);
@@ -462,31 +1116,13 @@
       const isAgentic = results.aiAnalysis.mode === 'agentic';
 
       if (isAgentic) {
-        // Agentic mode - show agent's reasoning steps
-        logThinking(`<span class="label">Mode:</span> <span class="highlight">🤖 Agentic Search</span>`);
-
-        // Show each agent step
-        const agentSteps = results.aiAnalysis.agentSteps || [];
-        for (const step of agentSteps) {
-          if (step.type === 'search') {
-            const typeLabel = step.searchType === 'recent' ? ' <span style="color:#fbbf24">[recent]</span>' : '';
-            if (step.status === 'error') {
-              const errorMsg = step.error ? `: ${step.error.substring(0, 50)}` : '';
-              logThinking(`<span class="info">→</span> Search: "${escapeHtml(step.query)}"${typeLabel} <span style="color:#ef4444">- Error${escapeHtml(errorMsg)}</span>`);
-            } else {
-              logThinking(`<span class="info">→</span> Search: "${escapeHtml(step.query)}"${typeLabel} <span class="success">- ${step.totalFound?.toLocaleString() || '?'} found (+${step.newPapers || 0} new)</span>`);
-            }
-          } else if (step.type === 'analysis') {
-            logThinking(`<span class="label">Analysis:</span> <span class="value">${escapeHtml(step.coverage || '')}</span>`);
-            if (step.gaps && step.gaps.length > 0) {
-              logThinking(`<span style="color:#f59e0b">Gaps:</span> ${step.gaps.map(g => escapeHtml(g)).join(', ')}`);
-            }
-          } else if (step.type === 'thinking') {
-            logThinking(`<span class="label">Thinking:</span> <span class="value">${escapeHtml(step.content?.substring(0, 150) || '')}...</span>`);
-          } else if (step.type === 'finish') {
-            logThinking(`<span class="success">✓ Agent finished:</span> <span class="value">${escapeHtml(step.reasoning || '')}</span>`);
-          } else if (step.type === 'max_iterations') {
-            logThinking(`<span style="color:#f59e0b">⚠ ${escapeHtml(step.message || 'Max iterations reached')}</span>`);
+        // Agentic mode - replay agent's reasoning steps unless they were streamed
+        if (streamedSteps === 0) {
+          logThinking(`<span class="label">Mode:</span> <span class="highlight">🤖 Agentic Search</span>`);
+
+          const agentSteps = results.aiAnalysis.agentSteps || [];
+          for (const step of agentSteps) {
+            logAgentStep(step);
           }
         }
 
@@ -496,69 +1132,21 @@
         }
 
       } else {
-        // Legacy mode - original display
-        const intentLabels = {
-          'explainer': 'Understanding a concept',
-          'survey': 'Surveying recent research',
-          'specific': 'Finding specific results',
-          'author': 'Author search',
-          'comparative': 'Comparing concepts'
-        };
-        const intentLabel = intentLabels[results.aiAnalysis.intent] || results.aiAnalysis.intent;
-        logThinking(`<span class="label">Intent:</span> <span class="highlight">${escapeHtml(intentLabel)}</span>`);
-
-        logThinking(`<span class="label">Interpretation:</span> <span class="value">${escapeHtml(results.aiAnalysis.interpretation)}</span>`);
-
-        if (results.aiAnalysis.concepts && results.aiAnalysis.concepts.length > 0) {
-          logThinking(`<span class="label">Concepts:</span> ${results.aiAnalysis.concepts.map(c => `<span class="concept">${escapeHtml(c)}</span>`).join('')}`);
-        }
-
-        // Log searches with full query details including filters
-        if (results.aiAnalysis.searchesRun) {
-          logThinking(`<span class="label">Running ${results.aiAnalysis.searchesRun.length} searches:</span>`);
-          for (let i = 0; i < results.aiAnalysis.searchesRun.length; i++) {
-            const search = results.aiAnalysis.searchesRun[i];
-            let queryStr = search.query ? `"${escapeHtml(search.query)}"` : escapeHtml(search.purpose);
-
-            // Add filter indicators
-            const filters = [];
-            if (search.fields && search.fields.length > 0 && search.fields[0] !== 'all') {
-              filters.push(search.fields.join('+'));
-            }
-            if (search.dateRange && search.dateRange.start) {
-              filters.push(`≥${search.dateRange.start.substring(0, 4)}`);
-            }
-            if (filters.length > 0) {
-              queryStr += ` <span style="color:#888;font-size:10px">[${filters.join(', ')}]</span>`;
-            }
-
-            if (search.error) {
-              logThinking(`<span class="info">${i + 1}.</span> ${queryStr} <span style="color:#ef4444">- Error</span>`);
-            } else {
-              logThinking(`<span class="info">${i + 1}.</span> ${queryStr} <span class="success">- ${search.totalFound?.toLocaleString() || '?'} found</span>`);
-            }
+        // Planned (legacy) mode - replay the plan unless it was streamed
+        if (!streamedPlan) {
+          logThinking(`<span class="label">Mode:</span> <span class="highlight">📋 Planned Search</span>`);
+          logSearchPlan(results.aiAnalysis);
+
+          // Log searches with full query details including filters
+          if (results.aiAnalysis.searchesRun) {
+            logThinking(`<span class="label">Running ${results.aiAnalysis.searchesRun.length} searches:</span>`);
+            results.aiAnalysis.searchesRun.forEach((search, i) => logPlannedSearch(search, i));
           }
         }
       }
     }
 
-    // Log ranking info
-    if (results.ranking && results.ranking.stats) {
-      const stats = results.ranking.stats;
-      if (results.ranking.method === 'agent_curated') {
-        // Agentic mode stats
-        logThinking(`<span class="label">Papers collected:</span> <span class="value">${stats.totalUnique}</span>`);
-        if (stats.agentIterations > 1) {
-          logThinking(`<span class="label">Agent iterations:</span> <span class="value">${stats.agentIterations}</span>`);
-        }
-      } else {
-        // Legacy mode stats
-        logThinking(`<span class="label">Unique articles:</span> <span class="value">${stats.totalUnique}</span>`);
-        if (stats.inMultipleSearches > 0) {
-          logThinking(`<span class="label">Multi-match:</span> <span class="highlight">${stats.inMultipleSearches} articles</span> (boosted)`);
-        }
-      }
-    }
+    logRanking(results);
 
     setStatus('complete');
 
@@ -579,68 +1167,580 @@
     }
   }
 
-  // Execute simple search (non-AI)
-  async function executeSimpleSearch(query, sort) {
-    const results = await performSearch(query, CONFIG.maxResults, sort);
+  // Log how the results were ranked and why the top papers rank where they do
+  function logRanking(results) {
+    if (results.ranking && results.ranking.stats) {
+      const stats = results.ranking.stats;
+      const baseMethod = results.ranking.baseMethod || results.ranking.method;
+      if (baseMethod === 'multi_signal') {
+        // Agentic mode stats
+        logThinking(`<span class="label">Papers collected:</span> <span class="value">${stats.totalUnique}</span>`);
+        if (stats.agentIterations > 1) {
+          logThinking(`<span class="label">Agent iterations:</span> <span class="value">${stats.agentIterations}</span>`);
+        }
+        if (stats.inMultipleSearches > 0) {
+          logThinking(`<span class="label">Multi-match:</span> <span class="highlight">${stats.inMultipleSearches} articles</span> (boosted)`);
+        }
+        if (stats.cacheHits > 0) {
+          logThinking(`<span class="label">Cache hits:</span> <span class="value">${stats.cacheHits} of ${results.ranking.totalSearches} searches</span>`);
+        }
 
-    if (results.error) {
-      throw new Error(results.error);
-    }
+      } else {
+        // Planned (legacy) mode stats
+        logThinking(`<span class="label">Unique articles:</span> <span class="value">${stats.totalUnique}</span>`);
+        if (stats.inMultipleSearches > 0) {
+          logThinking(`<span class="label">Multi-match:</span> <span class="highlight">${stats.inMultipleSearches} articles</span> (boosted)`);
+        }
+        if (stats.cacheHits > 0) {
+          logThinking(`<span class="label">Cache hits:</span> <span class="value">${stats.cacheHits} of ${results.ranking.totalSearches} searches</span>`);
+        }
+      }
 
-    currentResults = results.results || [];
-    currentTotalFound = results.total || currentResults.length;
-    currentAIAnalysis = null;
+      if (stats.bm25) {
+        // Related-work searches score against a whole abstract - list only the first few terms
+        const terms = stats.bm25.queryTerms.slice(0, 8).join(', ') + (stats.bm25.queryTerms.length > 8 ? ', …' : '');
+        logThinking(`<span class="label">Re-ranked:</span> <span class="highlight">BM25</span> <span class="value">${stats.bm25.matched} of ${stats.bm25.documents} papers match ${escapeHtml(terms)}</span>`);
+      }
 
-    displayResults(currentResults, currentTotalFound);
+      // Explain why the top papers rank where they do
+      const topRanked = (results.results || []).filter(r => r.scoreBreakdown || r.bm25Score !== undefined).slice(0, 3);
+      if (topRanked.length > 0) {
+        logThinking(`<span class="label">Top ranked:</span>`);
+        topRanked.forEach((article, i) => {
+          const title = stripHtml(article.title || 'Untitled');
+          const shortTitle = title.length > 60 ? title.substring(0, 60) + '…' : title;
+          logThinking(`<span class="info">#${i + 1}</span> "${escapeHtml(shortTitle)}" <span class="value">- ${escapeHtml(explainRanking(article))}</span>`);
+        });
+      }
+    }
   }
 
-  // Perform AI search API call
-  async function performAISearch(query, sort) {
-    const response = await fetch(`${CONFIG.workerUrl}/ai-search`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
-      },
-      body: JSON.stringify({
-        query: query,
-        limit: CONFIG.maxResults,
-        sort: sort
-      })
-    });
-
-    if (!response.ok) {
-      if (response.status === 401) {
-        authToken = null;
-        isAuthenticated = false;
-        chrome.storage.local.remove('physchat_token');
-        updateAuthUI();
-        throw new Error('Your session has expired. Please sign in again.');
-      }
-      throw new Error('Search failed. Please try again.');
+  // Log a planned search's intent, interpretation and concepts
+  function logSearchPlan(plan) {
+    const intentLabels = {
+      'explainer': 'Understanding a concept',
+      'survey': 'Surveying recent research',
+      'specific': 'Finding specific results',
+      'author': 'Author search',
+      'comparative': 'Comparing concepts'
+    };
+    if (plan.intent) {
+      const intentLabel = intentLabels[plan.intent] || plan.intent;
+      logThinking(`<span class="label">Intent:</span> <span class="highlight">${escapeHtml(intentLabel)}</span>`);
     }
 
-    return response.json();
+    logThinking(`<span class="label">Interpretation:</span> <span class="value">${escapeHtml(plan.interpretation)}</span>`);
+
+    if (plan.concepts && plan.concepts.length > 0) {
+      logThinking(`<span class="label">Concepts:</span> ${plan.concepts.map(c => `<span class="concept">${escapeHtml(c)}</span>`).join('')}`);
+    }
   }
 
-  // Perform simple search API call
-  async function performSearch(query, limit, sort) {
-    const response = await fetch(`${CONFIG.workerUrl}/search`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
-      },
-      body: JSON.stringify({ query, limit, sort })
+  // Log one search from a planned search, with its filters
+  function logPlannedSearch(search, i) {
+    let queryStr = search.query ? `"${escapeHtml(search.query)}"` : escapeHtml(search.purpose);
+
+    // Add filter indicators
+    const filters = describeSearchFilters(search);
+    if (search.dateRange && search.dateRange.start) {
+      filters.push(`≥${search.dateRange.start.substring(0, 4)}`);
+    }
+    if (filters.length > 0) {
+      queryStr += ` <span style="color:#888;font-size:10px">[${escapeHtml(filters.join(', '))}]</span>`;
+    }
+
+    if (search.error) {
+      logThinking(`<span class="info">${i + 1}.</span> ${queryStr} <span style="color:#ef4444">- Error</span>`);
+    } else {
+      const cachedLabel = search.cached ? ' <span class="label">[cached]</span>' : '';
+      logThinking(`<span class="info">${i + 1}.</span> ${queryStr} <span class="success">- ${search.totalFound?.toLocaleString() || '?'} found</span>${cachedLabel}${getDroppedFiltersLabel(search)}`);
+    }
+  }
+
+  // Short labels for a search's field, article type and journal filters
+  function describeSearchFilters(filters) {
+    const labels = [];
+    if (filters.fields && filters.fields.length > 0 && filters.fields[0] !== 'all') {
+      labels.push(filters.fields.join('+'));
+    }
+    if (filters.articleTypes && filters.articleTypes.length > 0) {
+      labels.push(filters.articleTypes.map(t => t === 'review' ? 'reviews' : t).join('/'));
+    }
+    if (filters.journals && filters.journals.length > 0) {
+      labels.push(filters.journals.join('/'));
+    }
+    return labels;
+  }
+
+  // Short labels for the filters picked in the sidebar, years included
+  function describeUserFilters(filters) {
+    const labels = describeSearchFilters(filters);
+    if (filters.dateRange) {
+      const start = (filters.dateRange.start || '').substring(0, 4);
+      const end = (filters.dateRange.end || '').substring(0, 4);
+      labels.push(start && end ? (start === end ? start : `${start}–${end}`) : start ? `≥${start}` : `≤${end}`);
+    }
+    return labels;
+  }
+
+  // Warn when the worker had to run a search without its filters
+  function getDroppedFiltersLabel(search) {
+    return search.constraintsDropped ? ' <span style="color:#f59e0b">[filters not applied]</span>' : '';
+  }
+
+  // Plain-language reasons behind a paper's position - BM25 score and/or multi-signal relevance score
+  function explainRanking(article) {
+    const explanations = [];
+    if (article.bm25Score !== undefined) {
+      const terms = article.bm25MatchedTerms || [];
+      explanations.push(`BM25 ${article.bm25Score}${terms.length > 0 ? ` (${terms.join(', ')})` : ' (no term matches)'}`);
+    }
+    if (article.scoreBreakdown && article.rankingSignals) {
+      explanations.push(explainSignals(article));
+    }
+    return explanations.join(' · ');
+  }
+
+  // Reasons behind a multi-signal relevance score
+  function explainSignals(article) {
+    const signals = article.rankingSignals;
+    const breakdown = article.scoreBreakdown;
+
+    const reasons = [];
+    if (signals.searchHits > 1) {
+      reasons.push(`found by ${signals.searchHits} searches`);
+    }
+    if (signals.bestRank) {
+      reasons.push(`best rank #${signals.bestRank}`);
+    }
+    if (signals.matchedTerms && signals.matchedTerms.length > 0) {
+      reasons.push(`matches ${signals.matchedTerms.join(', ')}`);
+    }
+    if (breakdown.citations > 0) {
+      reasons.push(`${signals.citations.toLocaleString()} citations`);
+    }
+    if (breakdown.recency > 0) {
+      reasons.push(`recent (${signals.year})`);
+    }
+    return `score ${article.relevanceScore}: ${reasons.join('; ')}`;
+  }
+
+  // Log a single agent step to the thinking panel
+  function logAgentStep(step) {
+    if (step.type === 'search') {
+      let typeLabel = step.searchType === 'recent' ? ' <span style="color:#fbbf24">[recent]</span>' : '';
+      const filters = step.filters ? describeSearchFilters(step.filters) : [];
+      if (filters.length > 0) {
+        typeLabel += ` <span style="color:#888;font-size:10px">[${escapeHtml(filters.join(', '))}]</span>`;
+      }
+      if (step.status === 'error') {
+        const errorMsg = step.error ? `: ${step.error.substring(0, 50)}` : '';
+        logThinking(`<span class="info">→</span> Search: "${escapeHtml(step.query)}"${typeLabel} <span style="color:#ef4444">- Error${escapeHtml(errorMsg)}</span>`);
+      } else {
+        const cachedLabel = step.cached ? ' <span class="label">[cached]</span>' : '';
+        logThinking(`<span class="info">→</span> Search: "${escapeHtml(step.query)}"${typeLabel} <span class="success">- ${step.totalFound?.toLocaleString() || '?'} found (+${step.newPapers || 0} new)</span>${cachedLabel}${getDroppedFiltersLabel(step)}`);
+      }
+    } else if (step.type === 'analysis') {
+      logThinking(`<span class="label">Analysis:</span> <span class="value">${escapeHtml(step.coverage || '')}</span>`);
+      if (step.gaps && step.gaps.length > 0) {
+        logThinking(`<span style="color:#f59e0b">Gaps:</span> ${step.gaps.map(g => escapeHtml(g)).join(', ')}`);
+      }
+    } else if (step.type === 'thinking') {
+      logThinking(`<span class="label">Thinking:</span> <span class="value">${escapeHtml(step.content?.substring(0, 150) || '')}...</span>`);
+    } else if (step.type === 'finish') {
+      logThinking(`<span class="success">✓ Agent finished:</span> <span class="value">${escapeHtml(step.reasoning || '')}</span>`);
+    } else if (step.type === 'max_iterations') {
+      logThinking(`<span style="color:#f59e0b">⚠ ${escapeHtml(step.message || 'Max iterations reached')}</span>`);
+    }
+  }
+
+  // Execute simple search (non-AI)
+  async function executeSimpleSearch(query, sort, filters) {
+    const results = await performSearch(query, settings.maxResults, sort, filters);
+
+    if (results.error) {
+      throw new Error(results.error);
+    }
+
+    currentResults = results.results || [];
+    currentTotalFound = results.total || currentResults.length;
+    currentAIAnalysis = null;
+
+    displayResults(currentResults, currentTotalFound);
+  }
+
+  // Perform AI search API call, streaming progress events to onEvent
+  // aiOptions: { mode: 'agentic' | 'planned', ranking: 'default' | 'bm25' }
+  // filters: { journals, articleTypes, dateRange } or null - the agent treats them as hard constraints
+  async function performAISearch(query, sort, aiOptions, filters, onEvent = () => {}) {
+    const response = await postToWorker('/ai-search', {
+      query: query,
+      limit: settings.maxResults,
+      sort: sort,
+      mode: aiOptions.mode,
+      ranking: aiOptions.ranking,
+      filters: filters,
+      stream: true
+    }, { 'Accept': 'text/event-stream' }, searchAbort?.signal);
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        expireSession();
+      }
+      if (response.status === 429) {
+        throw new RateLimitError(getRateLimitMessage(response));
+      }
+      // A rejected mode, ranking or filter - the worker says what is wrong
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Search failed. Please try again.');
+    }
+
+    // Older workers ignore the stream flag and answer with plain JSON
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('text/event-stream')) {
+      return response.json();
+    }
+
+    let finalPayload = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'complete') {
+        finalPayload = data;
+      } else if (event === 'error') {
+        if (data.status === 401) {
+          expireSession();
+        }
+        throw new Error(data.error || 'Search failed. Please try again.');
+      } else {
+        onEvent(event, data);
+      }
+    });
+
+    if (!finalPayload) {
+      throw new Error('Search was interrupted. Please try again.');
+    }
+
+    return finalPayload;
+  }
+
+  // Read a server-sent event stream, dispatching each event as it arrives
+  async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.substring(0, boundary);
+        buffer = buffer.substring(boundary + 2);
+
+        let event = 'message';
+        const dataLines = [];
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event:')) {
+            event = line.substring(6).trim();
+          } else if (line.startsWith('data:')) {
+            dataLines.push(line.substring(5).trim());
+          }
+        }
+
+        if (dataLines.length > 0) {
+          try {
+            onEvent(event, JSON.parse(dataLines.join('\n')));
+          } catch (error) {
+            reader.cancel();
+            throw error;
+          }
+        }
+      }
+    }
+  }
+
+  // Error raised when the worker rate-limits this user
+  class RateLimitError extends Error {}
+
+  // Build a "slow down" message from a 429 response
+  function getRateLimitMessage(response) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    const wait = retryAfter > 0 ? `${retryAfter} second${retryAfter === 1 ? '' : 's'}` : 'a moment';
+    return `Slow down - you've reached the PhysChat request limit. Please wait ${wait} and try again.`;
+  }
+
+  // Clear the stored token after the worker rejects it and abort the search
+  function expireSession() {
+    authToken = null;
+    isAuthenticated = false;
+    chrome.storage.local.remove('physchat_token');
+    updateAuthUI();
+    throw new Error('Your session has expired. Please sign in again.');
+  }
+
+  // Find the article open on this page from its citation meta tags or an /abstract/<doi> URL
+  function detectCurrentArticle() {
+    const meta = (name) => (document.querySelector(`meta[name="${name}"]`)?.content || '').trim();
+    const pathMatch = window.location.pathname.match(/^\/[a-z]+\/(?:abstract|article|pdf)\/(10\.\d{4,9}\/[^?#]+)$/i);
+    const doi = (meta('citation_doi') || (pathMatch ? decodeURIComponent(pathMatch[1]) : '')).replace(/^doi:/i, '');
+    if (!doi) return null;
+
+    const abstractEl = document.querySelector('#abstract-section-content, section.abstract .content, .abstract');
+    return {
+      doi: doi,
+      title: meta('citation_title') || meta('dc.title') || document.title,
+      abstract: (abstractEl ? abstractEl.textContent.trim() : '') || meta('citation_abstract') || meta('description'),
+      authors: [...document.querySelectorAll('meta[name="citation_author"]')].map(m => m.content.trim()),
+      journal: meta('citation_journal_title'),
+      date: meta('citation_publication_date') || meta('citation_date'),
+      url: `${window.location.origin}${window.location.pathname}`
+    };
+  }
+
+  // Offer related work for the article on this page
+  function showCurrentArticle(article) {
+    currentArticle = article;
+    const bar = document.getElementById('physchat-article-bar');
+    if (!article) {
+      bar.classList.remove('visible');
+      return;
+    }
+    document.getElementById('physchat-article-title').textContent = stripHtml(article.title);
+    bar.classList.add('visible');
+  }
+
+  // Handle the related work / citing papers / ask buttons
+  async function handleArticleAction(action) {
+    if (!currentArticle) return;
+
+    if (!isAuthenticated) {
+      showError('Please sign in to search articles.');
+      return;
+    }
+
+    const title = stripHtml(currentArticle.title);
+
+    if (action === 'ask') {
+      startPaperChat(title);
+      return;
+    }
+
+    startNewSearch(title, true);
+
+    try {
+      await executeRelatedSearch(action);
+      saveSearchState();
+      showChatPanel(currentResults.length > 0);
+    } catch (error) {
+      console.error('PhysChat related search error:', error);
+      setStatus('error');
+      showError(error.message || 'Failed to find related papers. Please try again.', error instanceof RateLimitError);
+    } finally {
+      showLoading(false);
+    }
+  }
+
+  // Find papers related to, or citing, the article on this page
+  async function executeRelatedSearch(mode) {
+    logThinking(`<span class="label">Paper:</span> <span class="value">"${escapeHtml(currentQuery)}"</span>`);
+
+    const response = await postToWorker('/related', {
+      paper: { doi: currentArticle.doi, title: currentArticle.title, abstract: currentArticle.abstract },
+      mode: mode
     });
 
     if (!response.ok) {
       if (response.status === 401) {
-        authToken = null;
-        isAuthenticated = false;
-        chrome.storage.local.remove('physchat_token');
-        updateAuthUI();
-        throw new Error('Your session has expired. Please sign in again.');
+        expireSession();
+      }
+      if (response.status === 429) {
+        throw new RateLimitError(getRateLimitMessage(response));
+      }
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to find related papers. Please try again.');
+    }
+
+    const results = await response.json();
+
+    if (mode === 'citing') {
+      const citing = results.citing;
+      logThinking(`<span class="label">Mode:</span> <span class="highlight">🔗 Citing Papers</span>`);
+      logThinking(`<span class="label">Cited by:</span> <span class="value">${citing.total} works, ${citing.aps} in APS journals</span>`);
+      if (citing.constraintsDropped) {
+        logThinking(`<span class="label">Note:</span> <span class="value">The citing papers could not be fetched from APS search</span>`);
+      } else if (citing.aps > citing.requested) {
+        logThinking(`<span class="label">Showing:</span> <span class="value">${citing.found} most recent</span>`);
+      }
+    } else {
+      logThinking(`<span class="label">Mode:</span> <span class="highlight">🧭 Related Work</span>`);
+      logSearchPlan(results.aiAnalysis);
+      const searchesRun = results.aiAnalysis.searchesRun || [];
+      logThinking(`<span class="label">Running ${searchesRun.length} searches:</span>`);
+      searchesRun.forEach((search, i) => logPlannedSearch(search, i));
+      logRanking(results);
+    }
+
+    setStatus('complete');
+
+    currentResults = results.results || [];
+    currentTotalFound = mode === 'citing'
+      ? results.citing.aps
+      : (results.ranking?.stats?.totalUnique || currentResults.length);
+    currentAIAnalysis = results.aiAnalysis || null;
+
+    renderSynthesis(currentResults, currentTotalFound, currentAIAnalysis);
+    displayResults(currentResults, currentTotalFound);
+
+    if (currentResults.length > 0) {
+      fetchAISummaries(currentResults.slice(0, 5), currentQuery);
+    }
+  }
+
+  // Start a follow-up conversation about just the article on this page
+  function startPaperChat(title) {
+    startNewSearch(title, false);
+    showLoading(false);
+    setStatus('complete');
+
+    currentResults = [{ ...currentArticle }];
+    currentTotalFound = 1;
+    currentAIAnalysis = null;
+
+    displayResults(currentResults, currentTotalFound);
+    saveSearchState();
+    showChatPanel(true);
+    document.getElementById('physchat-chat-input').focus();
+  }
+
+  // Handle a follow-up question about the current results
+  async function handleChatSubmit(event) {
+    event.preventDefault();
+    if (chatPending) return;
+
+    const input = document.getElementById('physchat-chat-input');
+    const message = sanitizeInput(input.value.trim());
+    if (!message || currentResults.length === 0) return;
+
+    if (!isAuthenticated) {
+      showError('Please sign in to ask follow-up questions.');
+      return;
+    }
+
+    input.value = '';
+    chatHistory.push({ role: 'user', content: message });
+    chatPending = true;
+    renderChatLog();
+    hideError();
+
+    try {
+      const reply = await performChat(message);
+
+      const turn = { role: 'assistant', content: reply.reply || '', action: reply.action };
+      if (reply.action === 'filter' || reply.action === 'search') {
+        // The result set changed - the original synthesis no longer matches its citations
+        currentResults = reply.results || [];
+        currentTotalFound = reply.action === 'search' ? (reply.total || currentResults.length) : currentResults.length;
+        currentAIAnalysis = null;
+        turn.note = reply.action === 'filter'
+          ? `Kept ${currentResults.length} papers`
+          : `New search: "${reply.search?.query || ''}" - ${currentResults.length} papers`;
+
+        clearResults();
+        renderSynthesis(currentResults, currentTotalFound, currentAIAnalysis);
+        displayResults(currentResults, currentTotalFound);
+        if (currentResults.length > 0) {
+          fetchAISummaries(currentResults.slice(0, 5), currentQuery);
+        } else {
+          showEmpty();
+        }
+      }
+      // Remember what each [n] pointed to now - later turns may change the result set
+      turn.refs = {};
+      for (const [, num] of turn.content.matchAll(/\[(\d+)\]/g)) {
+        const paper = currentResults[parseInt(num, 10) - 1];
+        if (paper) {
+          turn.refs[num] = { url: paper.url || `https://doi.org/${paper.doi}`, title: stripHtml(paper.title || '') };
+        }
+      }
+      chatHistory.push(turn);
+      saveSearchState();
+    } catch (error) {
+      console.error('PhysChat chat error:', error);
+      // Drop the unanswered question so the conversation stays consistent
+      chatHistory.pop();
+      input.value = message;
+      showError(error.message || 'Follow-up failed. Please try again.', error instanceof RateLimitError);
+    } finally {
+      chatPending = false;
+      renderChatLog();
+    }
+  }
+
+  // Send a follow-up with the current query, results, conversation and filters
+  async function performChat(message) {
+    const response = await postToWorker('/chat', {
+      message: message,
+      query: currentQuery,
+      results: currentResults.slice(0, 20),
+      history: chatHistory.slice(0, -1).map(turn => ({ role: turn.role, content: turn.content })),
+      filters: getSearchFilters()
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        expireSession();
+      }
+      if (response.status === 429) {
+        throw new RateLimitError(getRateLimitMessage(response));
+      }
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Follow-up failed. Please try again.');
+    }
+
+    return response.json();
+  }
+
+  // Render the follow-up conversation
+  function renderChatLog() {
+    const log = document.getElementById('physchat-chat-log');
+    const turns = chatHistory.map(turn => {
+      if (turn.role === 'user') {
+        return `<div class="physchat-chat-msg user">${escapeHtml(turn.content)}</div>`;
+      }
+      const note = turn.note ? `<div class="physchat-chat-note">${escapeHtml(turn.note)}</div>` : '';
+      const html = escapeHtml(turn.content).replace(/\[(\d+)\]/g, (match, num) => {
+        const ref = turn.refs && turn.refs[num];
+        return ref
+          ? `<a href="${escapeHtml(ref.url)}" target="_blank" rel="noopener" class="physchat-ref-link" title="${escapeHtml(ref.title)}">[${num}]</a>`
+          : match;
+      });
+      return `<div class="physchat-chat-msg assistant">${note}${html}</div>`;
+    });
+    if (chatPending) {
+      turns.push('<div class="physchat-chat-msg assistant pending">Thinking...</div>');
+    }
+    log.innerHTML = turns.join('');
+    log.scrollTop = log.scrollHeight;
+    document.getElementById('physchat-chat-btn').disabled = chatPending;
+  }
+
+  // Perform simple search API call
+  async function performSearch(query, limit, sort, filters = null) {
+    const response = await postToWorker('/search', { query, limit, sort, ...filters }, {}, searchAbort?.signal);
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        expireSession();
+      }
+      // Malformed query syntax - the worker says what is wrong
+      if (response.status === 400) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Search failed. Please try again.');
+      }
+      if (response.status === 429) {
+        throw new RateLimitError(getRateLimitMessage(response));
       }
       throw new Error('Search failed. Please try again.');
     }
@@ -677,19 +1777,13 @@
     const synthesis = aiAnalysis?.synthesis;
 
     if (synthesis) {
-      // Convert [1], [2] references to clickable links
-      let synthesisHtml = escapeHtml(synthesis);
-
-      // Replace [n] with clickable links to papers (open in new tab)
-      synthesisHtml = synthesisHtml.replace(/\[(\d+)\]/g, (match, num) => {
-        const idx = parseInt(num, 10) - 1;
-        if (idx >= 0 && idx < results.length) {
-          const paper = results[idx];
-          const url = paper.url || `https://doi.org/${paper.doi}`;
-          return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="physchat-ref-link" title="${escapeHtml(stripHtml(paper.title || ''))}">[${num}]</a>`;
-        }
-        return match;
-      });
+      const grounding = aiAnalysis.synthesisGrounding;
+
+      // Only papers actually sent to Claude can be cited
+      const citable = grounding ? Math.min(grounding.papersSupplied, results.length) : results.length;
+      const synthesisHtml = grounding
+        ? grounding.claims.map((claim, i) => renderGroundedClaim(claim, i, results, citable)).join(' ')
+        : linkCitations(PhysChatMath.renderText(synthesis), results, citable);
 
       // Show the AI answer
       panel.innerHTML = `
@@ -697,11 +1791,24 @@
           <div class="physchat-synthesis-text">${synthesisHtml}</div>
           <div class="physchat-synthesis-meta">
             <span class="physchat-synthesis-stat"><strong>${totalFound}</strong> articles found</span>
-            <span class="physchat-synthesis-badge">Based on abstracts</span>
+            ${grounding ? renderGroundingBadge(grounding) : '<span class="physchat-synthesis-badge">Based on abstracts</span>'}
           </div>
         </div>
       `;
 
+      // Hovering a claim highlights its quoted evidence in the result cards
+      if (grounding) {
+        panel.querySelectorAll('.physchat-claim').forEach(claimEl => {
+          const claim = grounding.claims[parseInt(claimEl.dataset.claim, 10)];
+          claimEl.addEventListener('mouseenter', () => highlightEvidence(claim));
+          claimEl.addEventListener('mouseleave', clearEvidenceHighlight);
+          claimEl.addEventListener('click', (e) => {
+            if (e.target.closest('a')) return;
+            scrollToEvidence(claim);
+          });
+        });
+      }
+
     } else {
       // Fallback to simple stats
       const concepts = extractConcepts(results);
@@ -717,6 +1824,97 @@
     showSynthesisPanel(true);
   }
 
+  // Replace [n] with clickable links to papers (open in new tab); citations of papers
+  // that were never supplied are struck through instead of linked
+  function linkCitations(html, results, citable) {
+    return html.replace(/\[(\d+)\]/g, (match, num) => {
+      const idx = parseInt(num, 10) - 1;
+      if (idx >= 0 && idx < citable) {
+        const paper = results[idx];
+        const url = paper.url || `https://doi.org/${paper.doi}`;
+        return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="physchat-ref-link" title="${escapeHtml(stripHtml(paper.title || ''))}">[${num}]</a>`;
+      }
+      return `<span class="physchat-ref-invalid" title="No such paper was given to the AI">${match}</span>`;
+    });
+  }
+
+  // One synthesis claim with its citations and grounding indicator
+  function renderGroundedClaim(claim, index, results, citable) {
+    const labels = {
+      'supported': 'Supported by the cited abstract',
+      'weak': 'Weakly supported by the cited abstract',
+      'unsupported': 'Not supported by the cited abstracts',
+      'uncited': 'No citation given'
+    };
+    let title = `${labels[claim.status] || claim.status} (${Math.round(claim.support * 100)}% of terms found)`;
+    if (claim.invalidCitations.length > 0) {
+      title += ` - cites missing paper ${claim.invalidCitations.map(n => `[${n}]`).join(', ')}`;
+    }
+    const missingQuotes = (claim.evidence || []).filter(e => !e.found).length;
+    if (missingQuotes > 0) {
+      title += ` - ${missingQuotes} quote${missingQuotes === 1 ? '' : 's'} not found in the abstract`;
+    }
+
+    // Citation markers go before the closing punctuation
+    const markers = [...claim.citations, ...claim.invalidCitations].map(n => ` [${n}]`).join('');
+    const match = claim.text.match(/^(.*?)([.!?])$/);
+    const text = match ? `${match[1]}${markers}${match[2]}` : `${claim.text}${markers}`;
+
+    return `<span class="physchat-claim ${escapeHtml(claim.status)}" data-claim="${index}">${linkCitations(PhysChatMath.renderText(text), results, citable)}<span class="physchat-grounding-dot" title="${escapeHtml(title)}"></span></span>`;
+  }
+
+  // Show a claim's verified quotes inside the result cards they come from
+  function highlightEvidence(claim) {
+    clearEvidenceHighlight();
+    const quotesByPaper = new Map();
+    for (const evidence of claim.evidence || []) {
+      if (!evidence.found) continue;
+      if (!quotesByPaper.has(evidence.paper)) quotesByPaper.set(evidence.paper, []);
+      quotesByPaper.get(evidence.paper).push(evidence.quote);
+    }
+    // Claims without verified quotes still point at the papers they cite
+    for (const n of claim.citations) {
+      if (!quotesByPaper.has(n)) quotesByPaper.set(n, []);
+    }
+
+    quotesByPaper.forEach((quotes, paper) => {
+      const card = document.querySelector(`#physchat-results-list .physchat-result-card[data-rank="${paper}"]`);
+      if (!card) return;
+      card.classList.add('evidence-highlight');
+      if (quotes.length > 0) {
+        const box = document.createElement('div');
+        box.className = 'physchat-evidence-quote';
+        box.innerHTML = quotes.map(q => `<mark>“${escapeHtml(q)}”</mark>`).join(' ');
+        card.querySelector('.physchat-result-authors').insertAdjacentElement('afterend', box);
+      }
+    });
+  }
+
+  // Remove evidence highlighting from all result cards
+  function clearEvidenceHighlight() {
+    document.querySelectorAll('#physchat-results-list .physchat-evidence-quote').forEach(el => el.remove());
+    document.querySelectorAll('#physchat-results-list .evidence-highlight').forEach(el => el.classList.remove('evidence-highlight'));
+  }
+
+  // Bring the first card backing a claim into view
+  function scrollToEvidence(claim) {
+    const paper = (claim.evidence || []).find(e => e.found)?.paper || claim.citations[0];
+    const card = paper && document.querySelector(`#physchat-results-list .physchat-result-card[data-rank="${paper}"]`);
+    if (card) {
+      highlightEvidence(claim);
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  // Summary badge for the synthesis grounding check
+  function renderGroundingBadge(grounding) {
+    const flagged = grounding.unsupported + grounding.uncited;
+    if (flagged === 0) {
+      return `<span class="physchat-synthesis-badge">${grounding.claims.length} of ${grounding.claims.length} claims grounded</span>`;
+    }
+    return `<span class="physchat-synthesis-badge flagged">${flagged} claim${flagged === 1 ? '' : 's'} not grounded</span>`;
+  }
+
   // Display search results
   function displayResults(results, total) {
     const resultsContainer = document.getElementById('physchat-results-list');
@@ -729,15 +1927,29 @@
     // Extract concepts for tagging
     const allConcepts = extractConcepts(results);
 
+    // A new result set starts with nothing selected or narrowed
+    selectedResults = new Set();
+    activeFacets = {};
+
     // Results header
     let html = `
       <div class="physchat-results-header">
         <h2>Articles</h2>
         <div style="display:flex;align-items:center;gap:8px;">
           <span class="physchat-results-count">${total.toLocaleString()} found</span>
+          ${currentQuery ? '<button id="physchat-watch-search" class="physchat-watch-btn" title="Check this search for new papers every few hours"></button>' : ''}
           <button id="physchat-clear-results" style="background:none;border:1px solid #ccc;border-radius:3px;padding:2px 6px;font-size:10px;color:#666;cursor:pointer;">Clear</button>
         </div>
       </div>
+      <div class="physchat-export-bar">
+        <span id="physchat-export-scope"></span>
+        <select id="physchat-export-format" class="physchat-sort-select" title="Citation format">
+          ${Object.entries(PhysChatCitations.FORMATS).map(([value, f]) => `<option value="${value}" ${value === exportFormat ? 'selected' : ''}>${f.label}</option>`).join('')}
+        </select>
+        <button type="button" class="physchat-export-btn" data-export="copy">Copy</button>
+        <button type="button" class="physchat-export-btn" data-export="download">Download</button>
+      </div>
+      <div class="physchat-facets" id="physchat-facets"></div>
     `;
 
     // Result cards
@@ -757,6 +1969,642 @@
     if (clearBtn) {
       clearBtn.addEventListener('click', handleClearResults);
     }
+
+    // Watch this search for new papers
+    const watchBtn = document.getElementById('physchat-watch-search');
+    if (watchBtn) {
+      watchBtn.addEventListener('click', toggleWatchSearch);
+      updateWatchButton();
+    }
+
+    // Citation export - per card and for the whole (or selected) set
+    document.getElementById('physchat-export-format').addEventListener('change', (e) => {
+      exportFormat = e.target.value;
+      chrome.storage.local.set({ physchat_export_format: exportFormat });
+    });
+    resultsContainer.querySelectorAll('.physchat-export-btn').forEach(btn => {
+      btn.addEventListener('click', () => exportCitations(getExportSelection(), exportFormat, btn.dataset.export, btn));
+    });
+    resultsContainer.querySelectorAll('.physchat-cite-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const article = currentResults[parseInt(btn.dataset.index, 10)];
+        if (article) exportCitations([article], btn.dataset.format, 'copy', btn);
+      });
+    });
+    resultsContainer.querySelectorAll('.physchat-save-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const article = currentResults[parseInt(btn.dataset.index, 10)];
+        if (article) openSaveForm(btn.closest('.physchat-result-card'), article);
+      });
+    });
+    resultsContainer.querySelectorAll('.physchat-result-select').forEach(box => {
+      box.addEventListener('change', () => {
+        const index = parseInt(box.dataset.index, 10);
+        if (box.checked) selectedResults.add(index);
+        else selectedResults.delete(index);
+        updateExportScope();
+      });
+    });
+    document.getElementById('physchat-facets').addEventListener('click', handleFacetClick);
+    renderFacets();
+    updateExportScope();
+  }
+
+  // Value of a facet for one paper - null when the paper doesn't say
+  function getFacetValue(article, facet) {
+    if (facet === 'journal') return article.journal || null;
+    if (facet === 'year') return article.date ? String(article.date).substring(0, 4) : null;
+    if (facet === 'type') return article.articleType || null;
+    return null;
+  }
+
+  function matchesFacets(article, except = null) {
+    return Object.entries(activeFacets).every(([facet, value]) => facet === except || getFacetValue(article, facet) === value);
+  }
+
+  // Journal, year and type counts over the returned papers - each facet counts the papers the other facets leave
+  function renderFacets() {
+    const container = document.getElementById('physchat-facets');
+    if (!container) return;
+
+    const groups = Object.keys(FACET_LABELS).map(facet => {
+      const counts = new Map();
+      for (const article of currentResults) {
+        const value = getFacetValue(article, facet);
+        if (value && matchesFacets(article, facet)) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      }
+      const values = [...counts.entries()].sort((a, b) => facet === 'year' ? b[0].localeCompare(a[0]) : b[1] - a[1]);
+      return { facet, values };
+    }).filter(group => group.values.length > 1 || activeFacets[group.facet]);
+
+    const shown = currentResults.filter(article => matchesFacets(article)).length;
+    container.hidden = groups.length === 0;
+    container.innerHTML = groups.map(group => `
+      <div class="physchat-facet-group">
+        <span class="physchat-filter-label">${FACET_LABELS[group.facet]}</span>
+        ${group.values.map(([value, count]) => `<button type="button" class="physchat-facet ${activeFacets[group.facet] === value ? 'active' : ''}" data-facet="${group.facet}" data-value="${escapeHtml(value)}">${escapeHtml(value)} <span>${count}</span></button>`).join('')}
+      </div>
+    `).join('') + (Object.keys(activeFacets).length > 0
+      ? `<div class="physchat-facet-status">Showing ${shown} of ${currentResults.length} <button type="button" class="physchat-link-btn" data-facet-reset>Show all</button></div>`
+      : '');
+  }
+
+  // Narrow the displayed results to a facet value, or widen them again - the search itself isn't re-run
+  function handleFacetClick(event) {
+    if (event.target.closest('[data-facet-reset]')) {
+      activeFacets = {};
+    } else {
+      const chip = event.target.closest('.physchat-facet');
+      if (!chip) return;
+      const { facet, value } = chip.dataset;
+      if (activeFacets[facet] === value) {
+        delete activeFacets[facet];
+      } else {
+        activeFacets[facet] = value;
+      }
+    }
+
+    document.querySelectorAll('#physchat-results-list .physchat-result-card').forEach(card => {
+      const article = currentResults[parseInt(card.dataset.rank, 10) - 1];
+      card.hidden = Boolean(article) && !matchesFacets(article);
+    });
+    renderFacets();
+    updateExportScope();
+  }
+
+  function loadWatchedSearches() {
+    chrome.storage.local.get(['physchat_watches'], (result) => {
+      watchedSearches = result.physchat_watches || [];
+      updateWatchButton();
+    });
+  }
+
+  // The watch for the current query and sort, if there is one
+  function findCurrentWatch() {
+    const sort = document.getElementById('physchat-sort-select').value;
+    return watchedSearches.find(w => w.query.toLowerCase() === currentQuery.toLowerCase() && w.sort === sort);
+  }
+
+  function updateWatchButton() {
+    const button = document.getElementById('physchat-watch-search');
+    if (!button) return;
+    const watching = Boolean(findCurrentWatch());
+    button.textContent = watching ? '✓ Watching' : 'Watch';
+    button.classList.toggle('active', watching);
+  }
+
+  // Start or stop watching the current search - background.js does the polling
+  async function toggleWatchSearch() {
+    const button = document.getElementById('physchat-watch-search');
+    const watch = findCurrentWatch();
+    button.disabled = true;
+    try {
+      if (watch) {
+        await chrome.runtime.sendMessage({ type: 'UNWATCH_SEARCH', id: watch.id });
+      } else {
+        await chrome.runtime.sendMessage({
+          type: 'WATCH_SEARCH',
+          query: currentQuery,
+          sort: document.getElementById('physchat-sort-select').value
+        });
+      }
+    } catch (error) {
+      console.error('PhysChat watch error:', error);
+      showError('Could not update the watched search. Please try again.');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // Papers to export - the selected ones, or all of the shown ones when nothing is selected
+  function getExportSelection() {
+    if (selectedResults.size === 0) return currentResults.filter(article => matchesFacets(article));
+    return [...selectedResults].sort((a, b) => a - b).map(i => currentResults[i]).filter(Boolean);
+  }
+
+  function updateExportScope() {
+    const scope = document.getElementById('physchat-export-scope');
+    if (!scope) return;
+    scope.textContent = selectedResults.size > 0
+      ? `Export ${selectedResults.size} selected`
+      : `Export all ${getExportSelection().length}`;
+  }
+
+  // Copy or download citations, confirming on the button that was clicked
+  async function exportCitations(articles, format, action, button) {
+    if (articles.length === 0) return;
+    try {
+      if (action === 'download') {
+        PhysChatCitations.download(articles, format);
+      } else {
+        await PhysChatCitations.copyToClipboard(articles, format);
+      }
+      const label = button.textContent;
+      button.textContent = action === 'download' ? 'Saved' : 'Copied';
+      button.classList.add('done');
+      setTimeout(() => {
+        button.textContent = label;
+        button.classList.remove('done');
+      }, 1200);
+    } catch (error) {
+      console.error('PhysChat export error:', error);
+      showError('Could not export citations. Please try again.');
+    }
+  }
+
+  // Switch between the search and collections views
+  function showView(view) {
+    document.querySelectorAll('.physchat-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view);
+    });
+    document.querySelectorAll('.physchat-view').forEach(panel => {
+      panel.classList.toggle('active', panel.id === `physchat-${view}-view`);
+    });
+  }
+
+  // Reload collections from storage and refresh everything that shows them
+  async function loadCollections() {
+    try {
+      collections = await PhysChatCollections.load();
+    } catch (error) {
+      console.error('PhysChat collections load error:', error);
+      collections = [];
+    }
+    savedPapers = PhysChatCollections.savedIndex(collections);
+    if (activeCollectionId !== 'all' && !collections.some(c => c.id === activeCollectionId)) {
+      activeCollectionId = 'all';
+    }
+    const total = collections.reduce((n, c) => n + c.papers.length, 0);
+    document.getElementById('physchat-collections-count').textContent = total > 0 ? total : '';
+    renderCollections();
+    updateSavedMarkers();
+  }
+
+  // Saved papers in the chosen collection(s) that match the filter text or a tag
+  function getVisibleSavedPapers() {
+    const filter = document.getElementById('physchat-collection-filter').value.trim().toLowerCase().replace(/^#/, '');
+    const items = [];
+    for (const collection of collections) {
+      if (activeCollectionId !== 'all' && collection.id !== activeCollectionId) continue;
+      for (const paper of collection.papers) {
+        const text = [stripHtml(paper.title), (paper.authors || []).join(' '), paper.journal, paper.note].join(' ').toLowerCase();
+        if (!filter || text.includes(filter) || paper.tags.some(tag => tag.startsWith(filter))) {
+          items.push({ collection, paper });
+        }
+      }
+    }
+    return items;
+  }
+
+  // Render the collections view
+  function renderCollections() {
+    const select = document.getElementById('physchat-collection-select');
+    const total = collections.reduce((n, c) => n + c.papers.length, 0);
+    select.innerHTML = `<option value="all">All collections (${total})</option>` +
+      collections.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${c.papers.length})</option>`).join('');
+    select.value = activeCollectionId;
+
+    const list = document.getElementById('physchat-collections-list');
+    const items = getVisibleSavedPapers();
+    document.getElementById('physchat-collection-export-scope').textContent = `Export ${items.length} shown`;
+    document.querySelectorAll('#physchat-collections-view .physchat-export-btn').forEach(btn => {
+      btn.disabled = items.length === 0;
+    });
+
+    if (collections.length === 0) {
+      list.innerHTML = '<p class="physchat-collections-empty">No collections yet. Create one above, or use Save on any result card.</p>';
+      return;
+    }
+
+    // Group by collection; empty collections still show so they can be deleted
+    const shown = activeCollectionId === 'all' ? collections : collections.filter(c => c.id === activeCollectionId);
+    list.innerHTML = shown.map(collection => {
+      const papers = items.filter(item => item.collection === collection);
+      return `
+        <div class="physchat-collection" data-collection="${escapeHtml(collection.id)}">
+          <div class="physchat-collection-header">
+            <h3>${escapeHtml(collection.name)}</h3>
+            <span class="physchat-results-count">${collection.papers.length} saved</span>
+            <button type="button" class="physchat-link-btn" data-action="delete-collection">Delete</button>
+          </div>
+          ${papers.length > 0
+            ? papers.map(item => renderSavedPaper(item.paper)).join('')
+            : `<p class="physchat-collections-empty">${collection.papers.length > 0 ? 'No papers match the filter.' : 'Empty - use Save on a result card.'}</p>`}
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.physchat-article-link').forEach(link => {
+      link.addEventListener('click', handleArticleClick);
+    });
+  }
+
+  function renderSavedPaper(paper) {
+    const url = paper.url || `https://doi.org/${paper.doi}`;
+    const meta = [paper.journal, formatDate(paper.date)].filter(Boolean).join(' · ');
+    return `
+      <div class="physchat-saved-paper" data-key="${escapeHtml(PhysChatCollections.paperKey(paper))}">
+        <a href="${escapeHtml(url)}" class="physchat-saved-title physchat-article-link" data-url="${escapeHtml(url)}">${escapeHtml(stripHtml(paper.title))}</a>
+        <div class="physchat-saved-meta">${escapeHtml(formatAuthors(paper.authors))}${meta ? ` · ${escapeHtml(meta)}` : ''}</div>
+        ${paper.tags.length > 0 ? `<div class="physchat-saved-tags">${paper.tags.map(tag => `<button type="button" class="physchat-tag" data-action="filter-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}</div>` : ''}
+        ${paper.note ? `<div class="physchat-saved-note">${escapeHtml(paper.note)}</div>` : ''}
+        <div class="physchat-saved-actions">
+          <button type="button" class="physchat-link-btn" data-action="edit-paper">Edit</button>
+          <button type="button" class="physchat-link-btn" data-action="remove-paper">Remove</button>
+        </div>
+        <form class="physchat-save-form physchat-edit-form" hidden>
+          <input type="text" name="tags" value="${escapeHtml(paper.tags.join(', '))}" placeholder="Tags, comma separated" autocomplete="off" />
+          <textarea name="note" rows="2" placeholder="Note">${escapeHtml(paper.note)}</textarea>
+          <div class="physchat-save-form-actions">
+            <button type="submit">Save</button>
+            <button type="button" data-action="cancel-edit">Cancel</button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+
+  async function handleCreateCollection(event) {
+    event.preventDefault();
+    const input = document.getElementById('physchat-new-collection-input');
+    const name = input.value.trim();
+    if (!name) return;
+    try {
+      const collection = await PhysChatCollections.createCollection(name);
+      input.value = '';
+      activeCollectionId = collection.id;
+      await loadCollections();
+    } catch (error) {
+      console.error('PhysChat collection error:', error);
+      showError('Could not create the collection. Please try again.');
+    }
+  }
+
+  // Delete/edit/remove/tag-filter buttons in the collections list
+  async function handleCollectionsClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const collectionId = button.closest('.physchat-collection')?.dataset.collection;
+    const paperEl = button.closest('.physchat-saved-paper');
+    const action = button.dataset.action;
+
+    try {
+      if (action === 'delete-collection') {
+        const collection = collections.find(c => c.id === collectionId);
+        if (collection && (collection.papers.length === 0 || window.confirm(`Delete "${collection.name}" and its ${collection.papers.length} saved papers?`))) {
+          await PhysChatCollections.deleteCollection(collectionId);
+        }
+      } else if (action === 'remove-paper') {
+        await PhysChatCollections.removePaper(collectionId, paperEl.dataset.key);
+      } else if (action === 'edit-paper' || action === 'cancel-edit') {
+        paperEl.querySelector('.physchat-edit-form').hidden = action === 'cancel-edit';
+        return;
+      } else if (action === 'filter-tag') {
+        document.getElementById('physchat-collection-filter').value = `#${button.dataset.tag}`;
+        renderCollections();
+        return;
+      }
+      await loadCollections();
+    } catch (error) {
+      console.error('PhysChat collection error:', error);
+      showError('Could not update the collection. Please try again.');
+    }
+  }
+
+  async function handleSavedPaperEdit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const collectionId = form.closest('.physchat-collection').dataset.collection;
+    const key = form.closest('.physchat-saved-paper').dataset.key;
+    try {
+      await PhysChatCollections.updatePaper(collectionId, key, { tags: form.tags.value, note: form.note.value });
+      await loadCollections();
+    } catch (error) {
+      console.error('PhysChat collection error:', error);
+      showError('Could not update the collection. Please try again.');
+    }
+  }
+
+  // Open the save form on a result card
+  function openSaveForm(card, article) {
+    const existing = card.querySelector('.physchat-save-form');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    const key = PhysChatCollections.paperKey(article);
+    const form = document.createElement('form');
+    form.className = 'physchat-save-form';
+    form.innerHTML = `
+      <select name="collection" class="physchat-sort-select">
+        ${collections.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}${c.papers.some(p => PhysChatCollections.paperKey(p) === key) ? ' ★' : ''}</option>`).join('')}
+        <option value="">New collection...</option>
+      </select>
+      <input type="text" name="newName" placeholder="Collection name" autocomplete="off" />
+      <input type="text" name="tags" placeholder="Tags, comma separated" autocomplete="off" />
+      <textarea name="note" rows="2" placeholder="Note"></textarea>
+      <div class="physchat-save-form-actions">
+        <button type="submit">Save</button>
+        <button type="button" data-action="cancel-save">Cancel</button>
+      </div>
+    `;
+
+    // Show the name field only for a new collection, and prefill tags/note if the paper is already there
+    const syncFields = () => {
+      form.newName.hidden = form.collection.value !== '';
+      const saved = collections.find(c => c.id === form.collection.value)?.papers.find(p => PhysChatCollections.paperKey(p) === key);
+      form.tags.value = saved ? saved.tags.join(', ') : '';
+      form.note.value = saved ? saved.note : '';
+    };
+    form.collection.addEventListener('change', syncFields);
+    form.querySelector('[data-action="cancel-save"]').addEventListener('click', () => form.remove());
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      try {
+        let collectionId = form.collection.value;
+        if (!collectionId) {
+          collectionId = (await PhysChatCollections.createCollection(form.newName.value)).id;
+        }
+        await PhysChatCollections.addPaper(collectionId, article, { tags: form.tags.value, note: form.note.value });
+        form.remove();
+        await loadCollections();
+      } catch (error) {
+        console.error('PhysChat save error:', error);
+        showError(error.message === 'Collection name is required' ? 'Enter a name for the new collection.' : 'Could not save the paper. Please try again.');
+      }
+    });
+
+    syncFields();
+    card.appendChild(form);
+    (form.newName.hidden ? form.tags : form.newName).focus();
+  }
+
+  // Mark result cards whose papers are already in a collection
+  function updateSavedMarkers() {
+    document.querySelectorAll('#physchat-results-list .physchat-result-card').forEach(card => {
+      const article = currentResults[parseInt(card.dataset.rank, 10) - 1];
+      const marker = card.querySelector('.physchat-saved-marker');
+      if (!article || !marker) return;
+      const names = savedPapers.get(PhysChatCollections.paperKey(article));
+      marker.hidden = !names;
+      marker.title = names ? `Saved in: ${names.join(', ')}` : '';
+    });
+  }
+
+  // Load search history and the keep-history setting
+  function loadSearchHistory() {
+    chrome.storage.local.get([HISTORY_KEY, 'physchat_history_enabled'], (result) => {
+      historyEnabled = result.physchat_history_enabled !== false;
+      searchHistory = historyEnabled ? (result[HISTORY_KEY] || []) : [];
+      document.getElementById('physchat-history-enabled').checked = historyEnabled;
+      renderSearchHistory();
+    });
+  }
+
+  function saveSearchHistory() {
+    chrome.storage.local.set({ [HISTORY_KEY]: searchHistory });
+  }
+
+  // Record a finished search - its settings, what the AI did and which papers came back
+  function recordSearchHistory(query, useAI, sort, aiOptions, filters) {
+    if (!historyEnabled) return;
+
+    searchHistory.unshift({
+      id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      query: query,
+      useAI: useAI,
+      mode: useAI ? aiOptions.mode : null,
+      ranking: useAI ? aiOptions.ranking : null,
+      sort: sort,
+      filters: filters || null,
+      timestamp: Date.now(),
+      total: currentTotalFound,
+      trace: describeSearchTrace(currentAIAnalysis),
+      papers: currentResults.slice(0, HISTORY_MAX_PAPERS).map(p => ({
+        doi: p.doi || '',
+        url: p.url || '',
+        title: stripHtml(p.title || 'Untitled').substring(0, 200)
+      }))
+    });
+    searchHistory = searchHistory.slice(0, HISTORY_MAX_ENTRIES);
+    saveSearchHistory();
+    renderSearchHistory();
+  }
+
+  // One line per step the AI took - searches run, gap analyses and why it stopped
+  function describeSearchTrace(aiAnalysis) {
+    if (!aiAnalysis) return [];
+    if (aiAnalysis.mode === 'agentic') {
+      return (aiAnalysis.agentSteps || []).map(step => {
+        if (step.type === 'search') {
+          return step.status === 'error'
+            ? `Search "${step.query}" - error`
+            : `Search "${step.query}" - ${step.totalFound?.toLocaleString() || '?'} found (+${step.newPapers || 0} new)`;
+        }
+        if (step.type === 'analysis') return `Analysis: ${step.coverage || ''}`;
+        if (step.type === 'finish') return `Finished: ${step.reasoning || ''}`;
+        if (step.type === 'max_iterations') return step.message || 'Max iterations reached';
+        return null;
+      }).filter(Boolean);
+    }
+    const plan = aiAnalysis.interpretation ? [`Plan: ${aiAnalysis.interpretation}`] : [];
+    return plan.concat((aiAnalysis.searchesRun || []).map(search =>
+      search.status === 'error'
+        ? `Search "${search.query}" - error`
+        : `Search "${search.query}" (${search.purpose || 'search'}) - ${search.totalFound?.toLocaleString() || '?'} found`
+    ));
+  }
+
+  function renderSearchHistory() {
+    const list = document.getElementById('physchat-history-list');
+
+    if (!historyEnabled) {
+      list.innerHTML = '<p class="physchat-collections-empty">Search history is off. Searches are not recorded.</p>';
+      return;
+    }
+    if (searchHistory.length === 0) {
+      list.innerHTML = '<p class="physchat-collections-empty">No searches yet.</p>';
+      return;
+    }
+
+    const modeLabels = { agentic: 'Agentic', planned: 'Planned' };
+    list.innerHTML = searchHistory.map(entry => {
+      const meta = [
+        entry.useAI ? `AI · ${modeLabels[entry.mode] || entry.mode}` : 'Simple',
+        entry.ranking === 'bm25' ? 'BM25' : null,
+        entry.sort === 'recent' ? 'Most recent' : 'Relevance',
+        entry.filters ? describeUserFilters(entry.filters).join(', ') : null,
+        new Date(entry.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+        `${entry.papers.length} papers`
+      ].filter(Boolean).join(' · ');
+      return `
+        <div class="physchat-history-entry" data-id="${escapeHtml(entry.id)}">
+          <div class="physchat-history-query">${escapeHtml(entry.query)}</div>
+          <div class="physchat-saved-meta">${escapeHtml(meta)}</div>
+          <div class="physchat-saved-actions">
+            <button type="button" class="physchat-link-btn" data-action="rerun">Re-run</button>
+            <button type="button" class="physchat-link-btn" data-action="compare" title="Re-run and show what changed">Compare</button>
+            ${entry.trace.length > 0 ? '<button type="button" class="physchat-link-btn" data-action="trace">Trace</button>' : ''}
+            <button type="button" class="physchat-link-btn" data-action="delete">Delete</button>
+          </div>
+          ${entry.trace.length > 0 ? `<ol class="physchat-history-trace" hidden>${entry.trace.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ol>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  function handleHistoryClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const entryEl = button.closest('.physchat-history-entry');
+    const entry = searchHistory.find(e => e.id === entryEl.dataset.id);
+    if (!entry) return;
+
+    if (button.dataset.action === 'trace') {
+      const trace = entryEl.querySelector('.physchat-history-trace');
+      trace.hidden = !trace.hidden;
+    } else if (button.dataset.action === 'delete') {
+      searchHistory = searchHistory.filter(e => e !== entry);
+      saveSearchHistory();
+      renderSearchHistory();
+    } else {
+      rerunSearch(entry, button.dataset.action === 'compare');
+    }
+  }
+
+  // Turn history on or off - turning it off also forgets what was recorded
+  function handleHistoryToggle(event) {
+    historyEnabled = event.target.checked;
+    chrome.storage.local.set({ physchat_history_enabled: historyEnabled });
+    if (!historyEnabled) {
+      clearSearchHistory();
+    }
+    renderSearchHistory();
+  }
+
+  function clearSearchHistory() {
+    searchHistory = [];
+    chrome.storage.local.remove(HISTORY_KEY);
+    renderSearchHistory();
+  }
+
+  // Put a history entry's settings back in the search controls and run it again
+  function rerunSearch(entry, compare) {
+    document.getElementById('physchat-search-input').value = entry.query;
+    document.getElementById('physchat-sort-select').value = entry.sort;
+    const useAIToggle = document.getElementById('physchat-use-ai');
+    useAIToggle.checked = entry.useAI;
+    useAIToggle.dispatchEvent(new Event('change'));
+    if (entry.useAI) {
+      document.getElementById('physchat-mode-select').value = entry.mode;
+      document.getElementById('physchat-ranking-select').value = entry.ranking || 'default';
+    }
+    setSearchFilters(entry.filters || null);
+    showView('search');
+    runSearch(entry.query, compare ? entry : null);
+  }
+
+  // Search for text selected on the page, in whatever mode the sidebar is set to
+  // "Explain" needs the AI answer, so it turns AI search on and asks for an explanation
+  function searchSelection(text, explain) {
+    const term = String(text || '').replace(/\s+/g, ' ').trim().substring(0, 200);
+    if (!term) return;
+
+    if (isCollapsed) toggleSidebar();
+    showView('search');
+    if (explain) {
+      const useAIToggle = document.getElementById('physchat-use-ai');
+      useAIToggle.checked = true;
+      useAIToggle.dispatchEvent(new Event('change'));
+    }
+
+    const query = explain ? `Explain ${term} as used in APS research` : term;
+    const input = document.getElementById('physchat-search-input');
+    input.value = query;
+    updateQueryPreview();
+    runSearch(query);
+  }
+
+  // Diff the current results against a history entry: mark new papers and list the ones that disappeared
+  function showComparison(entry) {
+    const before = new Set(entry.papers.map(p => PhysChatCollections.paperKey(p)));
+    const now = new Set(currentResults.map(p => PhysChatCollections.paperKey(p)));
+    const added = currentResults.filter(p => !before.has(PhysChatCollections.paperKey(p)));
+    const gone = entry.papers.filter(p => !now.has(PhysChatCollections.paperKey(p)));
+    const when = new Date(entry.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+    logThinking(`<span class="label">Compared with ${escapeHtml(when)}:</span> <span class="highlight">${added.length} new</span> <span class="value">${gone.length} no longer returned</span>`);
+
+    document.querySelectorAll('#physchat-results-list .physchat-result-card').forEach(card => {
+      const article = currentResults[parseInt(card.dataset.rank, 10) - 1];
+      if (article && added.includes(article)) {
+        card.classList.add('physchat-result-new');
+        card.querySelector('.physchat-result-meta').insertAdjacentHTML('afterbegin', '<span class="physchat-result-badge new">New</span>');
+      }
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'physchat-comparison';
+    summary.innerHTML = `
+      <div>Compared with the search on ${escapeHtml(when)}: <strong>${added.length} new</strong>, <strong>${gone.length} no longer returned</strong>, ${currentResults.length - added.length} unchanged</div>
+      ${gone.length > 0 ? `<ul>${gone.map(p => {
+        const url = p.url || `https://doi.org/${p.doi}`;
+        return `<li><a href="${escapeHtml(url)}" class="physchat-article-link" data-url="${escapeHtml(url)}">${escapeHtml(p.title)}</a></li>`;
+      }).join('')}</ul>` : ''}
+    `;
+    summary.querySelectorAll('.physchat-article-link').forEach(link => link.addEventListener('click', handleArticleClick));
+
+    const header = document.querySelector('#physchat-results-list .physchat-results-header');
+    if (header) {
+      header.after(summary);
+    } else {
+      document.getElementById('physchat-results-list').prepend(summary);
+    }
   }
 
   // Handle clear results button
@@ -765,9 +2613,12 @@
     currentTotalFound = 0;
     currentQuery = '';
     currentAIAnalysis = null;
+    chatHistory = [];
+    renderChatLog();
     clearSearchState();
     clearResults();
     showSynthesisPanel(false);
+    showChatPanel(false);
     showThinkingPanel(false);
     showEmpty();
     document.getElementById('physchat-search-input').value = '';
@@ -790,35 +2641,46 @@
     const isHighRelevance = article.overlapCount && article.overlapCount > 1;
     const relevanceClass = isHighRelevance ? 'relevant-high' : '';
     const matchBadge = isHighRelevance
-      ? `<span class="physchat-match-badge" title="Found in: ${(article.sources || []).join(', ')}">${article.overlapCount}× match</span>`
+      ? `<span class="physchat-match-badge" title="Found in: ${escapeHtml((article.sources || []).join(', '))}">${article.overlapCount}× match</span>`
       : '';
+    const savedNames = savedPapers.get(PhysChatCollections.paperKey(article));
+    const rankExplanation = explainRanking(article);
+    const rankTitle = rankExplanation ? ` title="${escapeHtml(rankExplanation)}"` : '';
 
     return `
       <div class="physchat-result-card ${relevanceClass}" data-rank="${rank}">
-        <span class="physchat-article-rank">#${rank}</span>
+        <span class="physchat-article-rank"${rankTitle}>#${rank}</span>
         ${matchBadge}
         <h3 class="physchat-result-title">
-          <a href="${escapeHtml(articleUrl)}" class="physchat-article-link" data-url="${escapeHtml(articleUrl)}">${escapeHtml(cleanTitle)}</a>
+          <a href="${escapeHtml(articleUrl)}" class="physchat-article-link" data-url="${escapeHtml(articleUrl)}">${PhysChatMath.renderMarkup(article.title || 'Untitled')}</a>
         </h3>
         <p class="physchat-result-authors">${escapeHtml(authors)}</p>
         <div class="physchat-result-meta">
           ${article.journal ? `<span class="physchat-result-badge journal">${escapeHtml(article.journal)}</span>` : ''}
           ${article.date ? `<span class="physchat-result-badge">${escapeHtml(formatDate(article.date))}</span>` : ''}
+          <span class="physchat-result-badge physchat-saved-marker"${savedNames ? ` title="Saved in: ${escapeHtml(savedNames.join(', '))}"` : ' hidden'}>★ Saved</span>
         </div>
         <div class="physchat-result-summary ${!hasAbstract ? 'needs-summary' : ''}" data-doi="${escapeHtml(article.doi || '')}" data-title="${encodeURIComponent(article.title || '')}" data-abstract="${encodeURIComponent(article.abstract || '')}">
-          <span class="summary-text">${summary ? escapeHtml(summary) : '<em style="color:#999;">Loading summary...</em>'}</span>
+          <span class="summary-text">${summary ? PhysChatMath.renderText(summary) : '<em style="color:#999;">Loading summary...</em>'}</span>
         </div>
         ${articleConcepts.length > 0 ? `
         <div class="physchat-concepts">
           ${articleConcepts.map(c => `<span class="physchat-concept-tag">${escapeHtml(c)}</span>`).join('')}
         </div>
         ` : ''}
-        <a href="${escapeHtml(articleUrl)}" class="physchat-result-link physchat-article-link" data-url="${escapeHtml(articleUrl)}">
-          View Article
-          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-            <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/>
-          </svg>
-        </a>
+        <div class="physchat-result-footer">
+          <a href="${escapeHtml(articleUrl)}" class="physchat-result-link physchat-article-link" data-url="${escapeHtml(articleUrl)}">
+            View Article
+            <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/>
+            </svg>
+          </a>
+          <div class="physchat-result-cite">
+            <label title="Include in export"><input type="checkbox" class="physchat-result-select" data-index="${rank - 1}" /> Select</label>
+            <button type="button" class="physchat-save-btn" data-index="${rank - 1}" title="Save to a collection">Save</button>
+            ${Object.entries(PhysChatCitations.FORMATS).map(([value, f]) => `<button type="button" class="physchat-cite-btn" data-index="${rank - 1}" data-format="${value}" title="Copy ${f.label}">${f.label}</button>`).join('')}
+          </div>
+        </div>
       </div>
     `;
   }
@@ -845,11 +2707,11 @@
       return '';
     }
 
-    // Remove HTML tags
-    const plainText = abstract.replace(/<[^>]*>/g, '');
+    // Remove HTML tags, keeping math as $...$ for renderText
+    const plainText = PhysChatMath.toText(abstract, true);
 
     // Get first 1-2 sentences
-    const sentences = plainText.match(/[^.!?]+[.!?]+/g) || [plainText];
+    const sentences = plainText.match(/(?:\$[^$\n]*\$|[^.!?])+[.!?]+/g) || [plainText];
     let summary = sentences[0] || plainText;
 
     if (summary.length < 80 && sentences.length > 1) {
@@ -866,16 +2728,19 @@
       if (!article.title) continue;
 
       try {
-        const response = await fetch(`${CONFIG.workerUrl}/summarize`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            title: article.title,
-            abstract: article.abstract || '',
-            searchQuery: searchQuery  // Pass search context for relevance-aware summaries
-          })
+        const response = await postToWorker('/summarize', {
+          title: article.title,
+          abstract: article.abstract || '',
+          searchQuery: searchQuery  // Pass search context for relevance-aware summaries
         });
 
+        // Rate limited - stop requesting summaries and tell the user to slow down
+        if (response.status === 429) {
+          showError(getRateLimitMessage(response), true);
+          markSummariesUnavailable();
+          return;
+        }
+
         if (response.ok) {
           const data = await response.json();
           if (data.summary) {
@@ -884,7 +2749,7 @@
             if (summaryEl) {
               const summaryText = summaryEl.querySelector('.summary-text');
               if (summaryText) {
-                summaryText.innerHTML = escapeHtml(data.summary);
+                summaryText.innerHTML = PhysChatMath.renderText(data.summary);
                 summaryEl.classList.remove('needs-summary');
 
                 // Add AI badge if AI-generated
@@ -914,6 +2779,13 @@
     }
   }
 
+  // Replace remaining summary placeholders with a fallback note
+  function markSummariesUnavailable() {
+    document.querySelectorAll('.physchat-result-summary.needs-summary .summary-text').forEach(summaryText => {
+      summaryText.innerHTML = `<em style="color:#999;">View article for details</em>`;
+    });
+  }
+
   // Handle article link click - open in new tab to preserve sidebar context
   function handleArticleClick(event) {
     event.preventDefault();
@@ -929,16 +2801,17 @@
     document.getElementById('physchat-loading').classList.toggle('visible', show);
   }
 
-  // Show error message
-  function showError(message) {
+  // Show error message (rate-limit notices get a softer warning style)
+  function showError(message, isRateLimit = false) {
     const errorEl = document.getElementById('physchat-error');
     errorEl.textContent = message;
+    errorEl.classList.toggle('rate-limited', isRateLimit);
     errorEl.classList.add('visible');
   }
 
   // Hide error message
   function hideError() {
-    document.getElementById('physchat-error').classList.remove('visible');
+    document.getElementById('physchat-error').classList.remove('visible', 'rate-limited');
   }
 
   // Show empty state
@@ -961,18 +2834,15 @@
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone - escape them too, since results are also used in attributes
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   // Strip HTML/MathML tags from text (for titles that contain markup)
   function stripHtml(text) {
     if (!text) return '';
-    // Remove MathML and other XML/HTML tags
-    return text
-      .replace(/<math[^>]*>[\s\S]*?<\/math>/gi, '')  // Remove MathML blocks
-      .replace(/<[^>]+>/g, '')  // Remove any remaining HTML tags
-      .replace(/\s+/g, ' ')  // Normalize whitespace
-      .trim();
+    // Remove HTML tags - MathML becomes its linearized text (T_c) rather than disappearing
+    return PhysChatMath.toText(text);
   }
 
   // Initialize when DOM is ready
@@ -0,0 +1,333 @@
+// PhysChat Math
+// Renders the math in APS titles and abstracts (MathML) and in AI-written text (LaTeX between $...$)
+// MathML is rebuilt from an allow-list of elements and attributes, LaTeX is converted to MathML, and
+// Chrome draws both natively - no markup from a result is ever inserted as-is
+// Loaded as a plain script by both the content script and test.html - defines the PhysChatMath global
+
+const PhysChatMath = (function() {
+  'use strict';
+
+  const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+  const MATHML_ELEMENTS = new Set([
+    'math', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mrow', 'mstyle', 'mpadded', 'mphantom',
+    'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mfrac', 'msqrt', 'mroot',
+    'mtable', 'mtr', 'mtd', 'menclose', 'mfenced', 'semantics'
+  ]);
+  const MATHML_ATTRIBUTES = new Set([
+    'display', 'displaystyle', 'scriptlevel', 'mathvariant', 'stretchy', 'fence', 'separator',
+    'form', 'largeop', 'movablelimits', 'symmetric', 'lspace', 'rspace', 'accent', 'accentunder',
+    'linethickness', 'columnalign', 'notation', 'width', 'height', 'depth'
+  ]);
+  // Inline HTML that APS titles use - any other element keeps only its text
+  const HTML_ELEMENTS = new Set(['i', 'b', 'em', 'strong', 'sub', 'sup']);
+
+  // Accents as MathML draws them over a base, and the LaTeX commands they come from
+  const ACCENTS = { hat: '^', bar: '¯', overline: '¯', tilde: '~', dot: '˙', ddot: '¨', vec: '→' };
+  const ACCENT_COMMANDS = { '^': 'hat', 'ˆ': 'hat', '¯': 'bar', '~': 'tilde', '˜': 'tilde', '˙': 'dot', '¨': 'ddot', '→': 'vec', '⃗': 'vec' };
+
+  const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+  };
+  // Commands that are letters (mi) rather than operators (mo)
+  const LETTER_SYMBOLS = { hbar: 'ℏ', ell: 'ℓ', infty: '∞', partial: '∂', nabla: '∇', dagger: '†', prime: '′', degree: '°' };
+  const OPERATORS = {
+    pm: '±', mp: '∓', times: '×', cdot: '·', circ: '∘', otimes: '⊗', oplus: '⊕', to: '→', rightarrow: '→',
+    leftarrow: '←', leftrightarrow: '↔', uparrow: '↑', downarrow: '↓', approx: '≈', sim: '∼', simeq: '≃',
+    propto: '∝', equiv: '≡', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', ll: '≪', gg: '≫',
+    in: '∈', perp: '⊥', parallel: '∥', langle: '⟨', rangle: '⟩', sum: '∑', prod: '∏', int: '∫', oint: '∮'
+  };
+  const TEXT_COMMANDS = new Set(['text', 'textrm', 'mathrm', 'rm', 'operatorname', 'mathit', 'mathbf', 'boldsymbol']);
+
+  function parse(markup) {
+    return new DOMParser().parseFromString(`<body>${markup || ''}</body>`, 'text/html').body;
+  }
+
+  // Element name without a namespace prefix - APS feeds sometimes write mml:math
+  function nameOf(node) {
+    return node.localName.replace(/^[\w-]+:/, '').toLowerCase();
+  }
+
+  // ----- MathML/HTML passthrough -----
+
+  function cleanChildren(target, source, inMath) {
+    for (const child of source.childNodes) {
+      const clean = cleanNode(child, inMath);
+      if (clean) target.appendChild(clean);
+    }
+    return target;
+  }
+
+  function cleanNode(node, inMath) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return document.createTextNode(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+
+    const name = nameOf(node);
+    if (['annotation', 'annotation-xml', 'script', 'style'].includes(name)) {
+      return null;
+    }
+    if (name === 'math' || (inMath && MATHML_ELEMENTS.has(name))) {
+      // mfenced isn't part of MathML Core - spell it out as operators
+      if (name === 'mfenced') {
+        const row = document.createElementNS(MATHML_NS, 'mrow');
+        const separators = (node.getAttribute('separators') ?? ',').replace(/\s/g, '');
+        const operator = text => Object.assign(document.createElementNS(MATHML_NS, 'mo'), { textContent: text });
+        row.appendChild(operator(node.getAttribute('open') ?? '('));
+        [...node.children].forEach((child, i) => {
+          if (i > 0 && separators) row.appendChild(operator(separators[Math.min(i - 1, separators.length - 1)]));
+          const clean = cleanNode(child, true);
+          if (clean) row.appendChild(clean);
+        });
+        row.appendChild(operator(node.getAttribute('close') ?? ')'));
+        return row;
+      }
+
+      const element = document.createElementNS(MATHML_NS, name);
+      for (const attr of node.attributes) {
+        if (MATHML_ATTRIBUTES.has(attr.name.toLowerCase())) {
+          element.setAttribute(attr.name.toLowerCase(), attr.value);
+        }
+      }
+      return cleanChildren(element, node, true);
+    }
+    if (!inMath && HTML_ELEMENTS.has(name)) {
+      return cleanChildren(document.createElement(name), node, false);
+    }
+    return cleanChildren(document.createDocumentFragment(), node, inMath);
+  }
+
+  // Safe HTML for a title or abstract - text escaped, MathML and simple inline formatting kept
+  function renderMarkup(markup) {
+    const container = cleanChildren(document.createElement('span'), parse(markup), false);
+    return container.innerHTML;
+  }
+
+  // ----- MathML to text -----
+
+  // LaTeX-style text of a MathML element: <msub><mi>T</mi><mi>c</mi></msub> -> T_c
+  function mathToTex(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.trim();
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const name = nameOf(node);
+    const parts = [...node.children].map(mathToTex);
+    const group = text => (text.length === 1 ? text : `{${text}}`);
+
+    switch (name) {
+      case 'mi':
+      case 'mn':
+      case 'mo':
+      case 'ms':
+        return node.textContent.trim();
+      case 'mtext':
+        return node.textContent.replace(/\s+/g, ' ');
+      case 'msub':
+      case 'munder':
+        return `${parts[0] || ''}_${group(parts[1] || '')}`;
+      case 'msup':
+        return `${parts[0] || ''}^${group(parts[1] || '')}`;
+      case 'mover':
+        return ACCENT_COMMANDS[parts[1]] ? `\\${ACCENT_COMMANDS[parts[1]]}{${parts[0]}}` : `${parts[0] || ''}^${group(parts[1] || '')}`;
+      case 'msubsup':
+      case 'munderover':
+        return `${parts[0] || ''}_${group(parts[1] || '')}^${group(parts[2] || '')}`;
+      case 'mfrac':
+        return `\\frac{${parts[0] || ''}}{${parts[1] || ''}}`;
+      case 'msqrt':
+        return `\\sqrt{${parts.join('')}}`;
+      case 'mroot':
+        return `\\sqrt[${parts[1] || ''}]{${parts[0] || ''}}`;
+      case 'mfenced':
+        return `${node.getAttribute('open') ?? '('}${parts.join((node.getAttribute('separators') ?? ',').trim().charAt(0))}${node.getAttribute('close') ?? ')'}`;
+      case 'mspace':
+        return ' ';
+      case 'mphantom':
+      case 'annotation':
+      case 'annotation-xml':
+        return '';
+      case 'semantics': {
+        const tex = [...node.children].find(c => nameOf(c) === 'annotation' && /tex/i.test(c.getAttribute('encoding') || ''));
+        return tex ? tex.textContent.trim() : (parts[0] || '');
+      }
+      default:
+        return parts.join('');
+    }
+  }
+
+  function markupToText(node, delimit) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    if (nameOf(node) === 'math') {
+      const tex = mathToTex(node).replace(/\s+/g, ' ').trim();
+      return delimit ? `$${tex}$` : tex;
+    }
+    return [...node.childNodes].map(child => markupToText(child, delimit)).join('');
+  }
+
+  // Plain text of a title or abstract with its math linearized - "T_c"; with delimit, "$T_c$" for renderText
+  function toText(markup, delimit = false) {
+    return markupToText(parse(markup), delimit).replace(/\s+/g, ' ').trim();
+  }
+
+  // ----- LaTeX to MathML -----
+
+  function mathElement(name, children = [], attrs = {}) {
+    const element = document.createElementNS(MATHML_NS, name);
+    for (const [key, value] of Object.entries(attrs)) {
+      element.setAttribute(key, value);
+    }
+    for (const child of children) {
+      element.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    }
+    return element;
+  }
+
+  // Convert the LaTeX subset the AI writes (scripts, \frac, \sqrt, Greek, common symbols) to a <math> element
+  function latexToMathML(source) {
+    const tokens = [...source.matchAll(/\\([a-zA-Z]+|.)|(\d+(?:\.\d+)?)|(\s+)|([\s\S])/g)].map(m => ({
+      command: m[1],
+      number: m[2],
+      space: m[3],
+      char: m[4]
+    })).filter(t => !t.space);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isChar = (token, char) => token && token.char === char;
+
+    function parseRow(stop) {
+      const nodes = [];
+      while (pos < tokens.length && !isChar(peek(), stop)) {
+        let base = parseAtom();
+        if (!base) continue;
+        let sub = null;
+        let sup = null;
+        while (isChar(peek(), '_') || isChar(peek(), '^')) {
+          const script = tokens[pos++].char;
+          const arg = parseAtom() || mathElement('mrow');
+          if (script === '_') sub = arg; else sup = arg;
+        }
+        if (sub && sup) base = mathElement('msubsup', [base, sub, sup]);
+        else if (sub) base = mathElement('msub', [base, sub]);
+        else if (sup) base = mathElement('msup', [base, sup]);
+        nodes.push(base);
+      }
+      return nodes;
+    }
+
+    // A {group} or the next single atom
+    function parseArgument() {
+      return parseAtom() || mathElement('mrow');
+    }
+
+    function readGroupText() {
+      if (!isChar(peek(), '{')) {
+        const token = tokens[pos++];
+        return token ? (token.char || token.number || '') : '';
+      }
+      pos++;
+      let text = '';
+      let depth = 0;
+      while (pos < tokens.length && !(depth === 0 && isChar(peek(), '}'))) {
+        const token = tokens[pos++];
+        if (isChar(token, '{')) depth++;
+        if (isChar(token, '}')) depth--;
+        text += token.command ? `\\${token.command}` : (token.char || token.number || '');
+      }
+      pos++;
+      return text;
+    }
+
+    function parseAtom() {
+      const token = tokens[pos++];
+      if (!token) return null;
+
+      if (token.number) return mathElement('mn', [token.number]);
+
+      if (token.char) {
+        if (token.char === '{') {
+          const row = mathElement('mrow', parseRow('}'));
+          pos++;
+          return row;
+        }
+        if (token.char === '}' || token.char === '_' || token.char === '^') return null;
+        if (/\p{L}/u.test(token.char)) return mathElement('mi', [token.char]);
+        return mathElement('mo', [token.char === '-' ? '−' : token.char]);
+      }
+
+      const command = token.command;
+      if (command === 'frac') {
+        return mathElement('mfrac', [parseArgument(), parseArgument()]);
+      }
+      if (command === 'sqrt') {
+        if (isChar(peek(), '[')) {
+          pos++;
+          const index = mathElement('mrow', parseRow(']'));
+          pos++;
+          return mathElement('mroot', [parseArgument(), index]);
+        }
+        return mathElement('msqrt', [parseArgument()]);
+      }
+      if (TEXT_COMMANDS.has(command)) {
+        const variant = { mathbf: 'bold', boldsymbol: 'bold-italic', mathit: 'italic' }[command] || 'normal';
+        const text = readGroupText();
+        return command === 'text' || command === 'textrm'
+          ? mathElement('mtext', [text])
+          : mathElement('mi', [text], { mathvariant: variant });
+      }
+      if (ACCENTS[command]) {
+        return mathElement('mover', [parseArgument(), mathElement('mo', [ACCENTS[command]], { stretchy: 'false' })], { accent: 'true' });
+      }
+      if (command === 'left' || command === 'right') {
+        return parseAtom();
+      }
+      if (GREEK[command]) {
+        return mathElement('mi', [GREEK[command]], /^[A-Z]/.test(command) ? { mathvariant: 'normal' } : {});
+      }
+      if (LETTER_SYMBOLS[command]) return mathElement('mi', [LETTER_SYMBOLS[command]]);
+      if (OPERATORS[command]) return mathElement('mo', [OPERATORS[command]]);
+      // Spacing commands (\, \; \!) take no room here; escaped characters (\{ \%) are themselves
+      if (/^[,;:! ]$/.test(command)) return null;
+      if (command.length === 1) return mathElement('mo', [command]);
+      return mathElement('mtext', [`\\${command}`]);
+    }
+
+    return mathElement('math', parseRow(null));
+  }
+
+  // Safe HTML for AI text - escaped, with each $...$ span drawn as math
+  // As in pandoc, the opening $ can't be followed by a space or the closing one preceded by a space
+  // or followed by a digit, so prices ("$5 and $6") stay text
+  function renderText(text) {
+    const source = String(text || '');
+    const container = document.createElement('span');
+    let last = 0;
+    for (const match of source.matchAll(/\$(?!\s)([^$\n]{1,300}?)(?<!\s)\$(?!\d)/g)) {
+      container.append(source.substring(last, match.index), latexToMathML(match[1]));
+      last = match.index + match[0].length;
+    }
+    container.append(source.substring(last));
+    return container.innerHTML;
+  }
+
+  return {
+    renderMarkup,
+    renderText,
+    toText
+  };
+})();
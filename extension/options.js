@@ -0,0 +1,113 @@
+// PhysChat Options Page
+// Edits the settings in settings.js - the worker URL is only saved once its /health endpoint answers
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('settingsForm');
+  const workerUrlInput = document.getElementById('workerUrl');
+  const workerCheck = document.getElementById('workerCheck');
+  const testWorkerButton = document.getElementById('testWorkerButton');
+  const searchModeSelect = document.getElementById('searchMode');
+  const sortSelect = document.getElementById('sort');
+  const maxResultsInput = document.getElementById('maxResults');
+  const devTokenInput = document.getElementById('devToken');
+  const saveButton = document.getElementById('saveButton');
+  const saveStatus = document.getElementById('saveStatus');
+
+  let savedWorkerUrl = '';
+  let savedDevToken = '';
+
+  maxResultsInput.min = PhysChatSettings.MIN_RESULTS;
+  maxResultsInput.max = PhysChatSettings.MAX_RESULTS;
+  document.getElementById('maxResultsHint').textContent =
+    `Between ${PhysChatSettings.MIN_RESULTS} and ${PhysChatSettings.MAX_RESULTS}. More results take longer to summarize.`;
+
+  function showSettings(settings) {
+    savedWorkerUrl = settings.workerUrl;
+    savedDevToken = settings.devToken;
+    workerUrlInput.value = settings.workerUrl;
+    searchModeSelect.value = settings.searchMode;
+    sortSelect.value = settings.sort;
+    maxResultsInput.value = settings.maxResults;
+    devTokenInput.value = settings.devToken;
+  }
+
+  function showWorkerCheck(result) {
+    workerCheck.hidden = false;
+    workerCheck.className = `check ${result.ok ? 'ok' : 'error'}`;
+    workerCheck.textContent = result.ok ? 'Worker is up.' : result.error;
+  }
+
+  function showSaveStatus(message, isError = false) {
+    saveStatus.textContent = message;
+    saveStatus.classList.toggle('error', isError);
+  }
+
+  PhysChatSettings.load().then(showSettings);
+
+  testWorkerButton.addEventListener('click', async () => {
+    testWorkerButton.disabled = true;
+    workerCheck.hidden = false;
+    workerCheck.className = 'check';
+    workerCheck.textContent = 'Checking...';
+    showWorkerCheck(await PhysChatSettings.checkWorker(workerUrlInput.value));
+    testWorkerButton.disabled = false;
+  });
+
+  workerUrlInput.addEventListener('input', () => {
+    workerCheck.hidden = true;
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    saveButton.disabled = true;
+    showSaveStatus('Saving...');
+
+    const changes = {
+      searchMode: searchModeSelect.value,
+      sort: sortSelect.value,
+      maxResults: maxResultsInput.value,
+      devToken: devTokenInput.value
+    };
+
+    // A new worker URL has to answer /health first; the other settings are saved either way
+    let workerError = null;
+    const typedWorkerUrl = workerUrlInput.value;
+    const worker = PhysChatSettings.validateWorkerUrl(typedWorkerUrl);
+    if (worker.error) {
+      workerError = worker.error;
+    } else if (worker.url !== savedWorkerUrl) {
+      const check = await PhysChatSettings.checkWorker(worker.url);
+      showWorkerCheck(check);
+      if (check.ok) {
+        changes.workerUrl = worker.url;
+      } else {
+        workerError = check.error;
+      }
+    }
+
+    try {
+      const previousDevToken = savedDevToken;
+      const settings = await PhysChatSettings.save(changes);
+      if (settings.devToken && settings.devToken !== previousDevToken) {
+        await chrome.storage.local.set({ physchat_token: settings.devToken });
+      } else if (!settings.devToken && previousDevToken) {
+        // A cleared dev token stops being used - unless a real sign-in has replaced it since
+        const { physchat_token: token } = await chrome.storage.local.get('physchat_token');
+        if (token === previousDevToken) {
+          await chrome.storage.local.remove('physchat_token');
+        }
+      }
+      showSettings(settings);
+      if (workerError) {
+        workerUrlInput.value = typedWorkerUrl;
+        showWorkerCheck({ error: workerError });
+        showSaveStatus('Saved, except the worker URL.', true);
+      } else {
+        showSaveStatus('Saved.');
+      }
+    } catch (error) {
+      showSaveStatus(`Could not save: ${error.message}`, true);
+    }
+    saveButton.disabled = false;
+  });
+});
@@ -1,17 +1,21 @@
 // PhysChat Popup Script
 
-// Configuration - uses config.local.js if present, otherwise placeholder
-const CONFIG = {
-  workerUrl: (typeof PHYSCHAT_CONFIG !== 'undefined' && PHYSCHAT_CONFIG.workerUrl)
-    ? PHYSCHAT_CONFIG.workerUrl
-    : 'https://YOUR_WORKER_NAME.YOUR_SUBDOMAIN.workers.dev'
-};
-
 document.addEventListener('DOMContentLoaded', () => {
   const statusEl = document.getElementById('status');
   const authButton = document.getElementById('authButton');
   const logoutButton = document.getElementById('logoutButton');
   const openSiteButton = document.getElementById('openSiteButton');
+  const watchSection = document.getElementById('watchSection');
+  const watchList = document.getElementById('watchList');
+  const checkWatchesButton = document.getElementById('checkWatchesButton');
+  const openPanelButton = document.getElementById('openPanelButton');
+  const inPageSidebar = document.getElementById('inPageSidebar');
+
+  // Window id looked up now - sidePanel.open() must run straight from the click
+  let currentWindowId = null;
+  chrome.windows.getCurrent((win) => {
+    currentWindowId = win.id;
+  });
 
   // Check authentication status
   chrome.storage.local.get(['physchat_token'], (result) => {
@@ -27,6 +31,10 @@ document.addEventListener('DOMContentLoaded', () => {
     statusEl.textContent = 'You are signed in. Visit journals.aps.org to search articles.';
     authButton.style.display = 'none';
     logoutButton.style.display = 'block';
+    watchSection.style.display = 'block';
+    chrome.runtime.sendMessage({ type: 'GET_WATCHES' }, (response) => {
+      renderWatches(response ? response.watches : []);
+    });
   }
 
   function showUnauthenticatedState() {
@@ -34,39 +42,127 @@ document.addEventListener('DOMContentLoaded', () => {
     statusEl.textContent = 'Sign in to search APS articles.';
     authButton.style.display = 'block';
     logoutButton.style.display = 'none';
+    watchSection.style.display = 'none';
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  function timeAgo(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} d ago`;
   }
 
-  // Sign in button
+  // Watched searches with the new papers found since they were last marked seen
+  function renderWatches(watches) {
+    checkWatchesButton.disabled = watches.length === 0;
+    if (watches.length === 0) {
+      watchList.innerHTML = '<p class="info">Click Watch above a search\'s results in the sidebar to be told about new papers here.</p>';
+      return;
+    }
+
+    watchList.innerHTML = watches.map(watch => {
+      const newPapers = watch.newPapers || [];
+      const meta = watch.lastError
+        ? `<div class="watch-meta error">Last check failed: ${escapeHtml(watch.lastError)}</div>`
+        : `<div class="watch-meta">${watch.lastChecked ? `Checked ${timeAgo(watch.lastChecked)}` : 'Not checked yet'}${watch.sort === 'recent' ? ' · most recent' : ''}</div>`;
+      return `
+        <div class="watch" data-id="${escapeHtml(watch.id)}">
+          <div class="watch-query">
+            <span>${escapeHtml(watch.query)}</span>
+            ${newPapers.length > 0 ? `<span class="watch-count">${newPapers.length} new</span>` : ''}
+          </div>
+          ${meta}
+          ${newPapers.length > 0 ? `<ul class="watch-papers">${newPapers.map(p =>
+            `<li><a href="${escapeHtml(p.url)}" data-url="${escapeHtml(p.url)}">${escapeHtml(p.title)}</a>${p.journal ? ` <span class="watch-meta">${escapeHtml(p.journal)}</span>` : ''}</li>`
+          ).join('')}</ul>` : ''}
+          <div class="watch-actions">
+            ${newPapers.length > 0 ? '<button class="link-button" data-action="seen">Mark as seen</button>' : ''}
+            <button class="link-button" data-action="remove">Stop watching</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  watchList.addEventListener('click', (event) => {
+    const link = event.target.closest('a[data-url]');
+    if (link) {
+      event.preventDefault();
+      chrome.tabs.create({ url: link.dataset.url });
+      return;
+    }
+
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+    const id = button.closest('.watch').dataset.id;
+    const type = button.dataset.action === 'seen' ? 'MARK_WATCH_SEEN' : 'UNWATCH_SEARCH';
+    chrome.runtime.sendMessage({ type, id }, (response) => {
+      renderWatches(response ? response.watches : []);
+    });
+  });
+
+  // Check now
+  checkWatchesButton.addEventListener('click', () => {
+    checkWatchesButton.disabled = true;
+    checkWatchesButton.textContent = 'Checking...';
+    chrome.runtime.sendMessage({ type: 'CHECK_WATCHES' }, (response) => {
+      checkWatchesButton.textContent = 'Check now';
+      renderWatches(response ? response.watches : []);
+    });
+  });
+
+  // Sign in button - background.js runs the sign-in window, or opens the options page
+  // when there is no worker URL to sign in to yet
   authButton.addEventListener('click', () => {
-    const authUrl = `${CONFIG.workerUrl}/auth`;
-    chrome.tabs.create({ url: authUrl });
-    window.close();
+    chrome.runtime.sendMessage({ type: 'SIGN_IN' });
   });
 
   // Sign out button
   logoutButton.addEventListener('click', () => {
-    chrome.storage.local.remove(['physchat_token'], () => {
+    chrome.storage.local.remove(['physchat_token', 'physchat_refresh'], () => {
       showUnauthenticatedState();
     });
   });
 
+  // Side panel, or the older sidebar injected into APS pages
+  chrome.storage.local.get(['physchat_sidebar_mode'], (result) => {
+    inPageSidebar.checked = result.physchat_sidebar_mode === 'page';
+    openPanelButton.style.display = chrome.sidePanel && !inPageSidebar.checked ? 'block' : 'none';
+  });
+
+  inPageSidebar.addEventListener('change', () => {
+    if (inPageSidebar.checked) {
+      chrome.storage.local.set({ physchat_sidebar_mode: 'page' });
+    } else {
+      chrome.storage.local.remove('physchat_sidebar_mode');
+    }
+    openPanelButton.style.display = chrome.sidePanel && !inPageSidebar.checked ? 'block' : 'none';
+  });
+
+  openPanelButton.addEventListener('click', () => {
+    if (currentWindowId === null) return;
+    chrome.sidePanel.open({ windowId: currentWindowId })
+      .then(() => window.close())
+      .catch((e) => console.error('PhysChat could not open the side panel:', e.message));
+  });
+
   // Open site button
   openSiteButton.addEventListener('click', () => {
     chrome.tabs.create({ url: 'https://journals.aps.org' });
     window.close();
   });
 
-  // Dev mode: Set token manually
-  const setTokenBtn = document.getElementById('setTokenBtn');
-  const tokenInput = document.getElementById('tokenInput');
-
-  setTokenBtn.addEventListener('click', () => {
-    const token = tokenInput.value.trim();
-    if (token) {
-      chrome.storage.local.set({ physchat_token: token }, () => {
-        showAuthenticatedState();
-        tokenInput.value = '';
-      });
-    }
+  // Options page - worker URL, search defaults and the dev token
+  document.getElementById('optionsButton').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
   });
 });
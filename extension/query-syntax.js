@@ -0,0 +1,83 @@
+// PhysChat Query Syntax
+// Splits a search query into terms: field: prefixes, "quoted phrases" and -exclusions
+// The one copy of the grammar - the worker bundles it to parse /search queries and the content
+// script uses it to highlight the query as it is typed, so the two can't disagree
+// Loaded as a plain script by the content script - defines the PhysChatQuerySyntax global
+
+const PhysChatQuerySyntax = (function() {
+  'use strict';
+
+  // Field prefixes we know - anything else ("ratio 3:1") stays plain text
+  const FIELDS = ['author', 'title', 'abstract', 'journal', 'year', 'doi', 'type'];
+
+  /**
+   * Split a query into terms
+   * Returns [{ start, end, negate, field, value, phrase, problem }] in query order, where start/end
+   * index the term in the query and problem is null, 'unclosed_quote' or 'missing_value'
+   * An unclosed quote runs to the end of the query; empty terms ("" on its own) are skipped
+   */
+  function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++;
+        continue;
+      }
+      const start = i;
+
+      // A leading "-" excludes the term, unless it stands alone
+      let negate = false;
+      if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+        negate = true;
+        i++;
+      }
+
+      let field = null;
+      const prefix = /^([a-z]+):/i.exec(query.substring(i));
+      if (prefix && FIELDS.includes(prefix[1].toLowerCase())) {
+        field = prefix[1].toLowerCase();
+        i += prefix[0].length;
+      }
+
+      let value;
+      let phrase = false;
+      let problem = null;
+      if (query[i] === '"') {
+        phrase = true;
+        const close = query.indexOf('"', i + 1);
+        if (close === -1) {
+          value = query.substring(i + 1).trim();
+          problem = 'unclosed_quote';
+          i = query.length;
+        } else {
+          value = query.substring(i + 1, close).trim();
+          i = close + 1;
+        }
+      } else {
+        const end = query.substring(i).search(/\s/);
+        value = end === -1 ? query.substring(i) : query.substring(i, i + end);
+        i += value.length;
+      }
+
+      if (field && !value && !problem) {
+        problem = 'missing_value';
+      }
+      if (value || problem) {
+        tokens.push({ start, end: i, negate, field, value, phrase, problem });
+      }
+    }
+    return tokens;
+  }
+
+  return {
+    FIELDS,
+    tokenize
+  };
+})();
+
+// The worker imports this file as a module
+if (typeof module === 'object' && module.exports) {
+  module.exports = PhysChatQuerySyntax;
+}
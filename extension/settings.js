@@ -0,0 +1,117 @@
+// PhysChat Settings
+// What the options page sets: worker URL, default search mode and sort, result count and a dev token
+// Kept in chrome.storage.local under one key; anything unset or invalid falls back to DEFAULTS
+// Loaded as a plain script by the content script, side panel, popup and options page, and through
+// importScripts by background.js - defines the PhysChatSettings global
+
+const PhysChatSettings = (function() {
+  'use strict';
+
+  const SETTINGS_KEY = 'physchat_settings';
+  const LEGACY_MODE_KEY = 'physchat_ai_mode'; // the sidebar's AI mode before there were settings
+
+  const SEARCH_MODES = ['agentic', 'planned', 'simple'];
+  const SORTS = ['relevance', 'recent'];
+  const MIN_RESULTS = 5;
+  const MAX_RESULTS = 50;
+  const HEALTH_TIMEOUT_MS = 8000;
+
+  const DEFAULTS = {
+    workerUrl: '',
+    searchMode: 'agentic',
+    sort: 'relevance',
+    maxResults: 15,
+    devToken: ''
+  };
+
+  // The worker's origin - https, or http for a local `wrangler dev`
+  // Returns { url } with no trailing slash, or { error }
+  function validateWorkerUrl(value) {
+    const text = String(value || '').trim();
+    if (!text) return { error: 'Enter the URL of your PhysChat worker' };
+
+    let url;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      return { error: 'That is not a valid URL' };
+    }
+    const local = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) {
+      return { error: 'The worker URL must use https (http is only allowed for localhost)' };
+    }
+    if (url.search || url.hash) {
+      return { error: 'The worker URL should not have a query or fragment' };
+    }
+    return { url: `${url.origin}${url.pathname}`.replace(/\/+$/, '') };
+  }
+
+  function normalize(settings) {
+    const worker = validateWorkerUrl(settings.workerUrl);
+    const maxResults = parseInt(settings.maxResults, 10);
+    return {
+      workerUrl: worker.url || '',
+      searchMode: SEARCH_MODES.includes(settings.searchMode) ? settings.searchMode : DEFAULTS.searchMode,
+      sort: SORTS.includes(settings.sort) ? settings.sort : DEFAULTS.sort,
+      maxResults: Number.isFinite(maxResults) ? Math.min(Math.max(maxResults, MIN_RESULTS), MAX_RESULTS) : DEFAULTS.maxResults,
+      devToken: String(settings.devToken || '').trim()
+    };
+  }
+
+  async function load() {
+    const stored = await chrome.storage.local.get([SETTINGS_KEY, LEGACY_MODE_KEY]);
+    const settings = stored[SETTINGS_KEY] || {};
+    if (!settings.searchMode && stored[LEGACY_MODE_KEY]) {
+      settings.searchMode = stored[LEGACY_MODE_KEY];
+    }
+    return normalize({ ...DEFAULTS, ...settings });
+  }
+
+  // Merge changes into the stored settings; resolves to the full settings
+  async function save(changes) {
+    const settings = normalize({ ...(await load()), ...changes });
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  // Ask the worker's /health endpoint whether it is up - resolves to { ok: true } or { error }
+  async function checkWorker(workerUrl) {
+    const worker = validateWorkerUrl(workerUrl);
+    if (worker.error) return { error: worker.error };
+
+    try {
+      const response = await fetch(`${worker.url}/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+      if (!response.ok) {
+        return { error: `The worker answered ${response.status} - check the URL` };
+      }
+      const data = await response.json().catch(() => null);
+      if (!data || data.status !== 'ok') {
+        return { error: 'That URL answered, but not like a PhysChat worker' };
+      }
+      return { ok: true };
+    } catch (e) {
+      return { error: e.name === 'TimeoutError' ? 'The worker did not answer in time' : `Could not reach the worker (${e.message})` };
+    }
+  }
+
+  // Call back with the new settings whenever they change (the options page saved, or another tab did)
+  function onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes[SETTINGS_KEY]) {
+        callback(normalize({ ...DEFAULTS, ...changes[SETTINGS_KEY].newValue }));
+      }
+    });
+  }
+
+  return {
+    DEFAULTS: normalize(DEFAULTS),
+    SEARCH_MODES,
+    MIN_RESULTS,
+    MAX_RESULTS,
+    validateWorkerUrl,
+    load,
+    save,
+    checkWorker,
+    onChanged
+  };
+})();
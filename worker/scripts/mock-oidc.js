@@ -0,0 +1,175 @@
+/**
+ * Mock OIDC provider for local development
+ * Stands in for Cognito so the worker's sign-in flow (state + PKCE) can be exercised with `wrangler dev`
+ *
+ * Usage: node scripts/mock-oidc.js [port]
+ * Then point the worker at it in .dev.vars:
+ *   COGNITO_ISSUER=http://localhost:9999
+ *   COGNITO_AUTH_URL=http://localhost:9999/oauth2/authorize
+ *   COGNITO_TOKEN_URL=http://localhost:9999/oauth2/token
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.argv[2] || process.env.MOCK_OIDC_PORT || '9999', 10);
+const ISSUER = `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+// Signing key for issued tokens - regenerated on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Outstanding authorization codes: code -> { clientId, redirectUri, codeChallenge, method, expiresAt }
+const pendingCodes = new Map();
+
+// Issued refresh tokens: token -> clientId
+const refreshTokens = new Map();
+
+function base64Url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function signJwt(claims) {
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// GET /oauth2/authorize - auto-approves and redirects back with a code
+function handleAuthorize(url, res) {
+  const redirectUri = url.searchParams.get('redirect_uri');
+  const state = url.searchParams.get('state');
+  const codeChallenge = url.searchParams.get('code_challenge');
+  const method = url.searchParams.get('code_challenge_method');
+
+  if (url.searchParams.get('response_type') !== 'code' || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  pendingCodes.set(code, {
+    clientId: url.searchParams.get('client_id'),
+    redirectUri,
+    codeChallenge,
+    method,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (state !== null) location.searchParams.set('state', state);
+
+  res.writeHead(302, { Location: location.toString() });
+  res.end();
+}
+
+function issueAccessToken(clientId) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({
+    iss: ISSUER,
+    sub: 'mock-user',
+    client_id: clientId,
+    token_use: 'access',
+    scope: 'openid',
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS
+  });
+}
+
+// POST /oauth2/token - redeems a code once (enforcing redirect_uri and PKCE) or a refresh token
+async function handleToken(req, res) {
+  const params = new URLSearchParams(await readBody(req));
+  const grantType = params.get('grant_type');
+
+  if (grantType === 'refresh_token') {
+    const clientId = refreshTokens.get(params.get('refresh_token'));
+    if (!clientId || clientId !== params.get('client_id')) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+    }
+    return sendJson(res, 200, {
+      access_token: issueAccessToken(clientId),
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS
+    });
+  }
+
+  if (grantType !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  const code = params.get('code');
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+  if (pending.redirectUri !== params.get('redirect_uri') || pending.clientId !== params.get('client_id')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Client or redirect_uri mismatch' });
+  }
+
+  if (pending.codeChallenge) {
+    const verifier = params.get('code_verifier') || '';
+    const expected = pending.method === 'S256'
+      ? crypto.createHash('sha256').update(verifier).digest('base64url')
+      : verifier;
+    if (expected !== pending.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const refreshToken = crypto.randomBytes(24).toString('hex');
+  refreshTokens.set(refreshToken, pending.clientId);
+
+  sendJson(res, 200, {
+    access_token: issueAccessToken(pending.clientId),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS
+  });
+}
+
+// GET /.well-known/jwks.json - public key for the issued tokens
+function handleJwks(res) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  sendJson(res, 200, { keys: [{ ...jwk, kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  try {
+    if (req.method === 'GET' && url.pathname === '/oauth2/authorize') {
+      handleAuthorize(url, res);
+    } else if (req.method === 'POST' && url.pathname === '/oauth2/token') {
+      await handleToken(req, res);
+    } else if (req.method === 'GET' && url.pathname === '/.well-known/jwks.json') {
+      handleJwks(res);
+    } else {
+      sendJson(res, 404, { error: 'not_found' });
+    }
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER}`);
+});
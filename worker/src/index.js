@@ -4,6 +4,9 @@
  * Now with Claude AI integration for intelligent query parsing
  */
 
+// Query grammar shared with the extension's query preview
+import PhysChatQuerySyntax from '../../extension/query-syntax.js';
+
 // Claude API configuration
 const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
 const CLAUDE_MODEL = 'claude-3-haiku-20240307'; // Fast and cheap for query parsing
@@ -25,6 +28,21 @@ const AGENT_TOOLS = [
           enum: ["general", "title_focused", "recent"],
           description: "general: searches all fields; title_focused: prioritizes title matches; recent: filters to papers from last 3 years"
         },
+        fields: {
+          type: "array",
+          items: { type: "string", enum: ["title", "abstract", "author"] },
+          description: "Restrict the query to these fields, e.g. [\"author\"] for a researcher's name (default: all fields)"
+        },
+        article_types: {
+          type: "array",
+          items: { type: "string", enum: ["review", "research"] },
+          description: "Only return these article types - use [\"review\"] when the user asks for reviews or overviews"
+        },
+        journals: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only return papers from these APS journals, e.g. [\"PRL\", \"PRB\", \"RMP\"]"
+        },
         limit: {
           type: "integer",
           description: "Number of results to return (default 10, max 20)"
@@ -77,6 +95,273 @@ const AGENT_TOOLS = [
   }
 ];
 
+// Structured synthesis - Claude must answer through this tool, one claim per sentence,
+// each with the papers it cites and verbatim evidence from their abstracts
+const SYNTHESIS_TOOL = {
+  name: "submit_synthesis",
+  description: "Submit the answer as a list of claims. Every claim must cite the supplied papers that support it and quote the supporting text from their abstracts.",
+  input_schema: {
+    type: "object",
+    properties: {
+      claims: {
+        type: "array",
+        description: "2-4 claims that together answer the question",
+        items: {
+          type: "object",
+          properties: {
+            text: {
+              type: "string",
+              description: "One sentence, without citation markers"
+            },
+            citations: {
+              type: "array",
+              items: { type: "integer" },
+              description: "Numbers of the supporting papers, e.g. [1, 3]"
+            },
+            evidence: {
+              type: "array",
+              description: "Quotes that back the claim",
+              items: {
+                type: "object",
+                properties: {
+                  paper: {
+                    type: "integer",
+                    description: "Number of the paper the quote comes from"
+                  },
+                  quote: {
+                    type: "string",
+                    description: "A short span copied verbatim from that paper's title or abstract"
+                  }
+                },
+                required: ["paper", "quote"]
+              }
+            }
+          },
+          required: ["text", "citations", "evidence"]
+        }
+      }
+    },
+    required: ["claims"]
+  }
+};
+
+// Conversational follow-ups - Claude picks one of these for each turn over a result set
+const CHAT_TOOLS = [
+  {
+    name: "filter_results",
+    description: "Narrow the current result set to the papers that match the follow-up, e.g. \"only experimental ones\" or \"which of these use cold atoms?\". Judge only from the titles and abstracts given.",
+    input_schema: {
+      type: "object",
+      properties: {
+        keep: {
+          type: "array",
+          items: { type: "integer" },
+          description: "Numbers of the papers to keep, best match first"
+        },
+        reply: {
+          type: "string",
+          description: "One or two sentences on what was kept and why, citing papers by their current numbers [n]"
+        }
+      },
+      required: ["keep", "reply"]
+    }
+  },
+  {
+    name: "search_papers",
+    description: "Run a new search when the follow-up asks for papers the current results can't provide - a new angle, a narrower topic, more recent work.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search query, informed by the conversation so far"
+        },
+        article_types: {
+          type: "array",
+          items: { type: "string", enum: ["review", "research"] },
+          description: "Only return these article types"
+        },
+        journals: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only return papers from these APS journals, e.g. [\"PRL\", \"PRB\"]"
+        },
+        start_year: {
+          type: "integer",
+          description: "Only return papers published in or after this year"
+        },
+        reply: {
+          type: "string",
+          description: "One sentence telling the user what you are searching for and why (no citations)"
+        }
+      },
+      required: ["query", "reply"]
+    }
+  },
+  {
+    name: "answer",
+    description: "Answer a question about the current papers without changing the result set.",
+    input_schema: {
+      type: "object",
+      properties: {
+        reply: {
+          type: "string",
+          description: "2-3 sentences using ONLY the titles and abstracts given, citing papers as [n]"
+        }
+      },
+      required: ["reply"]
+    }
+  }
+];
+
+// Search result cache - backed by the SEARCH_CACHE KV namespace when bound, else the Cache API
+const SEARCH_CACHE_DEFAULT_TTL = 3600; // seconds; override with env.SEARCH_CACHE_TTL (0 disables)
+const SEARCH_CACHE_ORIGIN = 'https://physchat-search-cache.internal';
+
+// Per-user rate limits for Claude-backed routes (requests per window)
+// Override with env.RATE_LIMIT_AI_SEARCH / env.RATE_LIMIT_SUMMARIZE / env.RATE_LIMIT_CHAT / env.RATE_LIMIT_RELATED
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+const RATE_LIMIT_DEFAULTS = {
+  'ai-search': 10,
+  'summarize': 60,
+  'chat': 30,
+  'related': 10
+};
+
+// Conversational follow-ups - how much of the result set and conversation goes to Claude
+const CHAT_MAX_RESULTS = 20;
+const CHAT_MAX_HISTORY = 10; // messages, oldest dropped first
+const CHAT_MAX_MESSAGE_LENGTH = 1000;
+
+// Papers related to an article - 'related' searches on its content, 'citing' looks up who cites it
+const RELATED_MODES = ['related', 'citing'];
+const OPENCITATIONS_API_URL = 'https://api.opencitations.net/index/v2'; // override with env.CITATIONS_API_URL
+const CITING_MAX_RESULTS = 20;
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+// Fallback rate limit counters when no RATE_LIMITS KV namespace is bound (per isolate)
+const rateLimitCounters = new Map();
+
+// AI search modes - agentic lets Claude drive the searches; planned runs a fixed multi-query plan
+const AI_SEARCH_MODES = ['agentic', 'planned'];
+
+// Planned-mode ranking: relevanceScore = sum(weight * position factor) + (overlapCount - 1) * OVERLAP_BONUS
+const OVERLAP_BONUS = 1.5;
+const RANK_WEIGHT_DECAY = 0.03; // position factor drops by this much per rank
+
+// Agentic-mode ranking - each signal is scaled to 0-1 and weighted; relevanceScore is the sum
+const AGENT_RANKING_WEIGHTS = {
+  overlap: 1.5,   // per extra agent search that returned the paper (up to 3)
+  rank: 2.0,      // best position within any single search
+  citations: 1.0, // log-scaled, saturating at CITATION_SATURATION
+  recency: 1.5,   // survey intent only - linear decay over RECENCY_WINDOW_YEARS
+  terms: 2.0      // share of query terms in the title, and at half weight the abstract
+};
+const CITATION_SATURATION = 1000;
+const RECENCY_WINDOW_YEARS = 10;
+
+// Optional re-ranking of the merged candidate pool - 'default' keeps the mode's own ordering
+const RANKING_METHODS = ['default', 'bm25'];
+
+// BM25 re-ranker parameters (see rerankWithBm25)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BM25_TITLE_BOOST = 2; // title tokens count this many times towards term frequency
+
+// Synthesis grounding - share of a claim's terms found in the abstracts it cites
+const GROUNDING_SUPPORTED = 0.5;
+const GROUNDING_WEAK = 0.25;
+
+// Greek letters as APS abstracts write them in Unicode, spelled out the way authors type them
+const GREEK_LETTERS = {
+  'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ζ': 'zeta',
+  'η': 'eta', 'θ': 'theta', 'κ': 'kappa', 'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi',
+  'π': 'pi', 'ρ': 'rho', 'σ': 'sigma', 'τ': 'tau', 'φ': 'phi', 'χ': 'chi', 'ψ': 'psi',
+  'ω': 'omega', 'Γ': 'gamma', 'Δ': 'delta', 'Θ': 'theta', 'Λ': 'lambda', 'Σ': 'sigma',
+  'Φ': 'phi', 'Ψ': 'psi', 'Ω': 'omega', 'ħ': 'hbar'
+};
+
+// Common abbreviations - a question using one also matches abstracts that spell it out
+const PHYSICS_ABBREVIATIONS = {
+  bec: 'bose-einstein condensate',
+  qcd: 'quantum chromodynamics',
+  qed: 'quantum electrodynamics',
+  qft: 'quantum field theory',
+  dft: 'density functional theory',
+  cmb: 'cosmic microwave background',
+  nmr: 'nuclear magnetic resonance',
+  stm: 'scanning tunneling microscopy',
+  arpes: 'angle-resolved photoemission spectroscopy',
+  lhc: 'large hadron collider',
+  gw: 'gravitational wave',
+  qhe: 'quantum hall effect'
+};
+
+// Advanced search - field, article type and journal constraints go through Tesseract's searchPost clause API
+const SEARCH_FIELDS = ['title', 'abstract', 'author'];
+const ARTICLE_TYPES = ['review', 'research'];
+const CLAUSE_OPERATORS = ['AND', 'OR', 'NOT'];
+const CLAUSE_FIELDS = ['all', 'title', 'abstract', 'author', 'journal', 'article_type', 'doi'];
+const MAX_CLAUSES = 20;
+
+// Fielded query syntax for /search - author:"Weinberg" title:graphene journal:PRL year:2019..2023 doi:10.1103/... "phrase" -term
+const QUERY_FIELD_EXAMPLES = {
+  author: 'author:"Weinberg"',
+  title: 'title:graphene',
+  abstract: 'abstract:"spin liquid"',
+  journal: 'journal:PRL',
+  year: 'year:2019..2023',
+  doi: 'doi:10.1103/PhysRevLett.19.1264',
+  type: 'type:review'
+};
+
+// APS journal codes with the names and abbreviations users (and Claude) write them as
+const APS_JOURNALS = [
+  ['PRL', 'physical review letters', 'phys rev lett'],
+  ['PRX', 'physical review x', 'phys rev x'],
+  ['RMP', 'reviews of modern physics', 'rev mod phys'],
+  ['PRA', 'physical review a', 'phys rev a'],
+  ['PRB', 'physical review b', 'phys rev b'],
+  ['PRC', 'physical review c', 'phys rev c'],
+  ['PRD', 'physical review d', 'phys rev d'],
+  ['PRE', 'physical review e', 'phys rev e'],
+  ['PRResearch', 'physical review research', 'phys rev research'],
+  ['PRApplied', 'physical review applied', 'phys rev applied'],
+  ['PRFluids', 'physical review fluids', 'phys rev fluids'],
+  ['PRMaterials', 'physical review materials', 'phys rev materials'],
+  ['PRXQuantum', 'prx quantum'],
+  ['PRAB', 'physical review accelerators and beams', 'phys rev accel beams'],
+  ['PRPER', 'physical review physics education research', 'phys rev phys educ res'],
+  ['PR', 'physical review', 'phys rev']
+];
+const JOURNAL_CODES = new Map(APS_JOURNALS.flatMap(([code, ...names]) =>
+  [code.toLowerCase(), ...names].map(name => [name, code])
+));
+
+// Comprehensive stop words including generic/vague terms - used by the fallback parser and ranking
+const QUERY_STOP_WORDS = new Set([
+  // Articles, pronouns, prepositions
+  'the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
+  'what', 'how', 'why', 'when', 'where', 'who', 'which', 'can', 'could',
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'they', 'their',
+  'want', 'understand', 'explain', 'help', 'know', 'learn', 'find', 'tell',
+  'about', 'between', 'relationship', 'connection', 'and', 'or', 'but', 'with',
+  'to', 'of', 'in', 'for', 'on', 'at', 'by', 'from', 'that', 'this', 'it', 'its',
+  // Generic terms that don't add search value
+  'effect', 'effects', 'affect', 'affects', 'cause', 'causes', 'caused',
+  'impact', 'impacts', 'influence', 'influences', 'role', 'roles',
+  'change', 'changes', 'result', 'results', 'lead', 'leads',
+  'work', 'works', 'make', 'makes', 'made', 'use', 'uses', 'used',
+  'show', 'shows', 'shown', 'find', 'finds', 'found', 'study', 'studies',
+  'research', 'paper', 'papers', 'article', 'articles',
+  'new', 'novel', 'recent', 'important', 'significant', 'different',
+  'many', 'some', 'most', 'all', 'any', 'other', 'such', 'like',
+  'also', 'well', 'just', 'even', 'still', 'only', 'very', 'really',
+  // Connectives and citation filler common in abstracts and syntheses
+  'as', 'into', 'via', 'than', 'these', 'those', 'here', 'there', 'both', 'et', 'al'
+]);
+
 // Input sanitization for prompt injection protection (POC level)
 const MAX_QUERY_LENGTH = 500;
 
@@ -142,6 +427,7 @@ const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Expose-Headers': 'Retry-After',
   'Access-Control-Max-Age': '86400',
 };
 
@@ -173,6 +459,372 @@ function generateState() {
   return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
+// OAuth login cookies - scoped to /auth and valid for 10 minutes
+const AUTH_STATE_COOKIE = 'physchat_state';
+const AUTH_VERIFIER_COOKIE = 'physchat_pkce';
+const AUTH_RETURN_COOKIE = 'physchat_return';
+const AUTH_COOKIE_MAX_AGE = 600;
+
+// Where sign-in hands the tokens back - the chrome.identity redirect URL of an extension
+const EXTENSION_REDIRECT_PATTERN = /^https:\/\/([a-p]{32})\.chromiumapp\.org\/[\w\-./]*$/;
+
+// Base64url-encode bytes (RFC 4648 section 5, no padding)
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode a base64url string (padding optional) into bytes
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+// Generate a PKCE code_verifier (RFC 7636 - 43 chars of unreserved characters)
+function generateCodeVerifier() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(array);
+}
+
+// Derive the S256 code_challenge for a code_verifier
+async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+// Parse the Cookie header into a name -> value map
+function parseCookies(request) {
+  const cookies = {};
+  const header = request.headers.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    cookies[part.substring(0, separator).trim()] = part.substring(separator + 1).trim();
+  }
+  return cookies;
+}
+
+// The extension redirect URL from /auth, or null if it isn't one we hand tokens to
+// Only extensions listed in EXTENSION_IDS (comma-separated) may sign in - unset, none can, since any
+// installed extension could otherwise ride the user's Cognito session and collect their tokens
+function parseExtensionRedirect(env, value) {
+  const match = typeof value === 'string' ? EXTENSION_REDIRECT_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  const allowed = (env.EXTENSION_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  return allowed.includes(match[1]) ? value : null;
+}
+
+// Build a Set-Cookie value for the OAuth login cookies
+function buildAuthCookie(name, value, maxAge) {
+  return `${name}=${value}; HttpOnly; Secure; SameSite=Lax; Path=/auth; Max-Age=${maxAge}`;
+}
+
+// Derive the AES-GCM key that seals refresh tokens handed to the extension
+async function getRefreshTokenKey(env) {
+  const secret = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.REFRESH_TOKEN_SECRET));
+  return crypto.subtle.importKey('raw', secret, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// Encrypt a Cognito refresh token into an opaque base64url blob (iv || ciphertext)
+async function sealRefreshToken(env, refreshToken) {
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const key = await getRefreshTokenKey(env);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(refreshToken));
+  const sealed = new Uint8Array(iv.length + ciphertext.byteLength);
+  sealed.set(iv);
+  sealed.set(new Uint8Array(ciphertext), iv.length);
+  return base64UrlEncode(sealed);
+}
+
+// Decrypt a sealed refresh token - returns null if it was tampered with or sealed under another secret
+async function unsealRefreshToken(env, sealed) {
+  try {
+    const bytes = base64UrlDecode(sealed);
+    const key = await getRefreshTokenKey(env);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return null;
+  }
+}
+
+// Compare two strings without leaking where they differ
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Routes that require a verified Cognito access token
+const PROTECTED_ROUTES = ['/search', '/ai-search', '/summarize', '/chat', '/related'];
+
+// JWT verification - Cognito signs tokens with RS256 and publishes keys as a JWKS
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000; // minimum gap between refetches for unknown key ids
+const JWT_CLOCK_SKEW_SECONDS = 60;
+
+// Imported signing keys, cached per isolate: { source, keys: Map(kid -> CryptoKey), fetchedAt }
+let jwksCache = { source: null, keys: new Map(), fetchedAt: 0 };
+
+/**
+ * Verify the bearer token on a request before any protected handler runs
+ * Returns { user } on success or { error } holding a 401 response with a reason code
+ */
+async function authenticateRequest(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { error: createUnauthorizedResponse('missing_token') };
+  }
+
+  const token = authHeader.substring(7).trim();
+  const verification = await verifyAccessToken(env, token);
+  if (!verification.valid) {
+    console.warn('Rejected token:', verification.reason);
+    return { error: createUnauthorizedResponse(verification.reason) };
+  }
+
+  const claims = verification.claims;
+  return {
+    user: {
+      sub: claims.sub,
+      username: claims.username || claims['cognito:username'] || null,
+      clientId: claims.client_id || null,
+      scope: claims.scope || null,
+      token: token
+    }
+  };
+}
+
+/**
+ * Create a 401 response carrying a machine-readable reason code
+ */
+function createUnauthorizedResponse(reason) {
+  const messages = {
+    missing_token: 'Unauthorized',
+    token_expired: 'Session expired. Please sign in again.',
+    auth_not_configured: 'Authentication is not configured on this server.'
+  };
+  return new Response(JSON.stringify({
+    error: messages[reason] || 'Invalid session. Please sign in again.',
+    reason: reason
+  }), {
+    status: 401,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Verify a Cognito JWT: RS256 signature against the pool's JWKS, then issuer, audience and expiry
+ * Returns { valid: true, claims } or { valid: false, reason }
+ */
+async function verifyAccessToken(env, token) {
+  if (!env.COGNITO_ISSUER) {
+    console.error('COGNITO_ISSUER not configured, rejecting all tokens');
+    return { valid: false, reason: 'auth_not_configured' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'malformed_token' };
+  }
+
+  let header, claims;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+    claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+  } catch {
+    return { valid: false, reason: 'malformed_token' };
+  }
+
+  if (header.alg !== 'RS256') {
+    return { valid: false, reason: 'unsupported_algorithm' };
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(env, header.kid);
+  } catch (error) {
+    console.error('JWKS fetch error:', error);
+    return { valid: false, reason: 'jwks_unavailable' };
+  }
+  if (!key) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  let signatureValid = false;
+  try {
+    signatureValid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      key,
+      base64UrlDecode(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+  } catch {
+    signatureValid = false;
+  }
+  if (!signatureValid) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  if (claims.iss !== env.COGNITO_ISSUER) {
+    return { valid: false, reason: 'invalid_issuer' };
+  }
+
+  // Access tokens carry client_id; ID tokens carry aud
+  const audiences = [].concat(claims.aud || [], claims.client_id || []);
+  if (env.COGNITO_CLIENT_ID && !audiences.includes(env.COGNITO_CLIENT_ID)) {
+    return { valid: false, reason: 'invalid_audience' };
+  }
+
+  if (claims.token_use && claims.token_use !== 'access') {
+    return { valid: false, reason: 'invalid_token_use' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + JWT_CLOCK_SKEW_SECONDS < now) {
+    return { valid: false, reason: 'token_expired' };
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+    return { valid: false, reason: 'token_not_yet_valid' };
+  }
+
+  if (!claims.sub) {
+    return { valid: false, reason: 'malformed_token' };
+  }
+
+  return { valid: true, claims: claims };
+}
+
+/**
+ * Look up the signing key for a key id
+ * Uses env.COGNITO_JWKS (a JSON key set, for local testing) when set, otherwise fetches
+ * the pool's JWKS. An unknown key id triggers a refetch in case the pool rotated keys.
+ */
+async function getSigningKey(env, kid) {
+  const now = Date.now();
+
+  if (env.COGNITO_JWKS) {
+    if (jwksCache.source !== env.COGNITO_JWKS) {
+      const jwks = typeof env.COGNITO_JWKS === 'string' ? JSON.parse(env.COGNITO_JWKS) : env.COGNITO_JWKS;
+      jwksCache = { source: env.COGNITO_JWKS, keys: await importJwks(jwks), fetchedAt: now };
+    }
+    return jwksCache.keys.get(kid) || null;
+  }
+
+  const jwksUrl = env.COGNITO_JWKS_URL || `${env.COGNITO_ISSUER}/.well-known/jwks.json`;
+  const age = now - jwksCache.fetchedAt;
+  const isCurrent = jwksCache.source === jwksUrl && age < JWKS_CACHE_TTL_MS;
+
+  if (isCurrent && (jwksCache.keys.has(kid) || age < JWKS_REFETCH_INTERVAL_MS)) {
+    return jwksCache.keys.get(kid) || null;
+  }
+
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`JWKS error: ${response.status}`);
+  }
+  jwksCache = { source: jwksUrl, keys: await importJwks(await response.json()), fetchedAt: now };
+  return jwksCache.keys.get(kid) || null;
+}
+
+/**
+ * Import the RSA signing keys from a JWKS into a kid -> CryptoKey map
+ */
+async function importJwks(jwks) {
+  const keys = new Map();
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+    try {
+      const key = await crypto.subtle.importKey(
+        'jwk',
+        { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+        { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+        false,
+        ['verify']
+      );
+      keys.set(jwk.kid, key);
+    } catch (error) {
+      console.error('Skipping unusable JWK:', jwk.kid, error);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Fixed-window rate limit check for a route and subject
+ * Returns { allowed, retryAfter } where retryAfter is in seconds
+ * The count is approximate: the KV read-modify-write is not atomic, so concurrent
+ * requests can each see the same count, and the in-memory fallback is per isolate
+ */
+async function checkRateLimit(env, route, subject) {
+  const override = parseInt(env[`RATE_LIMIT_${route.replace('-', '_').toUpperCase()}`], 10);
+  const limit = Number.isFinite(override) ? override : RATE_LIMIT_DEFAULTS[route];
+  if (!limit || limit <= 0) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % RATE_LIMIT_WINDOW_SECONDS);
+  const retryAfter = windowStart + RATE_LIMIT_WINDOW_SECONDS - now;
+  const key = `ratelimit:${route}:${subject}:${windowStart}`;
+
+  try {
+    let count;
+    if (env.RATE_LIMITS) {
+      count = parseInt(await env.RATE_LIMITS.get(key), 10) || 0;
+      if (count < limit) {
+        await env.RATE_LIMITS.put(key, String(count + 1), { expirationTtl: Math.max(RATE_LIMIT_WINDOW_SECONDS * 2, 60) });
+      }
+    } else {
+      // Drop counters from past windows
+      for (const [existingKey, entry] of rateLimitCounters) {
+        if (entry.windowStart < windowStart) rateLimitCounters.delete(existingKey);
+      }
+      const entry = rateLimitCounters.get(key) || { windowStart, count: 0 };
+      count = entry.count;
+      if (count < limit) {
+        entry.count = count + 1;
+        rateLimitCounters.set(key, entry);
+      }
+    }
+
+    return { allowed: count < limit, retryAfter };
+  } catch (error) {
+    // Never block users because the limiter itself failed
+    console.error('Rate limit check error:', error);
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+/**
+ * Create a 429 response with Retry-After
+ */
+function createRateLimitResponse(retryAfter) {
+  return new Response(JSON.stringify({
+    error: 'Too many requests. Please slow down and try again shortly.',
+    retryAfter: retryAfter
+  }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfter),
+    },
+  });
+}
+
 // Main request handler
 export default {
   async fetch(request, env, ctx) {
@@ -185,17 +837,34 @@ export default {
     }
 
     try {
+      // Tesseract and Claude-backed routes require a verified Cognito token
+      let user = null;
+      if (PROTECTED_ROUTES.includes(path)) {
+        const auth = await authenticateRequest(request, env);
+        if (auth.error) {
+          return addCorsHeaders(auth.error);
+        }
+        user = auth.user;
+        console.log(`${request.method} ${path}`, { user: user.sub });
+      }
+
       // Route requests
       if (path === '/auth') {
-        return handleAuthInit(request, env);
+        return await handleAuthInit(request, env);
       } else if (path === '/auth/callback') {
         return handleAuthCallback(request, env);
+      } else if (path === '/auth/refresh') {
+        return addCorsHeaders(await handleAuthRefresh(request, env));
       } else if (path === '/search') {
-        return addCorsHeaders(await handleSearch(request, env));
+        return addCorsHeaders(await handleSearch(request, env, user));
       } else if (path === '/ai-search') {
-        return addCorsHeaders(await handleAISearch(request, env));
+        return addCorsHeaders(await handleAISearch(request, env, ctx, user));
       } else if (path === '/summarize') {
-        return addCorsHeaders(await handleSummarize(request, env));
+        return addCorsHeaders(await handleSummarize(request, env, user));
+      } else if (path === '/chat') {
+        return addCorsHeaders(await handleChat(request, env, user));
+      } else if (path === '/related') {
+        return addCorsHeaders(await handleRelated(request, env, user));
       } else if (path === '/health') {
         return addCorsHeaders(new Response(JSON.stringify({ status: 'ok' }), {
           headers: { 'Content-Type': 'application/json' },
@@ -218,12 +887,22 @@ export default {
 
 /**
  * Initialize OAuth flow - redirect to Cognito
+ * Uses the authorization-code flow with state (CSRF) and PKCE (code injection) protection
+ * The extension starts it with chrome.identity.launchWebAuthFlow, passing its redirect URL as
+ * redirect_uri; the callback sends the tokens there
  */
-function handleAuthInit(request, env) {
+async function handleAuthInit(request, env) {
   const url = new URL(request.url);
+  const returnTo = parseExtensionRedirect(env, url.searchParams.get('redirect_uri'));
+  if (!returnTo) {
+    return createCallbackErrorPage('Sign in from the PhysChat extension.');
+  }
+
   const workerUrl = `${url.protocol}//${url.host}`;
   const redirectUri = `${workerUrl}/auth/callback`;
   const state = generateState();
+  const codeVerifier = generateCodeVerifier();
+  const codeChallenge = await createCodeChallenge(codeVerifier);
 
   const authUrl = new URL(env.COGNITO_AUTH_URL);
   authUrl.searchParams.set('response_type', 'code');
@@ -231,20 +910,36 @@ function handleAuthInit(request, env) {
   authUrl.searchParams.set('redirect_uri', redirectUri);
   authUrl.searchParams.set('scope', env.COGNITO_SCOPE);
   authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('code_challenge', codeChallenge);
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+
+  const headers = new Headers({ 'Location': authUrl.toString() });
+  headers.append('Set-Cookie', buildAuthCookie(AUTH_STATE_COOKIE, state, AUTH_COOKIE_MAX_AGE));
+  headers.append('Set-Cookie', buildAuthCookie(AUTH_VERIFIER_COOKIE, codeVerifier, AUTH_COOKIE_MAX_AGE));
+  headers.append('Set-Cookie', buildAuthCookie(AUTH_RETURN_COOKIE, encodeURIComponent(returnTo), AUTH_COOKIE_MAX_AGE));
 
   return new Response(null, {
     status: 302,
-    headers: {
-      'Location': authUrl.toString(),
-      'Set-Cookie': `physchat_state=${state}; HttpOnly; Secure; SameSite=Lax; Max-Age=600`,
-    },
+    headers: headers,
   });
 }
 
 /**
  * Handle OAuth callback from Cognito
+ * The login cookies are single-use, so they are cleared whatever the outcome
  */
 async function handleAuthCallback(request, env) {
+  const response = await completeAuthCallback(request, env);
+  response.headers.append('Set-Cookie', buildAuthCookie(AUTH_STATE_COOKIE, '', 0));
+  response.headers.append('Set-Cookie', buildAuthCookie(AUTH_VERIFIER_COOKIE, '', 0));
+  response.headers.append('Set-Cookie', buildAuthCookie(AUTH_RETURN_COOKIE, '', 0));
+  return response;
+}
+
+/**
+ * Verify the callback against the login cookies and exchange the code for tokens
+ */
+async function completeAuthCallback(request, env) {
   const url = new URL(request.url);
   const code = url.searchParams.get('code');
   const state = url.searchParams.get('state');
@@ -259,6 +954,37 @@ async function handleAuthCallback(request, env) {
     return createCallbackErrorPage('No authorization code received');
   }
 
+  const cookies = parseCookies(request);
+  const expectedState = cookies[AUTH_STATE_COOKIE];
+  const codeVerifier = cookies[AUTH_VERIFIER_COOKIE];
+
+  if (!state) {
+    return createCallbackErrorPage('The sign-in response was missing its state parameter. Please sign in again.');
+  }
+
+  if (!expectedState) {
+    return createCallbackErrorPage('Your sign-in session expired or cookies are blocked. Please sign in again.');
+  }
+
+  if (!timingSafeEqual(state, expectedState)) {
+    console.warn('OAuth state mismatch on callback');
+    return createCallbackErrorPage('The sign-in response did not match this browser session. Please sign in again.');
+  }
+
+  if (!codeVerifier) {
+    return createCallbackErrorPage('The sign-in verifier was missing. Please sign in again.');
+  }
+
+  let returnTo = null;
+  try {
+    returnTo = parseExtensionRedirect(env, decodeURIComponent(cookies[AUTH_RETURN_COOKIE] || ''));
+  } catch {
+    returnTo = null;
+  }
+  if (!returnTo) {
+    return createCallbackErrorPage('The sign-in session did not say where to return. Please sign in again.');
+  }
+
   // Exchange code for tokens
   const workerUrl = `${url.protocol}//${url.host}`;
   const redirectUri = `${workerUrl}/auth/callback`;
@@ -274,12 +1000,16 @@ async function handleAuthCallback(request, env) {
         client_id: env.COGNITO_CLIENT_ID,
         code: code,
         redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
       }),
     });
 
     if (!tokenResponse.ok) {
       const errorText = await tokenResponse.text();
       console.error('Token exchange failed:', errorText);
+      if (errorText.includes('invalid_grant')) {
+        return createCallbackErrorPage('The authorization code was rejected or has already been used. Please sign in again.');
+      }
       return createCallbackErrorPage('Failed to exchange authorization code');
     }
 
@@ -290,8 +1020,19 @@ async function handleAuthCallback(request, env) {
       return createCallbackErrorPage('No access token received');
     }
 
-    // Return success page that sends token to extension
-    return createCallbackSuccessPage(accessToken);
+    // Seal the refresh token so only this worker can redeem it
+    let refreshToken = null;
+    if (tokens.refresh_token && env.REFRESH_TOKEN_SECRET) {
+      refreshToken = await sealRefreshToken(env, tokens.refresh_token);
+    } else if (tokens.refresh_token) {
+      console.warn('REFRESH_TOKEN_SECRET not configured, discarding refresh token');
+    }
+
+    return createExtensionRedirect(returnTo, {
+      token: accessToken,
+      refreshToken: refreshToken,
+      expiresIn: tokens.expires_in || null
+    });
 
   } catch (error) {
     console.error('Token exchange error:', error);
@@ -300,88 +1041,108 @@ async function handleAuthCallback(request, env) {
 }
 
 /**
- * Create success callback page
+ * Exchange a sealed refresh token for a new access token
  */
-function createCallbackSuccessPage(token) {
-  const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>PhysChat - Authentication Successful</title>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      min-height: 100vh;
-      margin: 0;
-      background: #f5f7fa;
-    }
-    .container {
-      background: white;
-      padding: 40px;
-      border-radius: 12px;
-      box-shadow: 0 4px 20px rgba(0,0,0,0.1);
-      text-align: center;
-      max-width: 400px;
-    }
-    .icon {
-      width: 64px;
-      height: 64px;
-      background: #d1fae5;
-      border-radius: 50%;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      margin: 0 auto 20px;
-    }
-    .icon svg {
-      width: 32px;
-      height: 32px;
-      fill: #059669;
-    }
-    h1 {
-      color: #00274c;
-      margin: 0 0 12px;
-      font-size: 24px;
+async function handleAuthRefresh(request, env) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (!env.REFRESH_TOKEN_SECRET) {
+    return new Response(JSON.stringify({ error: 'Token refresh is not configured' }), {
+      status: 501,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid request body' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const refreshToken = typeof body.refreshToken === 'string'
+    ? await unsealRefreshToken(env, body.refreshToken)
+    : null;
+
+  if (!refreshToken) {
+    return new Response(JSON.stringify({ error: 'Invalid refresh token' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  try {
+    const tokenResponse = await fetch(env.COGNITO_TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: env.COGNITO_CLIENT_ID,
+        refresh_token: refreshToken,
+      }),
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      console.error('Token refresh failed:', errorText);
+      return new Response(JSON.stringify({ error: 'Session expired. Please sign in again.' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' },
+      });
     }
-    p {
-      color: #6c757d;
-      margin: 0;
-      font-size: 16px;
+
+    const tokens = await tokenResponse.json();
+    if (!tokens.access_token) {
+      return new Response(JSON.stringify({ error: 'No access token received' }), {
+        status: 502,
+        headers: { 'Content-Type': 'application/json' },
+      });
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="icon">
-      <svg viewBox="0 0 24 24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>
-    </div>
-    <h1>Authentication Successful!</h1>
-    <p>You can close this window and return to journals.aps.org.</p>
-  </div>
-  <script>
-    // Send token to opener window (the extension content script)
-    if (window.opener) {
-      window.opener.postMessage({
-        type: 'PHYSCHAT_AUTH_SUCCESS',
-        token: '${token}'
-      }, 'https://journals.aps.org');
-    }
-    // Also try to communicate with extension via chrome API
-    // This will be picked up by the background script
-    setTimeout(() => {
-      window.close();
-    }, 2000);
-  </script>
-</body>
-</html>
-  `;
 
-  return new Response(html, {
-    headers: { 'Content-Type': 'text/html' },
+    // Cognito only returns a new refresh token when rotation is enabled
+    return new Response(JSON.stringify({
+      token: tokens.access_token,
+      refreshToken: tokens.refresh_token ? await sealRefreshToken(env, tokens.refresh_token) : null,
+      expiresIn: tokens.expires_in || null
+    }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    return new Response(JSON.stringify({ error: 'Token refresh failed. Please try again.' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+/**
+ * Hand the tokens to the extension by redirecting to its chrome.identity URL
+ * They go in the fragment, which the browser never sends to a server
+ * @param {Object} auth - { token, refreshToken, expiresIn }
+ */
+function createExtensionRedirect(returnTo, auth) {
+  const fragment = new URLSearchParams({ token: auth.token });
+  if (auth.refreshToken) fragment.set('refresh_token', auth.refreshToken);
+  if (auth.expiresIn) fragment.set('expires_in', String(auth.expiresIn));
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': `${returnTo}#${fragment}`,
+      'Cache-Control': 'no-store',
+    },
   });
 }
 
@@ -469,8 +1230,9 @@ function createCallbackErrorPage(message) {
 
 /**
  * Handle search requests
+ * @param {Object} user - Verified identity from authenticateRequest
  */
-async function handleSearch(request, env) {
+async function handleSearch(request, env, user) {
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ error: 'Method not allowed' }), {
       status: 405,
@@ -478,16 +1240,7 @@ async function handleSearch(request, env) {
     });
   }
 
-  // Verify authorization
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-      status: 401,
-      headers: { 'Content-Type': 'application/json' },
-    });
-  }
-
-  const accessToken = authHeader.substring(7);
+  const accessToken = user.token;
 
   // Parse request body
   let body;
@@ -500,7 +1253,7 @@ async function handleSearch(request, env) {
     });
   }
 
-  const { query: rawQuery, limit = 10, sort = 'relevance' } = body;
+  const { query: rawQuery, limit = 10, sort = 'relevance', noCache = false } = body;
 
   if (!rawQuery || typeof rawQuery !== 'string') {
     return new Response(JSON.stringify({ error: 'Query is required' }), {
@@ -520,12 +1273,60 @@ async function handleSearch(request, env) {
 
   // Log suspicious queries for monitoring
   if (isSuspiciousQuery(rawQuery, query)) {
-    console.warn('Suspicious query detected:', { original: rawQuery.substring(0, 100), sanitized: query.substring(0, 100) });
+    console.warn('Suspicious query detected:', { user: user.sub, original: rawQuery.substring(0, 100), sanitized: query.substring(0, 100) });
+  }
+
+  // Optional advanced constraints - fields, articleTypes, journals, dateRange, clauses
+  const constraintError = validateSearchConstraints(body);
+  if (constraintError) {
+    return new Response(JSON.stringify({ error: constraintError }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Fielded syntax in the query itself - author:, title:, journal:, year:, doi:, "phrases", -exclusions
+  const parsed = parseFieldedQuery(query);
+  if (parsed.error) {
+    return new Response(JSON.stringify({ error: parsed.error }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Body clauses and the query's own field terms go to Tesseract together - refuse rather than drop any
+  const clauseCount = (body.clauses || []).length + parsed.clauses.length;
+  if (clauseCount > MAX_CLAUSES) {
+    return new Response(JSON.stringify({ error: `Too many field terms - at most ${MAX_CLAUSES} are allowed, counting clauses sent with the query` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
   }
 
+  // Journals, article types and dates from the body narrow whatever the query asked for
+  const searchParams = applySearchFilters({
+    query: parsed.text,
+    fields: body.fields,
+    articleTypes: parsed.articleTypes,
+    journals: parsed.journals,
+    dois: parsed.dois,
+    dateRange: parsed.dateRange,
+    clauses: [...(body.clauses || []), ...parsed.clauses]
+  }, parseSearchFilters(body).filters);
+
   // Call Tesseract API
   try {
-    const searchResults = await callTesseractSearch(env, accessToken, query, limit, sort);
+    const searchResults = await callTesseractSearch(env, accessToken, searchParams, limit, sort, { bypassCache: noCache === true });
+    if (parsed.fielded) {
+      searchResults.parsedQuery = {
+        text: parsed.text,
+        clauses: parsed.clauses,
+        journals: parsed.journals || null,
+        articleTypes: parsed.articleTypes || null,
+        dois: parsed.dois || null,
+        dateRange: parsed.dateRange || null
+      };
+    }
     return new Response(JSON.stringify(searchResults), {
       headers: { 'Content-Type': 'application/json' },
     });
@@ -548,43 +1349,121 @@ async function handleSearch(request, env) {
 
 /**
  * Call Tesseract MCP search API - supports advanced search with clauses
- * @param {Object} searchParams - Can be a string (simple query) or object with advanced options
+ * Plain queries go through mcpSearch; field, article type, journal and boolean
+ * constraints are translated into searchPost clauses (see buildSearchClauses)
+ * @param {Object} searchParams - Can be a string (simple query) or object with advanced options:
+ *   { query, fields, dateRange, articleTypes, journals, dois, clauses }
+ * @param {Object} options - { bypassCache } skips the cache lookup (fresh results are still cached)
  */
-async function callTesseractSearch(env, accessToken, searchParams, limit, sort = 'relevance') {
+async function callTesseractSearch(env, accessToken, searchParams, limit, sort = 'relevance', options = {}) {
   // Normalize searchParams - can be string or object
   const params = typeof searchParams === 'string'
     ? { query: searchParams }
     : searchParams;
 
-  // Build the search arguments - use mcpSearch for reliability
-  // mcpSearch is simpler and more reliable than searchPost
-  const searchArgs = {
-    q: params.query,
+  // Use mcpSearch unless there are constraints it can't express - it is simpler and more reliable
+  const clauses = buildSearchClauses(params);
+  const advanced = clauses.length > 1 || (clauses.length === 1 && clauses[0].field !== 'all');
+
+  const simpleArgs = {
+    q: params.query || '',
     per_page: Math.min(limit, 100),
     sort: sort
   };
+  const searchArgs = advanced
+    ? { clauses: clauses, per_page: simpleArgs.per_page, sort: sort }
+    : simpleArgs;
 
-  // Add date range if specified (mcpSearch supports these)
+  // Add date range if specified (both tools support these)
   if (params.dateRange) {
-    if (params.dateRange.start) {
-      searchArgs.start_date = params.dateRange.start;
+    for (const args of [simpleArgs, searchArgs]) {
+      if (params.dateRange.start) {
+        args.start_date = params.dateRange.start;
+      }
+      if (params.dateRange.end) {
+        args.end_date = params.dateRange.end;
+      }
+    }
+  }
+
+  // Serve repeated searches from the cache
+  const cacheTtl = getSearchCacheTtl(env);
+  const cacheKey = cacheTtl > 0 ? await buildSearchCacheKey(searchArgs) : null;
+
+  if (cacheKey && !options.bypassCache) {
+    const cached = await readSearchCache(env, cacheKey);
+    if (cached) {
+      console.log('Tesseract search cache hit:', JSON.stringify(searchArgs));
+      return { ...cached, cached: true };
     }
-    if (params.dateRange.end) {
-      searchArgs.end_date = params.dateRange.end;
+  }
+
+  let searchData;
+  let constraintsDropped = false;
+
+  if (advanced) {
+    try {
+      searchData = await callTesseractTool(env, accessToken, 'search-api___searchPost', searchArgs);
+    } catch (error) {
+      if (error.message === 'Unauthorized') {
+        throw error;
+      }
+      // Better a broader result set than none - the response says the constraints were not applied
+      console.warn('searchPost failed, retrying with mcpSearch:', error.message);
+      searchData = await callTesseractTool(env, accessToken, 'search-api___mcpSearch', simpleArgs);
+      constraintsDropped = true;
     }
+  } else {
+    searchData = await callTesseractTool(env, accessToken, 'search-api___mcpSearch', simpleArgs);
+  }
+
+  if (!searchData) {
+    return { total: 0, results: [], cached: false, constraintsDropped };
+  }
+
+  // Format results for the extension
+  const formatted = {
+    total: searchData.total || 0,
+    results: (searchData.results || []).map(article => ({
+      title: article.title,
+      authors: article.authors || [],
+      abstract: article.abstract,
+      journal: article.journal,
+      date: article.date,
+      volume: article.volume,
+      issue: article.issue,
+      pages: article.pages,
+      doi: article.doi,
+      url: article.url || `https://doi.org/${article.doi}`,
+      citations: article.citations,
+      articleType: article.articleType || article.article_type
+    }))
+  };
+
+  // Don't cache unconstrained fallback results under the constrained key
+  if (cacheKey && !constraintsDropped) {
+    await writeSearchCache(env, cacheKey, formatted, cacheTtl);
   }
 
+  return { ...formatted, cached: false, constraintsDropped };
+}
+
+/**
+ * Call a Tesseract MCP tool and unwrap the JSON payload from its result
+ * Returns null when the tool returned no content
+ */
+async function callTesseractTool(env, accessToken, toolName, args) {
   const mcpRequest = {
     jsonrpc: '2.0',
     id: Date.now(),
     method: 'tools/call',
     params: {
-      name: 'search-api___mcpSearch',
-      arguments: searchArgs
+      name: toolName,
+      arguments: args
     }
   };
 
-  console.log('Tesseract search request:', JSON.stringify(searchArgs));
+  console.log('Tesseract search request:', toolName, JSON.stringify(args));
 
   const response = await fetch(env.TESSERACT_API_URL, {
     method: 'POST',
@@ -614,415 +1493,1571 @@ async function callTesseractSearch(env, accessToken, searchParams, limit, sort =
   // Extract results from MCP response
   const result = mcpResponse.result;
 
+  // Tool-level failures come back as a result flagged isError
+  if (result && result.isError) {
+    const errorText = result.content?.find(c => c.type === 'text')?.text;
+    throw new Error(errorText ? errorText.substring(0, 200) : 'Search tool error');
+  }
+
   // The result might be nested in content
-  let searchData;
   if (result && result.content && Array.isArray(result.content)) {
     // Find the text content with the JSON response
     const textContent = result.content.find(c => c.type === 'text');
     if (textContent && textContent.text) {
-      searchData = JSON.parse(textContent.text);
+      return JSON.parse(textContent.text);
     }
-  } else if (result && typeof result === 'object') {
-    searchData = result;
+    return null;
   }
-
-  if (!searchData) {
-    return { total: 0, results: [] };
+  if (result && typeof result === 'object') {
+    return result;
   }
-
-  // Format results for the extension
-  return {
-    total: searchData.total || 0,
-    results: (searchData.results || []).map(article => ({
-      title: article.title,
-      authors: article.authors || [],
-      abstract: article.abstract,
-      journal: article.journal,
-      date: article.date,
-      volume: article.volume,
-      issue: article.issue,
-      pages: article.pages,
-      doi: article.doi,
-      url: article.url || `https://doi.org/${article.doi}`,
-      citations: article.citations
-    }))
-  };
+  return null;
 }
 
 /**
- * Handle AI-powered search requests
- * Uses Claude to parse the query and generate an intelligent search strategy
+ * Translate search constraints into searchPost clauses
+ * Each clause is { operator, field, value } or a nested group { operator, clauses };
+ * the constraint groups are ANDed and the values within a group ORed, e.g.
+ * "review articles on X in PRL or PRB" becomes
+ *   (all:X) AND (article_type:review) AND (journal:PRL OR journal:PRB)
+ * Unknown fields, types and journals are dropped - the plan comes from Claude, so be lenient
  */
-async function handleAISearch(request, env) {
-  if (request.method !== 'POST') {
-    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-      status: 405,
-      headers: { 'Content-Type': 'application/json' },
-    });
-  }
-
-  // Verify authorization
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-      status: 401,
-      headers: { 'Content-Type': 'application/json' },
-    });
-  }
-
-  const accessToken = authHeader.substring(7);
-
-  // Parse request body
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return new Response(JSON.stringify({ error: 'Invalid request body' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json' },
-    });
+function buildSearchClauses(params) {
+  const clauses = [];
+  const query = (params.query || '').trim();
+
+  const fields = (params.fields || []).filter(f => SEARCH_FIELDS.includes(f));
+  if (query) {
+    if (fields.length === 0 || fields.length === SEARCH_FIELDS.length) {
+      clauses.push({ operator: 'AND', field: 'all', value: query });
+    } else if (fields.length === 1) {
+      clauses.push({ operator: 'AND', field: fields[0], value: query });
+    } else {
+      clauses.push(anyOf(fields.map(field => ({ field, value: query }))));
+    }
   }
 
-  const { query: rawQuery, limit = 15, sort = 'relevance' } = body;
-
-  if (!rawQuery || typeof rawQuery !== 'string') {
-    return new Response(JSON.stringify({ error: 'Query is required' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json' },
-    });
+  const articleTypes = (params.articleTypes || []).filter(t => ARTICLE_TYPES.includes(t));
+  if (articleTypes.length > 0 && articleTypes.length < ARTICLE_TYPES.length) {
+    clauses.push(anyOf(articleTypes.map(value => ({ field: 'article_type', value }))));
   }
 
-  // Sanitize query for prompt injection protection
-  const query = sanitizeQuery(rawQuery);
-  if (!query) {
-    return new Response(JSON.stringify({ error: 'Invalid query' }), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json' },
-    });
+  const journals = [...new Set((params.journals || []).map(normalizeJournal).filter(Boolean))];
+  if (journals.length > 0) {
+    clauses.push(anyOf(journals.map(value => ({ field: 'journal', value }))));
   }
 
-  // Log suspicious queries for monitoring
-  if (isSuspiciousQuery(rawQuery, query)) {
-    console.warn('Suspicious AI query detected:', { original: rawQuery.substring(0, 100), sanitized: query.substring(0, 100) });
+  const dois = [...new Set((params.dois || []).filter(d => typeof d === 'string' && DOI_PATTERN.test(d)))];
+  if (dois.length > 0) {
+    clauses.push(anyOf(dois.map(value => ({ field: 'doi', value }))));
   }
 
-  try {
-    // Use agentic search - Claude decides what to search and when to stop
-    const agentResult = await executeAgenticSearch(env, accessToken, query, 4);
-
-    // If agent failed, fall back to simple search
-    if (!agentResult.success) {
-      console.log('Agent failed, falling back to simple search:', agentResult.fallbackReason);
-      const fallbackResults = await callTesseractSearch(env, accessToken, query, limit, sort);
-      return new Response(JSON.stringify({
-        query: query,
-        aiAnalysis: null,
-        fallback: true,
-        fallbackReason: agentResult.fallbackReason,
-        ...fallbackResults
-      }), {
-        headers: { 'Content-Type': 'application/json' },
+  // Explicit boolean clauses, already checked by validateSearchClauses
+  for (const clause of (params.clauses || []).slice(0, MAX_CLAUSES)) {
+    if (CLAUSE_FIELDS.includes(clause.field) && typeof clause.value === 'string' && clause.value.trim()) {
+      clauses.push({
+        operator: CLAUSE_OPERATORS.includes(clause.operator) ? clause.operator : 'AND',
+        field: clause.field,
+        value: clause.field === 'journal' ? (normalizeJournal(clause.value) || clause.value.trim()) : clause.value.trim()
       });
     }
+  }
 
-    // Agent succeeded - process results
-    const papers = agentResult.papers;
-
-    // Score papers - papers found in multiple searches (if agent searched multiple times) rank higher
-    // For now, simple ordering based on when they were found (earlier = more relevant)
-    const scoredResults = papers.slice(0, 20);
+  return clauses;
+}
 
-    // Determine intent from agent steps for synthesis
-    const hasRecentSearch = agentResult.agentSteps.some(s => s.type === 'search' && s.searchType === 'recent');
-    const intent = hasRecentSearch ? 'survey' : 'specific';
+// AND in a group of ORed clauses - a single clause needs no group
+function anyOf(clauses) {
+  if (clauses.length === 1) {
+    return { operator: 'AND', ...clauses[0] };
+  }
+  return {
+    operator: 'AND',
+    clauses: clauses.map((clause, i) => ({ operator: i === 0 ? 'AND' : 'OR', ...clause }))
+  };
+}
 
-    // Generate answer synthesis from top results
-    let synthesis = null;
-    if (scoredResults.length > 0 && env.ANTHROPIC_API_KEY) {
-      synthesis = await generateAnswerSynthesis(env, query, intent, scoredResults.slice(0, 5));
-    }
+/**
+ * Resolve a journal name or abbreviation ("PRL", "Phys. Rev. Lett.") to its APS code
+ */
+function normalizeJournal(name) {
+  if (typeof name !== 'string') return null;
+  const key = name.toLowerCase().replace(/\./g, ' ').replace(/\s+/g, ' ').trim();
+  return JOURNAL_CODES.get(key) || null;
+}
 
-    // Extract search details from agent steps for the thinking panel
-    const searchSteps = agentResult.agentSteps.filter(s => s.type === 'search');
-    const analysisSteps = agentResult.agentSteps.filter(s => s.type === 'analysis');
-    const finishStep = agentResult.agentSteps.find(s => s.type === 'finish');
+/**
+ * Validate advanced search options from a request body
+ * Returns an error message, or null if they are usable
+ */
+function validateSearchConstraints(body) {
+  const isStringArray = value => Array.isArray(value) && value.every(v => typeof v === 'string');
 
-    // Return results with agent reasoning
-    return new Response(JSON.stringify({
-      query: query,
-      aiAnalysis: {
-        mode: 'agentic',
-        interpretation: finishStep?.coverage || `Agent searched for: ${query}`,
-        intent: intent,
-        concepts: [], // Agent doesn't explicitly list concepts
-        agentSteps: agentResult.agentSteps,
-        searchesRun: searchSteps.map(s => ({
-          query: s.query,
-          searchType: s.searchType,
-          totalFound: s.totalFound,
-          newPapers: s.newPapers,
-          status: s.status,
-          error: s.error
-        })),
-        synthesis: synthesis,
-        finishReason: agentResult.finishReason
-      },
-      ranking: {
-        method: 'agent_curated',
-        totalSearches: agentResult.totalSearches,
-        stats: {
-          totalUnique: papers.length,
-          agentIterations: Math.max(...agentResult.agentSteps.map(s => s.iteration || 0), 0)
-        }
-      },
-      total: scoredResults.length,
-      results: scoredResults
-    }), {
-      headers: { 'Content-Type': 'application/json' },
-    });
-
-  } catch (error) {
-    console.error('AI Search error:', error);
-
-    if (error.message === 'Unauthorized') {
-      return new Response(JSON.stringify({ error: 'Session expired. Please sign in again.' }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' },
-      });
+  if (body.fields !== undefined) {
+    if (!isStringArray(body.fields) || body.fields.some(f => !SEARCH_FIELDS.includes(f))) {
+      return `fields must be a list of: ${SEARCH_FIELDS.join(', ')}`;
     }
-
-    // Fall back to simple search if AI fails
-    console.log('Falling back to simple search');
-    try {
-      const fallbackResults = await callTesseractSearch(env, accessToken, query, limit, sort);
-      return new Response(JSON.stringify({
-        query: query,
-        aiAnalysis: null,
-        fallback: true,
-        ...fallbackResults
-      }), {
-        headers: { 'Content-Type': 'application/json' },
-      });
-    } catch (fallbackError) {
-      return new Response(JSON.stringify({ error: 'Search failed. Please try again.' }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' },
-      });
+  }
+  if (body.articleTypes !== undefined) {
+    if (!isStringArray(body.articleTypes) || body.articleTypes.some(t => !ARTICLE_TYPES.includes(t))) {
+      return `articleTypes must be a list of: ${ARTICLE_TYPES.join(', ')}`;
+    }
+  }
+  if (body.journals !== undefined) {
+    if (!isStringArray(body.journals)) {
+      return 'journals must be a list of journal names';
+    }
+    const unknown = body.journals.find(j => !normalizeJournal(j));
+    if (unknown) {
+      return `Unknown journal: ${unknown}`;
+    }
+  }
+  if (body.dateRange !== undefined && body.dateRange !== null) {
+    const { start, end } = body.dateRange;
+    const isDate = value => value === undefined || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value));
+    if (typeof body.dateRange !== 'object' || !isDate(start) || !isDate(end)) {
+      return 'dateRange must be { start, end } with YYYY-MM-DD dates';
+    }
+    if (start && end && start > end) {
+      return 'dateRange start must not be after end';
     }
   }
+  if (body.clauses !== undefined) {
+    if (!Array.isArray(body.clauses) || body.clauses.length > MAX_CLAUSES) {
+      return `clauses must be a list of at most ${MAX_CLAUSES} entries`;
+    }
+    for (const clause of body.clauses) {
+      if (!clause || typeof clause !== 'object' || typeof clause.value !== 'string' || !clause.value.trim()) {
+        return 'Each clause needs a non-empty value';
+      }
+      if (!CLAUSE_FIELDS.includes(clause.field)) {
+        return `Clause field must be one of: ${CLAUSE_FIELDS.join(', ')}`;
+      }
+      if (clause.operator !== undefined && !CLAUSE_OPERATORS.includes(clause.operator)) {
+        return `Clause operator must be one of: ${CLAUSE_OPERATORS.join(', ')}`;
+      }
+      if (clause.field === 'journal' && !normalizeJournal(clause.value)) {
+        return `Unknown journal: ${clause.value}`;
+      }
+    }
+  }
+  return null;
 }
 
 /**
- * Use Claude to parse a natural language query into a search strategy
+ * Parse fielded query syntax into search params
+ *   author:"Steven Weinberg"  title:graphene  abstract:"spin liquid"  journal:PRL  type:review
+ *   year:2019  year:2019..2023  year:2019..  year:..2023  doi:10.1103/...  "exact phrase"  -excluded  -author:Smith
+ * Returns { fielded, text, clauses, journals, articleTypes, dois, dateRange } or { error }
+ * A query without any of this comes back unchanged as text, with fielded false
+ * The terms come from extension/query-syntax.js, so the sidebar's preview reads queries the same way
  */
-async function parseQueryWithClaude(env, query) {
-  // Check if API key is configured
-  if (!env.ANTHROPIC_API_KEY) {
-    console.log('ANTHROPIC_API_KEY not configured, using fallback parsing');
-    return fallbackQueryParsing(query);
-  }
+function parseFieldedQuery(query) {
+  const tokens = PhysChatQuerySyntax.tokenize(query);
 
-  const systemPrompt = `You are a physics research search assistant for APS journals. Analyze the user's query to understand their INTENT and generate an optimal search strategy.
+  const problem = tokens.find(t => t.problem);
+  if (problem && problem.problem === 'unclosed_quote') {
+    return { error: `Unclosed quote in ${query.substring(problem.start, problem.start + 30)} - add the closing "` };
+  }
+  if (problem) {
+    return { error: `${problem.field}: needs a value, e.g. ${QUERY_FIELD_EXAMPLES[problem.field]}` };
+  }
 
-## Intent Types
-Identify ONE primary intent:
-- **explainer**: User wants to understand a concept ("What is...", "How does...work", "Explain...")
-  → Prioritize review articles, foundational papers, highly-cited works
-- **survey**: User wants current state of field ("Recent advances in...", "Latest research on...")
-  → Filter to recent years (2022+), sort by date
-- **specific**: User wants papers on a specific phenomenon or result
-  → Precise keyword matching, use title field
-- **author**: User mentions a researcher name
-  → Use author field search
-- **comparative**: User comparing concepts ("difference between X and Y", "X vs Y")
-  → Search each concept, look for papers discussing both
+  const textParts = [];
+  const clauses = [];
+  const journals = [];
+  const articleTypes = [];
+  const dois = [];
+  let dateRange = null;
+  const operator = token => token.negate ? 'NOT' : 'AND';
 
-## Search Strategy
-Generate 2-4 searches. Each search can specify:
-- **query**: The search terms
-- **fields**: Array of ["title", "abstract", "author"] - where to search (default: all)
-- **dateRange**: Object {"start": "YYYY-MM-DD", "end": "YYYY-MM-DD"} or null
-- **articleTypes**: Array like ["review", "research"] or null (review = review articles, research = original research)
-- **weight**: 1.0-2.5 importance
+  for (const token of tokens) {
+    const { field, value } = token;
 
-## Rules
-- Extract SPECIFIC physics terms, not generic words (effect, cause, relationship, study)
-- Preserve compound terms: "quantum entanglement", "dark matter", "Bose-Einstein condensate"
-- For explainer intent: include a search for review articles
-- For survey intent: always set dateRange.start to at least 2022
-- For author queries: put the name in a separate author-field search
+    if (!field || field === 'author' || field === 'title' || field === 'abstract') {
+      if (!field && !token.negate) {
+        textParts.push(token.phrase ? `"${value}"` : value);
+      } else {
+        clauses.push({ operator: operator(token), field: field || 'all', value: !field && token.phrase ? `"${value}"` : value });
+      }
 
-Respond with valid JSON only:
-{
-  "interpretation": "One sentence summary of what user wants to learn",
-  "intent": "explainer|survey|specific|author|comparative",
-  "concepts": ["concept1", "concept2"],
-  "searches": [
-    {
-      "query": "search terms",
-      "fields": ["title", "abstract"],
-      "dateRange": null,
-      "articleTypes": null,
-      "purpose": "brief label",
-      "weight": 1.5
-    }
-  ]
-}`;
+    } else if (field === 'journal') {
+      const code = normalizeJournal(value);
+      if (!code) {
+        return { error: `Unknown journal "${value}" - use an APS code such as PRL, PRB or RMP` };
+      }
+      if (token.negate) {
+        clauses.push({ operator: 'NOT', field: 'journal', value: code });
+      } else {
+        journals.push(code);
+      }
 
-  const userPrompt = `Generate a search strategy for this query: "${query}"`;
+    } else if (field === 'type') {
+      const type = value.toLowerCase().replace(/s$/, '');
+      if (!ARTICLE_TYPES.includes(type)) {
+        return { error: `Unknown article type "${value}" - use ${ARTICLE_TYPES.map(t => `type:${t}`).join(' or ')}` };
+      }
+      if (token.negate) {
+        clauses.push({ operator: 'NOT', field: 'article_type', value: type });
+      } else {
+        articleTypes.push(type);
+      }
 
-  try {
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: CLAUDE_MODEL,
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: userPrompt }
-        ]
-      })
-    });
+    } else if (field === 'doi') {
+      if (!DOI_PATTERN.test(value)) {
+        return { error: `"${value}" is not a DOI - expected something like ${QUERY_FIELD_EXAMPLES.doi.substring(4)}` };
+      }
+      if (token.negate) {
+        clauses.push({ operator: 'NOT', field: 'doi', value });
+      } else {
+        dois.push(value);
+      }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Claude API error:', response.status, errorText);
-      return fallbackQueryParsing(query);
+    } else if (field === 'year') {
+      if (token.negate) {
+        return { error: 'year: can\'t be excluded - give the range you want instead, e.g. year:..2018' };
+      }
+      if (dateRange) {
+        return { error: 'Only one year: is allowed - use a range such as year:2019..2023' };
+      }
+      const range = /^(\d{4})?(?:(\.\.)(\d{4})?)?$/.exec(value);
+      if (!range || (!range[1] && !range[3])) {
+        return { error: `Can't read year:${value} - use year:2020, year:2019..2023, year:2019.. or year:..2023` };
+      }
+      const [, from, dots, to] = range;
+      if (from && to && from > to) {
+        return { error: `year:${value} ends before it starts` };
+      }
+      dateRange = {};
+      if (from) dateRange.start = `${from}-01-01`;
+      if (to || (from && !dots)) dateRange.end = `${to || from}-12-31`;
     }
+  }
 
-    const data = await response.json();
-    const content = data.content?.[0]?.text;
-
-    if (!content) {
-      console.error('No content in Claude response');
-      return fallbackQueryParsing(query);
-    }
+  if (clauses.length > MAX_CLAUSES) {
+    return { error: `Too many field terms - at most ${MAX_CLAUSES} are allowed` };
+  }
 
-    // Parse JSON from Claude's response
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.error('No JSON found in Claude response:', content);
-      return fallbackQueryParsing(query);
-    }
+  const text = textParts.join(' ');
+  // Exclusions and year: only narrow a search - something has to select papers
+  const positive = text || journals.length > 0 || articleTypes.length > 0 || dois.length > 0 ||
+    clauses.some(c => c.operator !== 'NOT');
+  if (!positive) {
+    return { error: 'Add something to search for besides excluded terms and years' };
+  }
 
-    const parsed = JSON.parse(jsonMatch[0]);
+  return {
+    fielded: tokens.some(t => t.field || t.negate || t.phrase),
+    text: text,
+    clauses: clauses,
+    journals: journals.length > 0 ? journals : undefined,
+    articleTypes: articleTypes.length > 0 ? articleTypes : undefined,
+    dois: dois.length > 0 ? dois : undefined,
+    dateRange: dateRange || undefined
+  };
+}
 
-    // Validate the response structure
-    if (!parsed.searches || !Array.isArray(parsed.searches) || parsed.searches.length === 0) {
-      console.error('Invalid search plan structure:', parsed);
-      return fallbackQueryParsing(query);
-    }
+/**
+ * Parse hard filters - an /ai-search filters object or a /search body: { journals, articleTypes, dateRange }
+ * Returns { filters } - null when nothing is filtered - or { error }
+ */
+function parseSearchFilters(value) {
+  if (value === undefined || value === null) {
+    return { filters: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'filters must be an object with journals, articleTypes and/or dateRange' };
+  }
 
-    return {
-      interpretation: parsed.interpretation || 'Searching for: ' + query,
-      intent: parsed.intent || 'specific',
-      concepts: parsed.concepts || [],
-      searches: parsed.searches.slice(0, 4).map(s => ({
-        query: s.query || query,
-        fields: s.fields || null,
-        dateRange: s.dateRange || null,
-        articleTypes: s.articleTypes || null,
-        purpose: s.purpose || 'search',
-        weight: Math.min(Math.max(s.weight || 1.0, 0.5), 2.5)
-      }))
-    };
+  const { journals, articleTypes, dateRange } = value;
+  const error = validateSearchConstraints({ journals, articleTypes, dateRange });
+  if (error) {
+    return { error: error };
+  }
 
-  } catch (error) {
-    console.error('Error calling Claude:', error);
-    return fallbackQueryParsing(query);
+  const filters = {};
+  if (journals && journals.length > 0) {
+    filters.journals = [...new Set(journals.map(normalizeJournal))];
+  }
+  if (articleTypes && articleTypes.length > 0 && articleTypes.length < ARTICLE_TYPES.length) {
+    filters.articleTypes = [...new Set(articleTypes)];
   }
+  if (dateRange && (dateRange.start || dateRange.end)) {
+    filters.dateRange = {};
+    if (dateRange.start) filters.dateRange.start = dateRange.start;
+    if (dateRange.end) filters.dateRange.end = dateRange.end;
+  }
+  return { filters: Object.keys(filters).length > 0 ? filters : null };
 }
 
 /**
- * Generate a synthesized answer from search results
- * CRITICAL: Only uses information from the provided abstracts, never from training data
+ * Narrow a search's params to the user's filters
+ * The search's own journals/article types/dates are kept where they fall inside the filters,
+ * otherwise the filters replace them - a search can never widen what the user asked for
  */
-async function generateAnswerSynthesis(env, query, intent, topResults) {
-  if (!env.ANTHROPIC_API_KEY || topResults.length === 0) {
-    return null;
+function applySearchFilters(params, filters) {
+  if (!filters) {
+    return params;
   }
+  const narrowed = { ...params };
 
-  // Build context from top results - strip any HTML/MathML from titles
-  const paperSummaries = topResults.map((paper, idx) => {
-    const cleanTitle = (paper.title || 'Untitled')
-      .replace(/<math[^>]*>[\s\S]*?<\/math>/gi, '')
-      .replace(/<[^>]+>/g, '')
-      .trim();
-    const abstract = paper.abstract
-      ? paper.abstract.substring(0, 600) + (paper.abstract.length > 600 ? '...' : '')
-      : 'No abstract available';
-    return `[${idx + 1}] "${cleanTitle}" (${paper.journal || 'Unknown'}, ${paper.date ? new Date(paper.date).getFullYear() : 'n.d.'})\nAbstract: ${abstract}`;
-  }).join('\n\n');
+  for (const key of ['journals', 'articleTypes']) {
+    if (!filters[key]) continue;
+    const own = (params[key] || []).map(v => key === 'journals' ? normalizeJournal(v) : v);
+    const inside = own.filter(v => filters[key].includes(v));
+    narrowed[key] = inside.length > 0 ? [...new Set(inside)] : filters[key];
+  }
 
-  const intentGuidance = {
-    'explainer': 'Explain the concept using ONLY what is stated in these abstracts.',
-    'survey': 'Summarize the research findings from ONLY these papers.',
-    'specific': 'Describe ONLY what these specific papers found.',
-    'author': 'Summarize ONLY the research shown in these papers.',
-    'comparative': 'Compare concepts using ONLY information from these abstracts.'
-  };
+  if (filters.dateRange) {
+    const own = params.dateRange || {};
+    const start = [own.start, filters.dateRange.start].filter(Boolean).sort().pop();
+    const end = [own.end, filters.dateRange.end].filter(Boolean).sort()[0];
+    narrowed.dateRange = start && end && start > end
+      ? { ...filters.dateRange }
+      : { ...(start && { start }), ...(end && { end }) };
+  }
 
-  const systemPrompt = `You are a research assistant that synthesizes information EXCLUSIVELY from provided paper abstracts.
+  return narrowed;
+}
 
-CRITICAL RULES:
-1. ONLY use information explicitly stated in the abstracts below
-2. NEVER add information from your training data or general knowledge
-3. If the abstracts don't contain enough information to answer, say "Based on these papers, [what they do cover]"
-4. Every claim must be supported by a citation [1], [2], etc.
-5. Keep your answer to 2-3 sentences maximum
-6. ${intentGuidance[intent] || intentGuidance['specific']}
+/**
+ * Whether a returned paper falls inside the user's filters
+ * Guards against searches that ran without their constraints; a paper missing a field is kept
+ */
+function matchesSearchFilters(paper, filters) {
+  if (!filters) {
+    return true;
+  }
+  if (filters.journals) {
+    const journal = normalizeJournal(paper.journal);
+    if (journal && !filters.journals.includes(journal)) return false;
+  }
+  if (filters.articleTypes && paper.articleType && !filters.articleTypes.includes(paper.articleType)) {
+    return false;
+  }
+  if (filters.dateRange && paper.date) {
+    const date = String(paper.date).substring(0, 10);
+    if (filters.dateRange.start && date < filters.dateRange.start.substring(0, date.length)) return false;
+    if (filters.dateRange.end && date > filters.dateRange.end) return false;
+  }
+  return true;
+}
 
-If you cannot answer the question from the abstracts alone, summarize what the papers DO cover instead of making things up.`;
+// The filters as plain lines for Claude's prompts
+function describeSearchFilters(filters) {
+  const lines = [];
+  if (filters.journals) {
+    lines.push(`- Journals: only ${filters.journals.join(', ')}`);
+  }
+  if (filters.articleTypes) {
+    lines.push(`- Article types: only ${filters.articleTypes.join(', ')}`);
+  }
+  if (filters.dateRange) {
+    const { start, end } = filters.dateRange;
+    lines.push(`- Published: ${start && end ? `${start} to ${end}` : start ? `from ${start}` : `up to ${end}`}`);
+  }
+  return lines.join('\n');
+}
 
-  const userPrompt = `Question: "${query}"
+/**
+ * Resolve the search cache TTL in seconds from env.SEARCH_CACHE_TTL
+ */
+function getSearchCacheTtl(env) {
+  if (env.SEARCH_CACHE_TTL === undefined || env.SEARCH_CACHE_TTL === '') {
+    return SEARCH_CACHE_DEFAULT_TTL;
+  }
+  const ttl = parseInt(env.SEARCH_CACHE_TTL, 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : SEARCH_CACHE_DEFAULT_TTL;
+}
 
-PAPER ABSTRACTS (use ONLY this information):
-${paperSummaries}
+/**
+ * Build a cache key from the Tesseract search arguments
+ * The query is normalized so trivially different phrasings share an entry
+ */
+async function buildSearchCacheKey(searchArgs) {
+  const normalized = { ...searchArgs };
+  if (typeof searchArgs.q === 'string') {
+    normalized.q = searchArgs.q.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+  const canonical = canonicalJson(normalized);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-Write a 2-3 sentence synthesis using ONLY the information above. Cite with [1], [2], etc.:`;
+// JSON with object keys sorted at every level, so equal arguments always serialize the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
 
+/**
+ * Read a cached search result - returns null on miss or cache failure
+ */
+async function readSearchCache(env, key) {
   try {
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: CLAUDE_MODEL,
-        max_tokens: 300,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Synthesis API error:', response.status);
-      return null;
+    if (env.SEARCH_CACHE) {
+      return await env.SEARCH_CACHE.get(`search:${key}`, 'json');
     }
-
-    const data = await response.json();
-    const synthesis = data.content?.[0]?.text?.trim();
-
-    return synthesis || null;
-
+    const cached = await caches.default.match(`${SEARCH_CACHE_ORIGIN}/search/${key}`);
+    return cached ? await cached.json() : null;
   } catch (error) {
-    console.error('Error generating synthesis:', error);
+    console.error('Search cache read error:', error);
     return null;
   }
 }
 
 /**
- * Execute agentic search - Claude decides what to search and when it has enough results
- * Returns collected papers and agent reasoning steps
+ * Store a search result - cache failures never fail the search itself
  */
-async function executeAgenticSearch(env, accessToken, userQuery, maxIterations = 4) {
+async function writeSearchCache(env, key, data, ttl) {
+  try {
+    if (env.SEARCH_CACHE) {
+      // KV rejects expirations shorter than 60 seconds
+      await env.SEARCH_CACHE.put(`search:${key}`, JSON.stringify(data), { expirationTtl: Math.max(ttl, 60) });
+      return;
+    }
+    await caches.default.put(`${SEARCH_CACHE_ORIGIN}/search/${key}`, new Response(JSON.stringify(data), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `max-age=${ttl}`,
+      },
+    }));
+  } catch (error) {
+    console.error('Search cache write error:', error);
+  }
+}
+
+/**
+ * Handle AI-powered search requests
+ * Uses Claude to parse the query and generate an intelligent search strategy
+ * @param {Object} user - Verified identity from authenticateRequest
+ */
+async function handleAISearch(request, env, ctx, user) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const accessToken = user.token;
+
+  // Parse request body
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid request body' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const { query: rawQuery, limit = 15, sort = 'relevance', noCache = false, mode = 'agentic', ranking = 'default' } = body;
+
+  if (!AI_SEARCH_MODES.includes(mode)) {
+    return new Response(JSON.stringify({ error: `Mode must be one of: ${AI_SEARCH_MODES.join(', ')}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (!RANKING_METHODS.includes(ranking)) {
+    return new Response(JSON.stringify({ error: `Ranking must be one of: ${RANKING_METHODS.join(', ')}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Journal, date and article type filters chosen in the sidebar - hard constraints on every search
+  const filters = parseSearchFilters(body.filters);
+  if (filters.error) {
+    return new Response(JSON.stringify({ error: filters.error }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const searchOptions = { mode: mode, ranking: ranking, bypassCache: noCache === true, filters: filters.filters };
+
+  if (!rawQuery || typeof rawQuery !== 'string') {
+    return new Response(JSON.stringify({ error: 'Query is required' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Sanitize query for prompt injection protection
+  const query = sanitizeQuery(rawQuery);
+  if (!query) {
+    return new Response(JSON.stringify({ error: 'Invalid query' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Log suspicious queries for monitoring
+  if (isSuspiciousQuery(rawQuery, query)) {
+    console.warn('Suspicious AI query detected:', { user: user.sub, original: rawQuery.substring(0, 100), sanitized: query.substring(0, 100) });
+  }
+
+  // Claude-backed route - enforce per-user rate limit, only once the request is known to be valid
+  const rateLimit = await checkRateLimit(env, 'ai-search', user.sub);
+  if (!rateLimit.allowed) {
+    return createRateLimitResponse(rateLimit.retryAfter);
+  }
+
+  // Stream progress events when the client asks for them
+  const wantsStream = body.stream === true ||
+    (request.headers.get('Accept') || '').includes('text/event-stream');
+
+  if (wantsStream) {
+    return streamAISearch(env, ctx, accessToken, query, limit, sort, searchOptions);
+  }
+
+  try {
+    const payload = await runAISearch(env, accessToken, query, limit, sort, searchOptions);
+    return new Response(JSON.stringify(payload), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error('AI Search error:', error);
+
+    if (error.message === 'Unauthorized') {
+      return new Response(JSON.stringify({ error: 'Session expired. Please sign in again.' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Fall back to simple search if AI fails
+    console.log('Falling back to simple search');
+    try {
+      const fallbackResults = await callTesseractSearch(env, accessToken, applySearchFilters({ query }, searchOptions.filters), limit, sort, searchOptions);
+      return new Response(JSON.stringify({
+        query: query,
+        aiAnalysis: null,
+        fallback: true,
+        ...fallbackResults
+      }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (fallbackError) {
+      return new Response(JSON.stringify({ error: 'Search failed. Please try again.' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  }
+}
+
+/**
+ * Stream AI search progress as server-sent events
+ * Emits step, results and synthesis events as they happen, then a complete
+ * event carrying the same payload the non-streaming response returns
+ */
+function streamAISearch(env, ctx, accessToken, query, limit, sort, searchOptions) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  // Writes fail once the client disconnects - the search keeps going regardless
+  const emit = (event, data) => writer
+    .write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+    .catch(() => {});
+
+  const run = (async () => {
+    try {
+      const payload = await runAISearch(env, accessToken, query, limit, sort, searchOptions, emit);
+      await emit('complete', payload);
+    } catch (error) {
+      console.error('AI Search stream error:', error);
+
+      if (error.message === 'Unauthorized') {
+        await emit('error', { status: 401, error: 'Session expired. Please sign in again.' });
+        return;
+      }
+
+      // Fall back to simple search if AI fails
+      console.log('Falling back to simple search');
+      try {
+        const fallbackResults = await callTesseractSearch(env, accessToken, applySearchFilters({ query }, searchOptions.filters), limit, sort, searchOptions);
+        await emit('complete', {
+          query: query,
+          aiAnalysis: null,
+          fallback: true,
+          ...fallbackResults
+        });
+      } catch (fallbackError) {
+        await emit('error', { status: 500, error: 'Search failed. Please try again.' });
+      }
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  if (ctx) {
+    ctx.waitUntil(run);
+  }
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+    },
+  });
+}
+
+/**
+ * Run the requested AI search mode and build the /ai-search response payload
+ * @param {Object} searchOptions - { mode, ranking, bypassCache }; also forwarded to callTesseractSearch
+ * @param {Function} emit - Optional (event, data) callback for progress events
+ */
+async function runAISearch(env, accessToken, query, limit, sort, searchOptions = {}, emit = () => {}) {
+  if (searchOptions.mode === 'planned') {
+    return runPlannedSearch(env, accessToken, query, limit, sort, searchOptions, emit);
+  }
+  return runAgenticSearch(env, accessToken, query, limit, sort, searchOptions, emit);
+}
+
+/**
+ * Agentic mode - Claude decides what to search and when to stop
+ */
+async function runAgenticSearch(env, accessToken, query, limit, sort, searchOptions = {}, emit = () => {}) {
+  const agentResult = await executeAgenticSearch(env, accessToken, query, 4, emit, searchOptions);
+
+  // If agent failed, fall back to simple search
+  if (!agentResult.success) {
+    console.log('Agent failed, falling back to simple search:', agentResult.fallbackReason);
+    const fallbackResults = await callTesseractSearch(env, accessToken, applySearchFilters({ query }, searchOptions.filters), limit, sort, searchOptions);
+    return {
+      query: query,
+      aiAnalysis: null,
+      fallback: true,
+      fallbackReason: agentResult.fallbackReason,
+      ...fallbackResults
+    };
+  }
+
+  // Agent succeeded - process results
+  const papers = agentResult.papers;
+
+  // Determine intent from agent steps for synthesis and ranking
+  const hasRecentSearch = agentResult.agentSteps.some(s => s.type === 'search' && s.searchType === 'recent');
+  const intent = hasRecentSearch ? 'survey' : 'specific';
+
+  const rankedPapers = rankAgentPapers(papers, agentResult.paperHits, query, intent);
+  const bm25 = searchOptions.ranking === 'bm25' ? rerankWithBm25(rankedPapers, query) : null;
+  const scoredResults = (bm25 ? bm25.papers : rankedPapers).slice(0, 20);
+
+  // Generate answer synthesis from top results, then check its citations against them
+  let synthesis = null;
+  let synthesisGrounding = null;
+  if (scoredResults.length > 0 && env.ANTHROPIC_API_KEY) {
+    const structured = await generateAnswerSynthesis(env, query, intent, scoredResults.slice(0, 5));
+    if (structured) {
+      synthesis = structured.text;
+      synthesisGrounding = verifySynthesisGrounding(structured.claims, scoredResults.slice(0, 5));
+    }
+    emit('synthesis', { synthesis: synthesis, grounding: synthesisGrounding });
+  }
+
+  // Extract search details from agent steps for the thinking panel
+  const searchSteps = agentResult.agentSteps.filter(s => s.type === 'search');
+  const finishStep = agentResult.agentSteps.find(s => s.type === 'finish');
+
+  // Return results with agent reasoning
+  return {
+    query: query,
+    aiAnalysis: {
+      mode: 'agentic',
+      filters: searchOptions.filters || null,
+      interpretation: finishStep?.coverage || `Agent searched for: ${query}`,
+      intent: intent,
+      concepts: [], // Agent doesn't explicitly list concepts
+      agentSteps: agentResult.agentSteps,
+      searchesRun: searchSteps.map(s => ({
+        query: s.query,
+        searchType: s.searchType,
+        totalFound: s.totalFound,
+        newPapers: s.newPapers,
+        cached: s.cached,
+        status: s.status,
+        error: s.error
+      })),
+      synthesis: synthesis,
+      synthesisGrounding: synthesisGrounding,
+      finishReason: agentResult.finishReason
+    },
+    ranking: withBm25Ranking({
+      method: 'multi_signal',
+      weights: AGENT_RANKING_WEIGHTS,
+      totalSearches: agentResult.totalSearches,
+      stats: {
+        totalUnique: papers.length,
+        inMultipleSearches: rankedPapers.filter(p => p.overlapCount > 1).length,
+        cacheHits: searchSteps.filter(s => s.cached).length,
+        agentIterations: Math.max(...agentResult.agentSteps.map(s => s.iteration || 0), 0)
+      }
+    }, bm25),
+    total: scoredResults.length,
+    results: scoredResults
+  };
+}
+
+/**
+ * Planned mode - Claude (or the fallback parser) writes a multi-query plan up front,
+ * the searches run in parallel, and results are merged with overlap-boost ranking.
+ * Reproducible where the agent's choices are not.
+ */
+async function runPlannedSearch(env, accessToken, query, limit, sort, searchOptions = {}, emit = () => {}) {
+  const plan = await parseQueryWithClaude(env, query, searchOptions.filters);
+  emit('plan', {
+    interpretation: plan.interpretation,
+    intent: plan.intent,
+    concepts: plan.concepts,
+    searches: plan.searches
+  });
+
+  const searchResults = await runSearchPlan(env, accessToken, plan.searches, limit, sort, searchOptions, emit);
+  const searchesRun = searchResults.map(r => r.search);
+
+  const ranked = rankByOverlap(searchResults);
+  const bm25 = searchOptions.ranking === 'bm25' ? rerankWithBm25(ranked, query) : null;
+  const scoredResults = (bm25 ? bm25.papers : ranked).slice(0, 20);
+
+  // Generate answer synthesis from top results, then check its citations against them
+  let synthesis = null;
+  let synthesisGrounding = null;
+  if (scoredResults.length > 0 && env.ANTHROPIC_API_KEY) {
+    const structured = await generateAnswerSynthesis(env, query, plan.intent, scoredResults.slice(0, 5));
+    if (structured) {
+      synthesis = structured.text;
+      synthesisGrounding = verifySynthesisGrounding(structured.claims, scoredResults.slice(0, 5));
+    }
+    emit('synthesis', { synthesis: synthesis, grounding: synthesisGrounding });
+  }
+
+  return {
+    query: query,
+    aiAnalysis: {
+      mode: 'planned',
+      filters: searchOptions.filters || null,
+      interpretation: plan.interpretation,
+      intent: plan.intent,
+      concepts: plan.concepts,
+      searchesRun: searchesRun,
+      synthesis: synthesis,
+      synthesisGrounding: synthesisGrounding
+    },
+    ranking: withBm25Ranking({
+      method: 'overlap_boost',
+      overlapBonus: OVERLAP_BONUS,
+      totalSearches: searchesRun.length,
+      stats: {
+        totalUnique: ranked.length,
+        inMultipleSearches: ranked.filter(r => r.overlapCount > 1).length,
+        in3PlusSearches: ranked.filter(r => r.overlapCount > 2).length,
+        cacheHits: searchesRun.filter(s => s.cached).length
+      }
+    }, bm25),
+    total: scoredResults.length,
+    results: scoredResults
+  };
+}
+
+/**
+ * Run a list of planned searches in parallel - a failed search doesn't sink the others
+ * Emits 'search' for each finished search; returns [{ search, results }] for rankByOverlap
+ * searchOptions.filters, if set, narrow every search and drop results outside them
+ * Throws if every search failed (or on Unauthorized)
+ */
+async function runSearchPlan(env, accessToken, searches, limit, sort, searchOptions = {}, emit = () => {}) {
+  const searchResults = await Promise.all(searches.map(async (planned, index) => {
+    const search = applySearchFilters(planned, searchOptions.filters);
+    const searchRun = {
+      query: search.query,
+      purpose: search.purpose,
+      fields: search.fields || null,
+      dateRange: search.dateRange || null,
+      articleTypes: search.articleTypes || null,
+      journals: search.journals || null,
+      weight: search.weight
+    };
+
+    try {
+      const results = await callTesseractSearch(env, accessToken, {
+        query: search.query,
+        fields: search.fields,
+        dateRange: search.dateRange,
+        articleTypes: search.articleTypes,
+        journals: search.journals
+      }, limit, sort, searchOptions);
+
+      searchRun.totalFound = results.total;
+      searchRun.returned = (results.results || []).length;
+      searchRun.cached = results.cached === true;
+      searchRun.constraintsDropped = results.constraintsDropped === true;
+      searchRun.status = 'success';
+      emit('search', { index: index, ...searchRun });
+      return { search: searchRun, results: (results.results || []).filter(paper => matchesSearchFilters(paper, searchOptions.filters)) };
+
+    } catch (error) {
+      if (error.message === 'Unauthorized') {
+        throw error;
+      }
+      console.error('Planned search error:', search.query, error.message);
+      searchRun.status = 'error';
+      searchRun.error = error.message;
+      emit('search', { index: index, ...searchRun });
+      return { search: searchRun, results: [] };
+    }
+  }));
+
+  if (searchResults.every(r => r.search.status === 'error')) {
+    throw new Error('All planned searches failed');
+  }
+  return searchResults;
+}
+
+/**
+ * Merge results from several searches, boosting papers that several searches agree on
+ * @param {Array} searchResults - [{ search: { purpose, weight }, results: [paper] }]
+ * @returns {Array} Papers with sources, overlapCount and relevanceScore, best first
+ */
+function rankByOverlap(searchResults) {
+  const resultsByDoi = new Map(); // DOI -> { article, sources, totalWeight, overlapCount }
+
+  for (const { search, results } of searchResults) {
+    results.forEach((article, rank) => {
+      if (!article.doi) return;
+
+      // Weight decreases with rank within each search
+      const positionWeight = search.weight * Math.max(1 - rank * RANK_WEIGHT_DECAY, 0.1);
+      const existing = resultsByDoi.get(article.doi);
+
+      if (existing) {
+        existing.sources.push(search.purpose);
+        existing.totalWeight += positionWeight;
+        existing.overlapCount++;
+      } else {
+        resultsByDoi.set(article.doi, {
+          article: article,
+          sources: [search.purpose],
+          totalWeight: positionWeight,
+          overlapCount: 1
+        });
+      }
+    });
+  }
+
+  return [...resultsByDoi.values()]
+    .map(r => ({
+      ...r.article,
+      sources: r.sources,
+      overlapCount: r.overlapCount,
+      relevanceScore: Math.round((r.totalWeight + (r.overlapCount - 1) * OVERLAP_BONUS) * 100) / 100
+    }))
+    .sort((a, b) => b.relevanceScore - a.relevanceScore);
+}
+
+/**
+ * Rank the agent's collected papers on several signals (see AGENT_RANKING_WEIGHTS)
+ * Each paper gets relevanceScore, a per-signal scoreBreakdown and the raw rankingSignals
+ * behind it, so the sidebar can explain its position
+ * @param {Map} paperHits - DOI -> [{ query, rank }] from executeAgenticSearch
+ */
+function rankAgentPapers(papers, paperHits, query, intent) {
+  const terms = extractQueryTerms(query);
+  const currentYear = new Date().getFullYear();
+  const round = value => Math.round(value * 100) / 100;
+
+  return papers
+    .map(paper => {
+      const hits = paperHits.get(paper.doi) || [];
+      const bestRank = hits.length > 0 ? Math.min(...hits.map(h => h.rank)) : null;
+      const citations = Number(paper.citations) || 0;
+      const year = paper.date ? new Date(paper.date).getFullYear() : null;
+
+      const title = stripMarkup(paper.title).toLowerCase();
+      const abstract = stripMarkup(paper.abstract).toLowerCase();
+      const titleTerms = terms.filter(t => title.includes(t));
+      const abstractTerms = terms.filter(t => abstract.includes(t));
+
+      const scoreBreakdown = {
+        overlap: round(Math.min(Math.max(hits.length - 1, 0), 3) * AGENT_RANKING_WEIGHTS.overlap),
+        rank: round(bestRank ? Math.max(1 - (bestRank - 1) * RANK_WEIGHT_DECAY, 0.1) * AGENT_RANKING_WEIGHTS.rank : 0),
+        citations: round(Math.min(Math.log10(1 + citations) / Math.log10(1 + CITATION_SATURATION), 1) * AGENT_RANKING_WEIGHTS.citations),
+        recency: round(intent === 'survey' && Number.isFinite(year)
+          ? Math.max(1 - (currentYear - year) / RECENCY_WINDOW_YEARS, 0) * AGENT_RANKING_WEIGHTS.recency
+          : 0),
+        terms: round(terms.length > 0
+          ? (titleTerms.length + abstractTerms.length / 2) / (terms.length * 1.5) * AGENT_RANKING_WEIGHTS.terms
+          : 0)
+      };
+
+      return {
+        ...paper,
+        sources: [...new Set(hits.map(h => h.query))],
+        overlapCount: hits.length,
+        relevanceScore: round(Object.values(scoreBreakdown).reduce((sum, value) => sum + value, 0)),
+        scoreBreakdown: scoreBreakdown,
+        rankingSignals: {
+          searchHits: hits.length,
+          bestRank: bestRank,
+          citations: citations,
+          year: Number.isFinite(year) ? year : null,
+          matchedTerms: [...new Set([...titleTerms, ...abstractTerms])]
+        }
+      };
+    })
+    .sort((a, b) => b.relevanceScore - a.relevanceScore);
+}
+
+/**
+ * Significant terms of a user question, for matching against titles and abstracts
+ * Trailing plural "s" is dropped so "insulators" still matches "insulator"
+ */
+function extractQueryTerms(query) {
+  const words = (query || '')
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .filter(w => w.length > 2 && !QUERY_STOP_WORDS.has(w))
+    .map(w => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+  return [...new Set(words)];
+}
+
+// Plain text of an APS title or abstract - drops MathML and tags
+function stripMarkup(text) {
+  return (text || '')
+    .replace(/<math[^>]*>[\s\S]*?<\/math>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ');
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', minus: '−', times: '×' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Accent characters MathML draws with <mover>, and the LaTeX commands for them
+const MATH_ACCENTS = { '^': 'hat', 'ˆ': 'hat', '¯': 'bar', '~': 'tilde', '˜': 'tilde', '˙': 'dot', '¨': 'ddot', '→': 'vec', '⃗': 'vec' };
+
+// LaTeX-style text of one MathML tree node - <msub><mi>T</mi><mi>c</mi></msub> -> T_c
+function mathNodeToTex(node) {
+  if (typeof node === 'string') {
+    return node.trim();
+  }
+
+  const text = () => node.children.filter(c => typeof c === 'string').join('');
+  const parts = node.children.filter(c => typeof c !== 'string').map(mathNodeToTex);
+  const group = part => (part.length === 1 ? part : `{${part}}`);
+  const attr = name => {
+    const match = node.attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+  };
+
+  switch (node.name) {
+    case 'mi':
+    case 'mn':
+    case 'mo':
+    case 'ms':
+      return text().trim();
+    case 'mtext':
+      return text().replace(/\s+/g, ' ');
+    case 'msub':
+    case 'munder':
+      return `${parts[0] || ''}_${group(parts[1] || '')}`;
+    case 'msup':
+      return `${parts[0] || ''}^${group(parts[1] || '')}`;
+    case 'mover':
+      return MATH_ACCENTS[parts[1]] ? `\\${MATH_ACCENTS[parts[1]]}{${parts[0]}}` : `${parts[0] || ''}^${group(parts[1] || '')}`;
+    case 'msubsup':
+    case 'munderover':
+      return `${parts[0] || ''}_${group(parts[1] || '')}^${group(parts[2] || '')}`;
+    case 'mfrac':
+      return `\\frac{${parts[0] || ''}}{${parts[1] || ''}}`;
+    case 'msqrt':
+      return `\\sqrt{${parts.join('')}}`;
+    case 'mroot':
+      return `\\sqrt[${parts[1] || ''}]{${parts[0] || ''}}`;
+    case 'mfenced':
+      return `${attr('open') ?? '('}${parts.join((attr('separators') ?? ',').trim().charAt(0))}${attr('close') ?? ')'}`;
+    case 'mspace':
+      return ' ';
+    case 'mphantom':
+    case 'annotation':
+    case 'annotation-xml':
+      return '';
+    case 'semantics': {
+      // Publishers often attach the author's own TeX - use it as written
+      const tex = node.children.find(c => typeof c !== 'string' && c.name === 'annotation' && /tex/i.test(c.attrs));
+      return tex ? mathNodeToTex({ ...tex, name: 'mtext' }).trim() : (parts[0] || '');
+    }
+    default:
+      return parts.join('');
+  }
+}
+
+// LaTeX-style linearization of a <math> element, for prompts
+function linearizeMathML(markup) {
+  const root = { name: 'root', attrs: '', children: [] };
+  const stack = [root];
+
+  for (const [, closing, rawName, attrs, selfClosing, text] of markup.matchAll(/<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g)) {
+    const parent = stack[stack.length - 1];
+    if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+      continue;
+    }
+
+    const name = rawName.replace(/^[\w-]+:/, '').toLowerCase();
+    if (closing) {
+      const index = stack.map(n => n.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+    const node = { name, attrs, children: [] };
+    parent.children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+
+  return mathNodeToTex(root).replace(/\s+/g, ' ').trim();
+}
+
+// Text of an APS title or abstract for Claude - tags dropped, math kept as inline LaTeX ($T_c$)
+function linearizeMarkup(text) {
+  return decodeEntities((text || '')
+    .replace(/<((?:[\w-]+:)?math)\b[^>]*>[\s\S]*?<\/\1>/gi, match => `$${linearizeMathML(match)}$`)
+    .replace(/<[^>]+>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * BM25 re-ranker - scores the merged candidate pool against the user's original question
+ * Tesseract's relevance order is per search, so papers from different searches can't be
+ * compared; this gives every candidate a score on one scale. Purely local, no outside calls.
+ * Ties keep the incoming order, so the mode's own ranking breaks them.
+ * Returns { papers, stats } with bm25Score and bm25MatchedTerms set on each paper
+ */
+function rerankWithBm25(papers, query) {
+  const queryTerms = expandAbbreviations(tokenizePhysicsText(query));
+
+  // Term frequencies per paper - title tokens boosted, abstract tokens once
+  const docs = papers.map(paper => {
+    const titleTokens = tokenizePhysicsText(paper.title);
+    const tokens = [...repeatTokens(titleTokens, BM25_TITLE_BOOST), ...tokenizePhysicsText(paper.abstract)];
+    const tf = new Map();
+    for (const token of tokens) {
+      tf.set(token, (tf.get(token) || 0) + 1);
+    }
+    return { tf, length: tokens.length };
+  });
+
+  const avgDocLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+  const idf = new Map(queryTerms.map(term => {
+    const df = docs.filter(doc => doc.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  const scored = papers.map((paper, index) => {
+    const { tf, length } = docs[index];
+    let score = 0;
+    const matchedTerms = [];
+    for (const term of queryTerms) {
+      const freq = tf.get(term) || 0;
+      if (freq === 0) continue;
+      matchedTerms.push(term);
+      const norm = 1 - BM25_B + BM25_B * (avgDocLength > 0 ? length / avgDocLength : 1);
+      score += idf.get(term) * (freq * (BM25_K1 + 1)) / (freq + BM25_K1 * norm);
+    }
+    return { paper, index, score, matchedTerms };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+
+  return {
+    papers: scored.map(({ paper, score, matchedTerms }) => ({
+      ...paper,
+      bm25Score: Math.round(score * 1000) / 1000,
+      bm25MatchedTerms: matchedTerms
+    })),
+    stats: {
+      k1: BM25_K1,
+      b: BM25_B,
+      titleBoost: BM25_TITLE_BOOST,
+      queryTerms: queryTerms,
+      documents: papers.length,
+      avgDocLength: Math.round(avgDocLength * 10) / 10,
+      matched: scored.filter(s => s.score > 0).length,
+      topScore: scored.length > 0 ? Math.round(scored[0].score * 1000) / 1000 : 0
+    }
+  };
+}
+
+// The tokens repeated n times - cheap field boost for titles
+function repeatTokens(tokens, times) {
+  return Array.from({ length: times }, () => tokens).flat();
+}
+
+/**
+ * Tokenize physics text for lexical matching
+ * - MathML keeps its text content ("<mi>T</mi><mi>c</mi>" -> "Tc") instead of being dropped
+ * - LaTeX commands and Unicode Greek become their names (\alpha, α -> alpha)
+ * - Subscripts join their base (T_c -> tc), diacritics are folded (Schrödinger -> schrodinger)
+ * - Hyphenated compounds yield the compound and its parts (spin-orbit -> spin-orbit, spin, orbit)
+ * - Formulas and alphanumerics (MoS2, 2D) are kept whole; plain words lose a plural ending
+ */
+function tokenizePhysicsText(text) {
+  const plain = (text || '')
+    .replace(/<math[^>]*>([\s\S]*?)<\/math>/gi, (match, inner) => ` ${inner.replace(/<[^>]+>/g, '')} `)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[\u0370-\u03ff\u0127]/g, ch => (GREEK_LETTERS[ch] ? ` ${GREEK_LETTERS[ch]} ` : ch))
+    .replace(/\\([a-zA-Z]+)/g, ' $1 ')
+    .replace(/([A-Za-z])_\{?([A-Za-z0-9]+)\}?/g, '$1$2')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+  const tokens = [];
+  for (const word of plain.match(/[a-z0-9]+(?:-[a-z0-9]+)*/g) || []) {
+    const parts = word.includes('-') ? [word, ...word.split('-')] : [word];
+    for (const part of parts) {
+      if (part.length < 2 || /^\d+$/.test(part) || QUERY_STOP_WORDS.has(part)) continue;
+      tokens.push(stemPhysicsTerm(part));
+    }
+  }
+  return tokens;
+}
+
+// Light plural stemming for plain words - formulas and terms like "physics" are left alone
+function stemPhysicsTerm(word) {
+  if (!/^[a-z]+$/.test(word) || word.length <= 4) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('s') && !/(ss|us|is|ics)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Unique query terms plus the spelled-out form of any known abbreviation
+function expandAbbreviations(terms) {
+  const expanded = [...terms];
+  for (const term of terms) {
+    if (PHYSICS_ABBREVIATIONS[term]) {
+      expanded.push(...tokenizePhysicsText(PHYSICS_ABBREVIATIONS[term]));
+    }
+  }
+  return [...new Set(expanded)];
+}
+
+/**
+ * Fold a BM25 re-rank into a mode's ranking report - method becomes 'bm25' and the
+ * mode's own method is kept as baseMethod
+ */
+function withBm25Ranking(ranking, bm25) {
+  if (!bm25) return ranking;
+  return {
+    ...ranking,
+    method: 'bm25',
+    baseMethod: ranking.method,
+    stats: { ...ranking.stats, bm25: bm25.stats }
+  };
+}
+
+/**
+ * Use Claude to parse a natural language query into a search strategy
+ */
+async function parseQueryWithClaude(env, query, filters = null) {
+  // Check if API key is configured
+  if (!env.ANTHROPIC_API_KEY) {
+    console.log('ANTHROPIC_API_KEY not configured, using fallback parsing');
+    return fallbackQueryParsing(query);
+  }
+
+  const systemPrompt = `You are a physics research search assistant for APS journals. Analyze the user's query to understand their INTENT and generate an optimal search strategy.
+
+## Intent Types
+Identify ONE primary intent:
+- **explainer**: User wants to understand a concept ("What is...", "How does...work", "Explain...")
+  → Prioritize review articles, foundational papers, highly-cited works
+- **survey**: User wants current state of field ("Recent advances in...", "Latest research on...")
+  → Filter to recent years (2022+), sort by date
+- **specific**: User wants papers on a specific phenomenon or result
+  → Precise keyword matching, use title field
+- **author**: User mentions a researcher name
+  → Use author field search
+- **comparative**: User comparing concepts ("difference between X and Y", "X vs Y")
+  → Search each concept, look for papers discussing both
+
+## Search Strategy
+Generate 2-4 searches. Each search can specify:
+- **query**: The search terms
+- **fields**: Array of ["title", "abstract", "author"] - where to search (default: all)
+- **dateRange**: Object {"start": "YYYY-MM-DD", "end": "YYYY-MM-DD"} or null
+- **articleTypes**: Array like ["review", "research"] or null (review = review articles, research = original research)
+- **journals**: Array of APS journal codes like ["PRL", "PRB", "RMP"] or null - only when the user names journals
+- **weight**: 1.0-2.5 importance
+
+## Rules
+- Extract SPECIFIC physics terms, not generic words (effect, cause, relationship, study)
+- Preserve compound terms: "quantum entanglement", "dark matter", "Bose-Einstein condensate"
+- For explainer intent: include a search with articleTypes ["review"]
+- When the user asks for reviews or names journals, set articleTypes/journals on every search
+- For survey intent: always set dateRange.start to at least 2022
+- For author queries: put the name in a separate author-field search
+
+Respond with valid JSON only:
+{
+  "interpretation": "One sentence summary of what user wants to learn",
+  "intent": "explainer|survey|specific|author|comparative",
+  "concepts": ["concept1", "concept2"],
+  "searches": [
+    {
+      "query": "search terms",
+      "fields": ["title", "abstract"],
+      "dateRange": null,
+      "articleTypes": null,
+      "journals": null,
+      "purpose": "brief label",
+      "weight": 1.5
+    }
+  ]
+}`;
+
+  // The filters are enforced on every search anyway - telling Claude keeps the plan consistent with them
+  const filterPrompt = filters
+    ? `\n\nThe user has restricted results to these filters, which apply to every search:\n${describeSearchFilters(filters)}`
+    : '';
+  const userPrompt = `Generate a search strategy for this query: "${query}"${filterPrompt}`;
+
+  try {
+    const response = await fetch(CLAUDE_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: CLAUDE_MODEL,
+        max_tokens: 500,
+        system: systemPrompt,
+        messages: [
+          { role: 'user', content: userPrompt }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Claude API error:', response.status, errorText);
+      return fallbackQueryParsing(query);
+    }
+
+    const data = await response.json();
+    const content = data.content?.[0]?.text;
+
+    if (!content) {
+      console.error('No content in Claude response');
+      return fallbackQueryParsing(query);
+    }
+
+    // Parse JSON from Claude's response
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.error('No JSON found in Claude response:', content);
+      return fallbackQueryParsing(query);
+    }
+
+    const parsed = JSON.parse(jsonMatch[0]);
+
+    // Validate the response structure
+    if (!parsed.searches || !Array.isArray(parsed.searches) || parsed.searches.length === 0) {
+      console.error('Invalid search plan structure:', parsed);
+      return fallbackQueryParsing(query);
+    }
+
+    return {
+      interpretation: parsed.interpretation || 'Searching for: ' + query,
+      intent: parsed.intent || 'specific',
+      concepts: parsed.concepts || [],
+      searches: parsed.searches.slice(0, 4).map(s => ({
+        query: s.query || query,
+        fields: s.fields || null,
+        dateRange: s.dateRange || null,
+        articleTypes: s.articleTypes || null,
+        journals: s.journals || null,
+        purpose: s.purpose || 'search',
+        weight: Math.min(Math.max(s.weight || 1.0, 0.5), 2.5)
+      }))
+    };
+
+  } catch (error) {
+    console.error('Error calling Claude:', error);
+    return fallbackQueryParsing(query);
+  }
+}
+
+/**
+ * Generate a synthesized answer from search results
+ * CRITICAL: Only uses information from the provided abstracts, never from training data
+ * Claude answers through SYNTHESIS_TOOL, so each claim arrives with its citations and quoted evidence
+ * Returns { text, claims } - text is the claims joined with [n] markers - or null
+ */
+async function generateAnswerSynthesis(env, query, intent, topResults) {
+  if (!env.ANTHROPIC_API_KEY || topResults.length === 0) {
+    return null;
+  }
+
+  // Build context from top results - markup dropped, math kept as inline LaTeX
+  const paperSummaries = topResults.map((paper, idx) => {
+    const cleanTitle = linearizeMarkup(paper.title || 'Untitled');
+    const plainAbstract = linearizeMarkup(paper.abstract);
+    const abstract = plainAbstract
+      ? plainAbstract.substring(0, 600) + (plainAbstract.length > 600 ? '...' : '')
+      : 'No abstract available';
+    return `[${idx + 1}] "${cleanTitle}" (${paper.journal || 'Unknown'}, ${paper.date ? new Date(paper.date).getFullYear() : 'n.d.'})\nAbstract: ${abstract}`;
+  }).join('\n\n');
+
+  const intentGuidance = {
+    'explainer': 'Explain the concept using ONLY what is stated in these abstracts.',
+    'survey': 'Summarize the research findings from ONLY these papers.',
+    'specific': 'Describe ONLY what these specific papers found.',
+    'author': 'Summarize ONLY the research shown in these papers.',
+    'comparative': 'Compare concepts using ONLY information from these abstracts.'
+  };
+
+  const systemPrompt = `You are a research assistant that synthesizes information EXCLUSIVELY from provided paper abstracts.
+
+CRITICAL RULES:
+1. ONLY use information explicitly stated in the abstracts below
+2. NEVER add information from your training data or general knowledge
+3. If the abstracts don't contain enough information to answer, say "Based on these papers, [what they do cover]"
+4. Every claim must cite the numbers of the papers that support it
+5. Every claim must quote, word for word, the span of the abstract that backs it
+6. Keep your answer to 2-4 claims of one sentence each
+7. ${intentGuidance[intent] || intentGuidance['specific']}
+8. Math in the abstracts is written as inline LaTeX between $ signs - write any math the same way
+
+If you cannot answer the question from the abstracts alone, summarize what the papers DO cover instead of making things up.
+Submit your answer with the submit_synthesis tool.`;
+
+  const userPrompt = `Question: "${query}"
+
+PAPER ABSTRACTS (use ONLY this information):
+${paperSummaries}
+
+Write a synthesis using ONLY the information above, as claims with citations and verbatim evidence quotes.`;
+
+  try {
+    const response = await fetch(CLAUDE_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: CLAUDE_MODEL,
+        max_tokens: 1024,
+        system: systemPrompt,
+        tools: [SYNTHESIS_TOOL],
+        tool_choice: { type: 'tool', name: SYNTHESIS_TOOL.name },
+        messages: [{ role: 'user', content: userPrompt }]
+      })
+    });
+
+    if (!response.ok) {
+      console.error('Synthesis API error:', response.status);
+      return null;
+    }
+
+    const data = await response.json();
+    const toolUse = data.content?.find(c => c.type === 'tool_use' && c.name === SYNTHESIS_TOOL.name);
+
+    if (!toolUse) {
+      // Plain-text answer - recover claims and citations from the [n] markers
+      const text = data.content?.find(c => c.type === 'text')?.text?.trim();
+      if (!text) return null;
+      return {
+        text: text,
+        claims: splitIntoClaims(text).map(claim => ({
+          text: stripCitationMarkers(claim),
+          citations: extractCitations(claim),
+          evidence: []
+        }))
+      };
+    }
+
+    const claims = (Array.isArray(toolUse.input?.claims) ? toolUse.input.claims : [])
+      .filter(claim => claim && typeof claim.text === 'string' && claim.text.trim())
+      .map(claim => ({
+        text: stripCitationMarkers(claim.text),
+        citations: [...new Set((claim.citations || []).map(n => parseInt(n, 10)).filter(Number.isFinite))],
+        evidence: (claim.evidence || [])
+          .filter(e => e && typeof e.quote === 'string' && e.quote.trim())
+          .map(e => ({ paper: parseInt(e.paper, 10), quote: e.quote.trim() }))
+      }));
+
+    if (claims.length === 0) return null;
+
+    return {
+      text: claims.map(appendCitationMarkers).join(' '),
+      claims: claims
+    };
+
+  } catch (error) {
+    console.error('Error generating synthesis:', error);
+    return null;
+  }
+}
+
+/**
+ * Check a generated synthesis against the papers it was written from
+ * For each claim: every citation must refer to a supplied paper, each evidence quote must
+ * actually occur in that paper's title/abstract, and the claim is scored by the share of its
+ * terms found in the cited titles/abstracts (lexical support)
+ * Claim status: supported, weak (little overlap, or none of its quotes could be found),
+ * unsupported (no valid citation or no overlap), or uncited (scored against all supplied
+ * papers, but flagged for citing nothing)
+ * @param {Array} claims - [{ text, citations, evidence: [{ paper, quote }] }] from generateAnswerSynthesis
+ * @param {Array} papers - The papers sent to Claude, in citation order
+ */
+function verifySynthesisGrounding(claims, papers) {
+  const paperTokens = papers.map(paper => new Set(tokenizePhysicsText(`${paper.title || ''} ${paper.abstract || ''}`)));
+  const paperText = papers.map(paper => normalizeForQuote(`${paper.title || ''} ${paper.abstract || ''}`));
+
+  const verified = claims.map(claim => {
+    const cited = claim.citations || [];
+    const citations = cited.filter(n => n >= 1 && n <= papers.length);
+    const invalidCitations = cited.filter(n => n < 1 || n > papers.length);
+
+    const terms = [...new Set(tokenizePhysicsText(claim.text))];
+    const evidenceIndexes = cited.length > 0 ? citations.map(n => n - 1) : papers.map((p, i) => i);
+    const evidenceTokens = new Set(evidenceIndexes.flatMap(i => [...paperTokens[i]]));
+    const matched = terms.filter(term => evidenceTokens.has(term));
+    const support = terms.length > 0 ? Math.round(matched.length / terms.length * 100) / 100 : 1;
+
+    // Quotes Claude copied - keep only ones that really appear in the paper they name
+    const evidence = (claim.evidence || []).map(e => ({
+      paper: e.paper,
+      quote: e.quote,
+      found: e.paper >= 1 && e.paper <= papers.length && paperText[e.paper - 1].includes(normalizeForQuote(e.quote))
+    }));
+    const quotesFound = evidence.filter(e => e.found).length;
+
+    let status;
+    if (cited.length === 0) {
+      status = 'uncited';
+    } else if (citations.length === 0 || support < GROUNDING_WEAK) {
+      status = 'unsupported';
+    } else if (support < GROUNDING_SUPPORTED || (evidence.length > 0 && quotesFound === 0)) {
+      status = 'weak';
+    } else {
+      status = 'supported';
+    }
+
+    return {
+      text: claim.text,
+      citations,
+      invalidCitations,
+      evidence,
+      support,
+      unmatchedTerms: terms.filter(term => !evidenceTokens.has(term)),
+      status
+    };
+  });
+
+  const count = status => verified.filter(c => c.status === status).length;
+  return {
+    method: 'lexical',
+    papersSupplied: papers.length,
+    claims: verified,
+    supported: count('supported'),
+    weak: count('weak'),
+    unsupported: count('unsupported'),
+    uncited: count('uncited'),
+    invalidCitations: [...new Set(verified.flatMap(c => c.invalidCitations))],
+    quotesNotFound: verified.reduce((sum, c) => sum + c.evidence.filter(e => !e.found).length, 0)
+  };
+}
+
+// Lowercase, markup-free, single-spaced text for verbatim quote matching
+// Math is linearized the same way as in the prompt, so quotes that include it still match
+function normalizeForQuote(text) {
+  return linearizeMarkup(text)
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s."']+|[\s."']+$/g, '');
+}
+
+// Claim text without [n] markers
+function stripCitationMarkers(text) {
+  return text.replace(/\s*\[[\d,\s\u2013-]+\]/g, '').trim();
+}
+
+// "Claim." + citations [1, 2] -> "Claim [1] [2]."
+function appendCitationMarkers(claim) {
+  const markers = claim.citations.map(n => ` [${n}]`).join('');
+  const match = claim.text.match(/^(.*?)([.!?])$/);
+  return match ? `${match[1]}${markers}${match[2]}` : `${claim.text}${markers}`;
+}
+
+// Split a synthesis into sentences without breaking on "et al." or decimals;
+// a citation left dangling after a full stop ("... shown. [2]") stays with its sentence
+function splitIntoClaims(text) {
+  const protectedText = text
+    .replace(/\b(et al|e\.g|i\.e|cf|vs|approx|Fig|Eq|Ref|Phys|Rev|Lett)\./g, '$1\u0000')
+    .replace(/(\d)\.(\d)/g, '$1\u0000$2');
+
+  const claims = [];
+  for (const sentence of protectedText.split(/(?<=[.!?])\s+(?=[A-Z[(])/)) {
+    const restored = sentence.replace(/\u0000/g, '.').trim();
+    const dangling = restored.match(/^((?:\[[\d,\s\u2013-]+\]\s*)+)(.*)$/);
+    if (dangling && claims.length > 0) {
+      claims[claims.length - 1] += ` ${dangling[1].trim()}`;
+      if (dangling[2].trim()) claims.push(dangling[2].trim());
+    } else if (restored) {
+      claims.push(restored);
+    }
+  }
+  return claims;
+}
+
+// Citation numbers in a claim - handles [1], [1, 3] and [2-4]
+function extractCitations(text) {
+  const numbers = [];
+  for (const [, group] of text.matchAll(/\[([\d,\s\u2013-]+)\]/g)) {
+    for (const part of group.split(',')) {
+      const [from, to] = part.split(/[\u2013-]/).map(n => parseInt(n, 10));
+      if (!Number.isFinite(from)) continue;
+      const last = Number.isFinite(to) && to >= from && to - from < 20 ? to : from;
+      for (let n = from; n <= last; n++) numbers.push(n);
+    }
+  }
+  return [...new Set(numbers)];
+}
+
+/**
+ * Execute agentic search - Claude decides what to search and when it has enough results
+ * Returns collected papers and agent reasoning steps
+ * @param {Function} onEvent - Optional (event, data) callback, called as each step completes
+ * @param {Object} searchOptions - Options forwarded to callTesseractSearch (e.g. bypassCache)
+ */
+async function executeAgenticSearch(env, accessToken, userQuery, maxIterations = 4, onEvent = () => {}, searchOptions = {}) {
   // Check if API key is configured
   if (!env.ANTHROPIC_API_KEY) {
     console.log('ANTHROPIC_API_KEY not configured, falling back to simple search');
@@ -1034,43 +3069,452 @@ async function executeAgenticSearch(env, accessToken, userQuery, maxIterations =
     };
   }
 
-  const systemPrompt = `You are a physics research search agent helping find relevant papers from APS journals.
+  const systemPrompt = `You are a physics research search agent helping find relevant papers from APS journals.
+
+Your goal: Find papers that best answer the user's question.
+
+WORKFLOW:
+1. Analyze the user's question to understand what they're looking for
+2. Use search_papers to find relevant papers (you can search multiple times with different queries)
+3. After each search, evaluate if you have enough coverage
+4. Use analyze_gaps if you think more searches would help
+5. Call finish when you have sufficient papers to answer the question
+
+SEARCH STRATEGIES:
+- For conceptual questions ("What is X?"): Search for the concept + "review" or foundational terms
+- For recent research ("Latest on X"): Use search_type="recent"
+- For specific phenomena: Use precise technical terms
+- For comparisons ("X vs Y"): Search each concept separately
+- If the user asks for review articles or names specific journals, set article_types/journals on every search - these are hard filters
+- For author names: use fields=["author"]
+
+TIPS:
+- Physics terms are specific: "topological insulator" not just "insulator"
+- Try synonyms if first search is poor: "BEC" vs "Bose-Einstein condensate"
+- 2-3 good searches usually suffice; don't over-search
+
+Call finish when you have 5-15 relevant papers covering the main aspects of the question.${searchOptions.filters ? `
+
+USER FILTERS (hard constraints, applied to every search whatever you pass):
+${describeSearchFilters(searchOptions.filters)}
+Don't search outside them or suggest papers that fall outside them.` : ''}`;
+
+  // Initialize conversation
+  let messages = [
+    { role: 'user', content: `Find papers to answer this question: "${userQuery}"` }
+  ];
+
+  const allPapers = new Map(); // DOI -> paper (deduped)
+  const paperHits = new Map(); // DOI -> [{ query, rank }] for every search that returned it
+  const agentSteps = []; // Track agent's reasoning for transparency
+  let finished = false;
+  let finishReason = null;
+
+  for (let iteration = 0; iteration < maxIterations && !finished; iteration++) {
+    try {
+      // Call Claude with tools
+      const response = await fetch(CLAUDE_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': env.ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model: CLAUDE_MODEL,
+          max_tokens: 1024,
+          system: systemPrompt,
+          tools: AGENT_TOOLS,
+          messages: messages
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Agent API error:', response.status, errorText);
+        break;
+      }
+
+      const data = await response.json();
+
+      // Check stop reason
+      if (data.stop_reason === 'end_turn') {
+        // Agent finished without calling a tool - extract any text response
+        const textContent = data.content?.find(c => c.type === 'text');
+        if (textContent) {
+          const thinkingStep = {
+            type: 'thinking',
+            iteration: iteration + 1,
+            content: textContent.text
+          };
+          agentSteps.push(thinkingStep);
+          onEvent('step', thinkingStep);
+        }
+        finished = true;
+        finishReason = 'Agent completed reasoning';
+        break;
+      }
+
+      // Process tool calls
+      if (data.stop_reason === 'tool_use') {
+        // Add assistant's response to conversation
+        messages.push({ role: 'assistant', content: data.content });
+
+        // Find tool use blocks
+        const toolUses = data.content.filter(c => c.type === 'tool_use');
+        const toolResults = [];
+
+        for (const toolUse of toolUses) {
+          const toolName = toolUse.name;
+          const toolInput = toolUse.input;
+
+          if (toolName === 'search_papers') {
+            // Execute search
+            const query = toolInput.query;
+            const searchType = toolInput.search_type || 'general';
+            const limit = Math.min(toolInput.limit || 10, 20);
+
+            // Hard filters the agent asked for
+            const filters = {};
+            if (Array.isArray(toolInput.fields) && toolInput.fields.length > 0) {
+              filters.fields = toolInput.fields;
+            } else if (searchType === 'title_focused') {
+              filters.fields = ['title'];
+            }
+            if (Array.isArray(toolInput.article_types) && toolInput.article_types.length > 0) {
+              filters.articleTypes = toolInput.article_types;
+            }
+            if (Array.isArray(toolInput.journals) && toolInput.journals.length > 0) {
+              filters.journals = toolInput.journals;
+            }
+
+            // Build search params based on search type, then narrow them to the user's filters
+            let searchParams = { query, ...filters };
+            if (searchType === 'recent') {
+              const threeYearsAgo = new Date();
+              threeYearsAgo.setFullYear(threeYearsAgo.getFullYear() - 3);
+              searchParams.dateRange = { start: threeYearsAgo.toISOString().split('T')[0] };
+            }
+            if (searchOptions.filters) {
+              searchParams = applySearchFilters(searchParams, searchOptions.filters);
+              for (const key of ['articleTypes', 'journals']) {
+                if (searchParams[key]) filters[key] = searchParams[key];
+              }
+            }
+
+            agentSteps.push({
+              type: 'search',
+              iteration: iteration + 1,
+              query: query,
+              searchType: searchType,
+              filters: Object.keys(filters).length > 0 ? filters : null
+            });
+
+            try {
+
+              const searchResults = await callTesseractSearch(env, accessToken, searchParams, limit, 'relevance', searchOptions);
+              const results = { ...searchResults, results: (searchResults.results || []).filter(paper => matchesSearchFilters(paper, searchOptions.filters)) };
+
+              // Add to collected papers (dedupe by DOI)
+              const newPapers = [];
+              (results.results || []).forEach((paper, index) => {
+                if (!paper.doi) return;
+                if (!paperHits.has(paper.doi)) {
+                  paperHits.set(paper.doi, []);
+                }
+                paperHits.get(paper.doi).push({ query: query, rank: index + 1 });
+              });
+              for (const paper of results.results || []) {
+                if (paper.doi && !allPapers.has(paper.doi)) {
+                  allPapers.set(paper.doi, paper);
+                  newPapers.push(paper);
+                }
+              }
+
+              // Update step with results
+              const lastStep = agentSteps[agentSteps.length - 1];
+              lastStep.totalFound = results.total;
+              lastStep.newPapers = newPapers.length;
+              lastStep.cached = results.cached === true;
+              lastStep.constraintsDropped = results.constraintsDropped === true;
+              lastStep.status = 'success';
+
+              onEvent('step', lastStep);
+              onEvent('results', {
+                iteration: iteration + 1,
+                query: query,
+                papers: newPapers,
+                totalUnique: allPapers.size
+              });
+
+              // Build result summary for agent
+              const paperSummaries = (results.results || []).slice(0, 5).map((p, i) => {
+                const cleanTitle = linearizeMarkup(p.title || 'Untitled').substring(0, 100);
+                return `${i + 1}. "${cleanTitle}" (${p.journal || 'Unknown'}, ${p.date ? new Date(p.date).getFullYear() : 'n.d.'})`;
+              }).join('\n');
+
+              const filterNote = results.constraintsDropped
+                ? '\n\nNote: the field/article type/journal filters could not be applied; these results are unfiltered.'
+                : '';
+
+              toolResults.push({
+                type: 'tool_result',
+                tool_use_id: toolUse.id,
+                content: `Found ${results.total} papers. Top results:\n${paperSummaries}\n\nTotal unique papers collected so far: ${allPapers.size}${filterNote}`
+              });
+
+            } catch (searchError) {
+              console.error('Agent search error:', searchError.message, searchError.stack);
+              const lastStep = agentSteps[agentSteps.length - 1];
+              lastStep.status = 'error';
+              lastStep.error = searchError.message;
+              lastStep.errorDetail = searchError.stack;
+              onEvent('step', lastStep);
+
+              toolResults.push({
+                type: 'tool_result',
+                tool_use_id: toolUse.id,
+                content: `Search failed: ${searchError.message}. Try a different query.`,
+                is_error: true
+              });
+            }
+
+          } else if (toolName === 'analyze_gaps') {
+            // Agent is analyzing what's missing
+            const analysisStep = {
+              type: 'analysis',
+              iteration: iteration + 1,
+              coverage: toolInput.current_coverage,
+              gaps: toolInput.missing_aspects,
+              suggestions: toolInput.suggested_queries
+            };
+            agentSteps.push(analysisStep);
+            onEvent('step', analysisStep);
+
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: `Gap analysis recorded. You have ${allPapers.size} papers. ${toolInput.missing_aspects?.length > 0 ? 'Consider searching for: ' + toolInput.suggested_queries?.slice(0, 2).join(', ') : 'Coverage looks good - consider calling finish.'}`
+            });
+
+          } else if (toolName === 'finish') {
+            // Agent is done
+            const finishStep = {
+              type: 'finish',
+              iteration: iteration + 1,
+              reasoning: toolInput.reasoning,
+              coverage: toolInput.coverage_summary
+            };
+            agentSteps.push(finishStep);
+            onEvent('step', finishStep);
+
+            finished = true;
+            finishReason = toolInput.reasoning;
+
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: 'Search complete. Proceeding to synthesis.'
+            });
+          }
+        }
+
+        // Add tool results to conversation
+        if (toolResults.length > 0) {
+          messages.push({ role: 'user', content: toolResults });
+        }
+      }
+
+    } catch (error) {
+      console.error('Agent iteration error:', error);
+      const errorStep = {
+        type: 'error',
+        iteration: iteration + 1,
+        error: error.message
+      };
+      agentSteps.push(errorStep);
+      onEvent('step', errorStep);
+      break;
+    }
+  }
+
+  // If we hit max iterations without finishing, note it
+  if (!finished) {
+    const limitStep = {
+      type: 'max_iterations',
+      message: `Reached maximum ${maxIterations} iterations`
+    };
+    agentSteps.push(limitStep);
+    onEvent('step', limitStep);
+    finishReason = `Reached iteration limit with ${allPapers.size} papers`;
+  }
+
+  return {
+    success: true,
+    papers: [...allPapers.values()],
+    paperHits: paperHits,
+    agentSteps: agentSteps,
+    finishReason: finishReason,
+    totalSearches: agentSteps.filter(s => s.type === 'search').length
+  };
+}
 
-Your goal: Find papers that best answer the user's question.
+/**
+ * Fallback query parsing when Claude is unavailable
+ */
+function fallbackQueryParsing(query) {
+  // Known physics compound terms to preserve
+  const compoundTerms = [
+    'quantum mechanics', 'quantum field', 'quantum gravity', 'quantum biology',
+    'general relativity', 'special relativity', 'dark matter', 'dark energy',
+    'black hole', 'neutron star', 'gravitational wave', 'condensed matter',
+    'particle physics', 'nuclear physics', 'statistical mechanics',
+    'high energy', 'low temperature', 'room temperature'
+  ];
 
-WORKFLOW:
-1. Analyze the user's question to understand what they're looking for
-2. Use search_papers to find relevant papers (you can search multiple times with different queries)
-3. After each search, evaluate if you have enough coverage
-4. Use analyze_gaps if you think more searches would help
-5. Call finish when you have sufficient papers to answer the question
+  let normalized = query.toLowerCase().replace(/[?.,!'"]/g, ' ');
+  const foundCompounds = [];
 
-SEARCH STRATEGIES:
-- For conceptual questions ("What is X?"): Search for the concept + "review" or foundational terms
-- For recent research ("Latest on X"): Use search_type="recent"
-- For specific phenomena: Use precise technical terms
-- For comparisons ("X vs Y"): Search each concept separately
+  // "review(s) of X" asks for review articles, not papers about reviewing
+  const articleTypes = /\breviews?\b/.test(normalized) ? ['review'] : null;
+  normalized = normalized.replace(/\breviews?\b/g, ' ');
 
-TIPS:
-- Physics terms are specific: "topological insulator" not just "insulator"
-- Try synonyms if first search is poor: "BEC" vs "Bose-Einstein condensate"
-- 2-3 good searches usually suffice; don't over-search
+  // Extract compound terms first
+  for (const compound of compoundTerms) {
+    if (normalized.includes(compound)) {
+      foundCompounds.push(compound);
+      normalized = normalized.replace(new RegExp(compound, 'g'), ' ');
+    }
+  }
+
+  // Extract remaining meaningful words
+  const words = normalized
+    .split(/\s+/)
+    .filter(w => w.length > 2 && !QUERY_STOP_WORDS.has(w));
 
-Call finish when you have 5-15 relevant papers covering the main aspects of the question.`;
+  // Combine compounds and single words
+  const concepts = [...foundCompounds, ...words];
 
-  // Initialize conversation
-  let messages = [
-    { role: 'user', content: `Find papers to answer this question: "${userQuery}"` }
-  ];
+  const searches = [];
 
-  const allPapers = new Map(); // DOI -> paper (deduped)
-  const agentSteps = []; // Track agent's reasoning for transparency
-  let finished = false;
-  let finishReason = null;
+  // If we found compound terms, prioritize those
+  if (foundCompounds.length > 0) {
+    for (const compound of foundCompounds) {
+      searches.push({
+        query: compound,
+        purpose: compound,
+        weight: 2.0
+      });
+    }
+  }
+
+  // Add combined search if we have multiple concepts
+  if (concepts.length >= 2) {
+    const combo = concepts.slice(0, 2).join(' ');
+    if (!searches.some(s => s.query === combo)) {
+      searches.push({
+        query: combo,
+        purpose: 'intersection',
+        weight: 1.8
+      });
+    }
+  }
+
+  // Add individual concept searches for non-compound terms
+  for (const word of words.slice(0, 2)) {
+    if (!foundCompounds.some(c => c.includes(word))) {
+      searches.push({
+        query: word,
+        purpose: word,
+        weight: 1.0
+      });
+    }
+  }
+
+  if (searches.length === 0) {
+    searches.push({
+      query: query.replace(/[?!]/g, '').trim(),
+      purpose: 'direct query',
+      weight: 1.0
+    });
+  }
+
+  return {
+    interpretation: `Searching for: ${concepts.join(', ') || query}`,
+    intent: 'specific',  // Default intent for fallback
+    concepts: concepts,
+    searches: searches.slice(0, 4).map(s => ({ ...s, articleTypes }))
+  };
+}
+
+/**
+ * Handle AI-powered paper summarization
+ * @param {Object} user - Verified identity from authenticateRequest
+ */
+async function handleSummarize(request, env, user) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Parse request body
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid request body' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const { searchQuery } = body;
+  // Math goes to Claude as inline LaTeX rather than raw MathML
+  const title = typeof body.title === 'string' ? linearizeMarkup(body.title) : '';
+  const abstract = typeof body.abstract === 'string' ? linearizeMarkup(body.abstract) : '';
+
+  // Allow title-only summarization
+  if (!title && !abstract) {
+    return new Response(JSON.stringify({ error: 'Title or abstract is required' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Claude-backed route - enforce per-user rate limit, only once the request is known to be valid
+  const rateLimit = await checkRateLimit(env, 'summarize', user.sub);
+  if (!rateLimit.allowed) {
+    return createRateLimitResponse(rateLimit.retryAfter);
+  }
+
+  // If no abstract, generate a brief summary from title using AI
+  if (!abstract || typeof abstract !== 'string' || abstract.trim().length === 0) {
+    if (!env.ANTHROPIC_API_KEY) {
+      return new Response(JSON.stringify({
+        summary: `Research on: ${title}`,
+        aiGenerated: false
+      }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-  for (let iteration = 0; iteration < maxIterations && !finished; iteration++) {
     try {
-      // Call Claude with tools
+      let titlePrompt;
+      if (searchQuery) {
+        titlePrompt = `A user searched for: "${searchQuery}"
+This paper was found: "${title}"
+
+Write ONE brief sentence (under 150 characters) that:
+1. Describes what this paper investigates
+2. Hints at why it's relevant to the search
+
+Don't start with "This paper" - be direct.`;
+      } else {
+        titlePrompt = `Based on this physics paper title, write a single brief sentence (under 150 characters) describing what this research likely investigates. Be specific to physics. Title: "${title}"`;
+      }
+
       const response = await fetch(CLAUDE_API_URL, {
         method: 'POST',
         headers: {
@@ -1080,300 +3524,409 @@ Call finish when you have 5-15 relevant papers covering the main aspects of the
         },
         body: JSON.stringify({
           model: CLAUDE_MODEL,
-          max_tokens: 1024,
-          system: systemPrompt,
-          tools: AGENT_TOOLS,
-          messages: messages
+          max_tokens: 100,
+          messages: [{ role: 'user', content: titlePrompt }]
         })
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Agent API error:', response.status, errorText);
-        break;
+      if (response.ok) {
+        const data = await response.json();
+        const summary = data.content?.[0]?.text?.trim();
+        if (summary) {
+          return new Response(JSON.stringify({
+            summary: summary,
+            aiGenerated: true,
+            fromTitle: true
+          }), {
+            headers: { 'Content-Type': 'application/json' },
+          });
+        }
       }
+    } catch (e) {
+      console.error('Title-only summarize error:', e);
+    }
+
+    return new Response(JSON.stringify({
+      summary: `Research on: ${title}`,
+      aiGenerated: false
+    }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Check if API key is configured
+  if (!env.ANTHROPIC_API_KEY) {
+    // Fallback to simple extraction
+    return new Response(JSON.stringify({
+      summary: extractFirstSentences(abstract, 2),
+      aiGenerated: false
+    }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  try {
+    let systemPrompt, userPrompt;
+
+    if (searchQuery) {
+      // Context-aware summary that explains relevance
+      systemPrompt = `You are a research assistant helping a physicist find relevant papers. Given a paper and a search query, write ONE sentence (max 200 chars) that:
+1. Summarizes the paper's key finding
+2. Naturally indicates why it's relevant to what the user is looking for
+
+Don't start with "This paper" or "The authors". Be direct and specific. Write any math as inline LaTeX between $ signs.`;
+
+      userPrompt = `Search query: "${searchQuery}"
+
+Paper title: ${title || 'Untitled'}
+
+Abstract: ${abstract}
+
+Write a single summary sentence (under 200 chars) that captures the finding and its relevance:`;
+    } else {
+      // Standard summary without search context
+      systemPrompt = `You are a scientific paper summarizer. Given a paper's title and abstract, generate a single concise sentence (maximum 200 characters) that captures the key finding. Write for physicists. Be direct, factual, and brief. Never use more than one sentence. Write any math as inline LaTeX between $ signs.`;
+
+      userPrompt = `Title: ${title || 'Untitled'}\n\nAbstract: ${abstract}\n\nProvide a single-sentence summary (under 200 characters):`;
+    }
+
+    const response = await fetch(CLAUDE_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: CLAUDE_MODEL,
+        max_tokens: 150,
+        system: systemPrompt,
+        messages: [
+          { role: 'user', content: userPrompt }
+        ]
+      })
+    });
 
-      const data = await response.json();
+    if (!response.ok) {
+      console.error('Claude API error for summarize:', response.status);
+      return new Response(JSON.stringify({
+        summary: extractFirstSentences(abstract, 2),
+        aiGenerated: false
+      }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-      // Check stop reason
-      if (data.stop_reason === 'end_turn') {
-        // Agent finished without calling a tool - extract any text response
-        const textContent = data.content?.find(c => c.type === 'text');
-        if (textContent) {
-          agentSteps.push({
-            type: 'thinking',
-            iteration: iteration + 1,
-            content: textContent.text
-          });
-        }
-        finished = true;
-        finishReason = 'Agent completed reasoning';
-        break;
-      }
+    const data = await response.json();
+    const summary = data.content?.[0]?.text?.trim();
 
-      // Process tool calls
-      if (data.stop_reason === 'tool_use') {
-        // Add assistant's response to conversation
-        messages.push({ role: 'assistant', content: data.content });
+    if (!summary) {
+      return new Response(JSON.stringify({
+        summary: extractFirstSentences(abstract, 2),
+        aiGenerated: false
+      }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-        // Find tool use blocks
-        const toolUses = data.content.filter(c => c.type === 'tool_use');
-        const toolResults = [];
+    return new Response(JSON.stringify({
+      summary: summary,
+      aiGenerated: true
+    }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
 
-        for (const toolUse of toolUses) {
-          const toolName = toolUse.name;
-          const toolInput = toolUse.input;
+  } catch (error) {
+    console.error('Summarize error:', error);
+    return new Response(JSON.stringify({
+      summary: extractFirstSentences(abstract, 2),
+      aiGenerated: false
+    }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
 
-          if (toolName === 'search_papers') {
-            // Execute search
-            const query = toolInput.query;
-            const searchType = toolInput.search_type || 'general';
-            const limit = Math.min(toolInput.limit || 10, 20);
+/**
+ * Handle a conversational follow-up over the current result set
+ * The worker keeps no session - the sidebar sends the original query, the result set and
+ * the conversation so far with every turn. Claude answers through CHAT_TOOLS by filtering
+ * the results, running a new search, or answering from the abstracts.
+ * @param {Object} user - Verified identity from authenticateRequest
+ */
+async function handleChat(request, env, user) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-            agentSteps.push({
-              type: 'search',
-              iteration: iteration + 1,
-              query: query,
-              searchType: searchType
-            });
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid request body' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-            try {
-              // Build search params based on search type
-              const searchParams = { query };
-              if (searchType === 'recent') {
-                const threeYearsAgo = new Date();
-                threeYearsAgo.setFullYear(threeYearsAgo.getFullYear() - 3);
-                searchParams.dateRange = { start: threeYearsAgo.toISOString().split('T')[0] };
-              }
+  const { message: rawMessage, query: rawQuery = '', results = [], history = [] } = body;
 
-              const results = await callTesseractSearch(env, accessToken, searchParams, limit, 'relevance');
+  if (!rawMessage || typeof rawMessage !== 'string') {
+    return new Response(JSON.stringify({ error: 'Message is required' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-              // Add to collected papers (dedupe by DOI)
-              let newCount = 0;
-              for (const paper of results.results || []) {
-                if (paper.doi && !allPapers.has(paper.doi)) {
-                  allPapers.set(paper.doi, paper);
-                  newCount++;
-                }
-              }
+  const message = sanitizeQuery(rawMessage);
+  if (!message) {
+    return new Response(JSON.stringify({ error: 'Invalid message' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-              // Update step with results
-              const lastStep = agentSteps[agentSteps.length - 1];
-              lastStep.totalFound = results.total;
-              lastStep.newPapers = newCount;
-              lastStep.status = 'success';
+  if (!Array.isArray(results) || !Array.isArray(history)) {
+    return new Response(JSON.stringify({ error: 'results and history must be lists' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-              // Build result summary for agent
-              const paperSummaries = (results.results || []).slice(0, 5).map((p, i) => {
-                const cleanTitle = (p.title || 'Untitled')
-                  .replace(/<math[^>]*>[\s\S]*?<\/math>/gi, '')
-                  .replace(/<[^>]+>/g, '')
-                  .substring(0, 100);
-                return `${i + 1}. "${cleanTitle}" (${p.journal || 'Unknown'}, ${p.date ? new Date(p.date).getFullYear() : 'n.d.'})`;
-              }).join('\n');
+  // Sidebar filters - new searches from the chat stay inside them, as /ai-search searches do
+  const filters = parseSearchFilters(body.filters);
+  if (filters.error) {
+    return new Response(JSON.stringify({ error: filters.error }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-              toolResults.push({
-                type: 'tool_result',
-                tool_use_id: toolUse.id,
-                content: `Found ${results.total} papers. Top results:\n${paperSummaries}\n\nTotal unique papers collected so far: ${allPapers.size}`
-              });
+  if (isSuspiciousQuery(rawMessage, message)) {
+    console.warn('Suspicious chat message detected:', { user: user.sub, original: rawMessage.substring(0, 100), sanitized: message.substring(0, 100) });
+  }
 
-            } catch (searchError) {
-              console.error('Agent search error:', searchError.message, searchError.stack);
-              const lastStep = agentSteps[agentSteps.length - 1];
-              lastStep.status = 'error';
-              lastStep.error = searchError.message;
-              lastStep.errorDetail = searchError.stack;
+  if (!env.ANTHROPIC_API_KEY) {
+    return new Response(JSON.stringify({ error: 'Follow-up questions are not available' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-              toolResults.push({
-                type: 'tool_result',
-                tool_use_id: toolUse.id,
-                content: `Search failed: ${searchError.message}. Try a different query.`,
-                is_error: true
-              });
-            }
+  // Claude-backed route - enforce per-user rate limit, only once the request is known to be valid
+  const rateLimit = await checkRateLimit(env, 'chat', user.sub);
+  if (!rateLimit.allowed) {
+    return createRateLimitResponse(rateLimit.retryAfter);
+  }
 
-          } else if (toolName === 'analyze_gaps') {
-            // Agent is analyzing what's missing
-            agentSteps.push({
-              type: 'analysis',
-              iteration: iteration + 1,
-              coverage: toolInput.current_coverage,
-              gaps: toolInput.missing_aspects,
-              suggestions: toolInput.suggested_queries
-            });
+  const query = typeof rawQuery === 'string' ? sanitizeQuery(rawQuery) : '';
+  const papers = results.filter(p => p && typeof p === 'object').slice(0, CHAT_MAX_RESULTS);
 
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: toolUse.id,
-              content: `Gap analysis recorded. You have ${allPapers.size} papers. ${toolInput.missing_aspects?.length > 0 ? 'Consider searching for: ' + toolInput.suggested_queries?.slice(0, 2).join(', ') : 'Coverage looks good - consider calling finish.'}`
-            });
+  try {
+    const decision = await decideChatAction(env, query, papers, normalizeChatHistory(history), message, filters.filters);
 
-          } else if (toolName === 'finish') {
-            // Agent is done
-            agentSteps.push({
-              type: 'finish',
-              iteration: iteration + 1,
-              reasoning: toolInput.reasoning,
-              coverage: toolInput.coverage_summary
-            });
+    if (decision.action === 'filter') {
+      const keep = [...new Set(decision.keep)].filter(n => n >= 1 && n <= papers.length);
+      // Nothing matched - keep the set and just say so
+      if (keep.length === 0) {
+        return chatResponse({ action: 'answer', reply: decision.reply });
+      }
+      const filtered = keep.map(n => papers[n - 1]);
+      return chatResponse({
+        action: 'filter',
+        reply: renumberCitations(decision.reply, keep),
+        kept: keep,
+        total: filtered.length,
+        results: filtered
+      });
+    }
 
-            finished = true;
-            finishReason = toolInput.reasoning;
+    if (decision.action === 'search') {
+      let searchParams = { query: sanitizeQuery(decision.query) || query };
+      if (decision.articleTypes) searchParams.articleTypes = decision.articleTypes;
+      if (decision.journals) searchParams.journals = decision.journals;
+      if (decision.startYear) searchParams.dateRange = { start: `${decision.startYear}-01-01` };
+      searchParams = applySearchFilters(searchParams, filters.filters);
+
+      const searchResults = await callTesseractSearch(env, user.token, searchParams, 15, 'relevance');
+      const found = (searchResults.results || []).filter(paper => matchesSearchFilters(paper, filters.filters));
+      return chatResponse({
+        action: 'search',
+        reply: decision.reply,
+        search: {
+          query: searchParams.query,
+          articleTypes: searchParams.articleTypes || null,
+          journals: searchParams.journals || null,
+          dateRange: searchParams.dateRange || null,
+          totalFound: searchResults.total,
+          cached: searchResults.cached === true,
+          constraintsDropped: searchResults.constraintsDropped === true
+        },
+        total: searchResults.total,
+        results: found
+      });
+    }
 
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: toolUse.id,
-              content: 'Search complete. Proceeding to synthesis.'
-            });
-          }
-        }
+    return chatResponse({ action: 'answer', reply: decision.reply });
 
-        // Add tool results to conversation
-        if (toolResults.length > 0) {
-          messages.push({ role: 'user', content: toolResults });
-        }
-      }
+  } catch (error) {
+    console.error('Chat error:', error);
 
-    } catch (error) {
-      console.error('Agent iteration error:', error);
-      agentSteps.push({
-        type: 'error',
-        iteration: iteration + 1,
-        error: error.message
+    if (error.message === 'Unauthorized') {
+      return new Response(JSON.stringify({ error: 'Session expired. Please sign in again.' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' },
       });
-      break;
     }
-  }
 
-  // If we hit max iterations without finishing, note it
-  if (!finished) {
-    agentSteps.push({
-      type: 'max_iterations',
-      message: `Reached maximum ${maxIterations} iterations`
+    return new Response(JSON.stringify({ error: 'Follow-up failed. Please try again.' }), {
+      status: 502,
+      headers: { 'Content-Type': 'application/json' },
     });
-    finishReason = `Reached iteration limit with ${allPapers.size} papers`;
   }
+}
 
-  return {
-    success: true,
-    papers: [...allPapers.values()],
-    agentSteps: agentSteps,
-    finishReason: finishReason,
-    totalSearches: agentSteps.filter(s => s.type === 'search').length
-  };
+function chatResponse(payload) {
+  return new Response(JSON.stringify(payload), {
+    headers: { 'Content-Type': 'application/json' },
+  });
 }
 
 /**
- * Fallback query parsing when Claude is unavailable
+ * Ask Claude how to handle a follow-up - returns { action, reply, ... } from the chosen tool
+ * @param {Object|null} filters - Sidebar filters from parseSearchFilters, enforced on any new search
  */
-function fallbackQueryParsing(query) {
-  // Comprehensive stop words including generic/vague terms
-  const stopWords = new Set([
-    // Articles, pronouns, prepositions
-    'the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
-    'what', 'how', 'why', 'when', 'where', 'who', 'which', 'can', 'could',
-    'i', 'me', 'my', 'you', 'your', 'we', 'our', 'they', 'their',
-    'want', 'understand', 'explain', 'help', 'know', 'learn', 'find', 'tell',
-    'about', 'between', 'relationship', 'connection', 'and', 'or', 'but', 'with',
-    'to', 'of', 'in', 'for', 'on', 'at', 'by', 'from', 'that', 'this', 'it', 'its',
-    // Generic terms that don't add search value
-    'effect', 'effects', 'affect', 'affects', 'cause', 'causes', 'caused',
-    'impact', 'impacts', 'influence', 'influences', 'role', 'roles',
-    'change', 'changes', 'result', 'results', 'lead', 'leads',
-    'work', 'works', 'make', 'makes', 'made', 'use', 'uses', 'used',
-    'show', 'shows', 'shown', 'find', 'finds', 'found', 'study', 'studies',
-    'research', 'paper', 'papers', 'article', 'articles',
-    'new', 'novel', 'recent', 'important', 'significant', 'different',
-    'many', 'some', 'most', 'all', 'any', 'other', 'such', 'like',
-    'also', 'well', 'just', 'even', 'still', 'only', 'very', 'really'
-  ]);
+async function decideChatAction(env, query, papers, history, message, filters = null) {
+  const paperList = papers.map((paper, idx) => {
+    const plainAbstract = linearizeMarkup(paper.abstract);
+    const abstract = plainAbstract
+      ? plainAbstract.substring(0, 400) + (plainAbstract.length > 400 ? '...' : '')
+      : 'No abstract available';
+    return `[${idx + 1}] "${linearizeMarkup(paper.title || 'Untitled')}" (${paper.journal || 'Unknown'}, ${paper.date ? new Date(paper.date).getFullYear() : 'n.d.'})\nAbstract: ${abstract}`;
+  }).join('\n\n');
 
-  // Known physics compound terms to preserve
-  const compoundTerms = [
-    'quantum mechanics', 'quantum field', 'quantum gravity', 'quantum biology',
-    'general relativity', 'special relativity', 'dark matter', 'dark energy',
-    'black hole', 'neutron star', 'gravitational wave', 'condensed matter',
-    'particle physics', 'nuclear physics', 'statistical mechanics',
-    'high energy', 'low temperature', 'room temperature'
-  ];
+  const systemPrompt = `You are a physics research assistant helping a user explore a set of APS papers through follow-up questions.
 
-  let normalized = query.toLowerCase().replace(/[?.,!'"]/g, ' ');
-  const foundCompounds = [];
+The user originally searched for: "${query || 'unknown'}"
 
-  // Extract compound terms first
-  for (const compound of compoundTerms) {
-    if (normalized.includes(compound)) {
-      foundCompounds.push(compound);
-      normalized = normalized.replace(new RegExp(compound, 'g'), ' ');
-    }
-  }
+CURRENT RESULTS:
+${paperList || '(no papers)'}
 
-  // Extract remaining meaningful words
-  const words = normalized
-    .split(/\s+/)
-    .filter(w => w.length > 2 && !stopWords.has(w));
+For each follow-up, use exactly one tool:
+- filter_results: the user wants a subset of these papers ("only experimental ones", "which use cold atoms?")
+- search_papers: the user wants papers these results can't provide (a new angle, more recent work, a related topic)
+- answer: the user asks about these papers ("what methods do they use?", "summarize [3]")
 
-  // Combine compounds and single words
-  const concepts = [...foundCompounds, ...words];
+RULES:
+- Judge papers ONLY from the titles and abstracts above - never from outside knowledge
+- Cite papers by their numbers, e.g. [2]
+- Keep replies short${filters ? `
+
+The user has restricted results to these filters, which apply to any new search:
+${describeSearchFilters(filters)}` : ''}`;
+
+  const response = await fetch(CLAUDE_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: CLAUDE_MODEL,
+      max_tokens: 1024,
+      system: systemPrompt,
+      tools: CHAT_TOOLS,
+      tool_choice: { type: 'any' },
+      messages: [...history, { role: 'user', content: message }]
+    })
+  });
 
-  const searches = [];
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Chat API error:', response.status, errorText);
+    throw new Error(`Claude API error: ${response.status}`);
+  }
 
-  // If we found compound terms, prioritize those
-  if (foundCompounds.length > 0) {
-    for (const compound of foundCompounds) {
-      searches.push({
-        query: compound,
-        purpose: compound,
-        weight: 2.0
-      });
-    }
+  const data = await response.json();
+  const toolUse = data.content?.find(c => c.type === 'tool_use');
+  if (!toolUse) {
+    const text = data.content?.find(c => c.type === 'text')?.text?.trim();
+    return { action: 'answer', reply: text || 'Sorry, I could not work out how to help with that.' };
   }
 
-  // Add combined search if we have multiple concepts
-  if (concepts.length >= 2) {
-    const combo = concepts.slice(0, 2).join(' ');
-    if (!searches.some(s => s.query === combo)) {
-      searches.push({
-        query: combo,
-        purpose: 'intersection',
-        weight: 1.8
-      });
-    }
+  const input = toolUse.input || {};
+  const reply = typeof input.reply === 'string' ? input.reply.trim() : '';
+
+  if (toolUse.name === 'filter_results') {
+    return {
+      action: 'filter',
+      keep: (Array.isArray(input.keep) ? input.keep : []).map(n => parseInt(n, 10)).filter(Number.isFinite),
+      reply: reply
+    };
+  }
+  if (toolUse.name === 'search_papers' && typeof input.query === 'string' && input.query.trim()) {
+    const startYear = parseInt(input.start_year, 10);
+    return {
+      action: 'search',
+      query: input.query.trim(),
+      articleTypes: Array.isArray(input.article_types) && input.article_types.length > 0 ? input.article_types : null,
+      journals: Array.isArray(input.journals) && input.journals.length > 0 ? input.journals : null,
+      startYear: startYear >= 1893 && startYear <= new Date().getFullYear() ? startYear : null,
+      reply: reply || `Searching for ${input.query.trim()}`
+    };
   }
+  return { action: 'answer', reply: reply || 'Sorry, I could not work out how to help with that.' };
+}
 
-  // Add individual concept searches for non-compound terms
-  for (const word of words.slice(0, 2)) {
-    if (!foundCompounds.some(c => c.includes(word))) {
-      searches.push({
-        query: word,
-        purpose: word,
-        weight: 1.0
-      });
+/**
+ * Turn client-supplied conversation history into valid Claude messages:
+ * known roles only, trimmed and sanitized, starting with the user and alternating
+ */
+function normalizeChatHistory(history) {
+  const messages = [];
+  for (const turn of history.slice(-CHAT_MAX_HISTORY)) {
+    if (!turn || (turn.role !== 'user' && turn.role !== 'assistant') || typeof turn.content !== 'string') continue;
+    const content = turn.role === 'user'
+      ? sanitizeQuery(turn.content)
+      : turn.content.substring(0, CHAT_MAX_MESSAGE_LENGTH).trim();
+    if (!content) continue;
+
+    const last = messages[messages.length - 1];
+    if (last && last.role === turn.role) {
+      last.content += `\n\n${content}`;
+    } else if (messages.length > 0 || turn.role === 'user') {
+      messages.push({ role: turn.role, content: content });
     }
   }
 
-  if (searches.length === 0) {
-    searches.push({
-      query: query.replace(/[?!]/g, '').trim(),
-      purpose: 'direct query',
-      weight: 1.0
-    });
+  // The new message is appended as a user turn, so history must end with the assistant
+  if (messages.length > 0 && messages[messages.length - 1].role === 'user') {
+    messages.pop();
   }
+  return messages;
+}
 
-  return {
-    interpretation: `Searching for: ${concepts.join(', ') || query}`,
-    intent: 'specific',  // Default intent for fallback
-    concepts: concepts,
-    searches: searches.slice(0, 4)
-  };
+/**
+ * After filtering, point [n] citations at the papers' new positions
+ * Citations of papers that were filtered out become "(previous #n)"
+ */
+function renumberCitations(text, keep) {
+  return text.replace(/\[(\d+)\]/g, (match, num) => {
+    const position = keep.indexOf(parseInt(num, 10));
+    return position >= 0 ? `[${position + 1}]` : `(previous #${num})`;
+  });
 }
 
 /**
- * Handle AI-powered paper summarization
+ * Handle papers related to an article the user is reading
+ * POST { paper: { doi, title, abstract }, mode: 'related' | 'citing', limit, noCache }
+ * 'related' plans searches from the paper's own content; 'citing' looks up who cites it
  */
-async function handleSummarize(request, env) {
+async function handleRelated(request, env, user) {
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ error: 'Method not allowed' }), {
       status: 405,
@@ -1381,7 +3934,6 @@ async function handleSummarize(request, env) {
     });
   }
 
-  // Parse request body
   let body;
   try {
     body = await request.json();
@@ -1392,117 +3944,147 @@ async function handleSummarize(request, env) {
     });
   }
 
-  const { title, abstract, searchQuery } = body;
+  const { paper: rawPaper, mode = 'related', limit = 15, noCache = false } = body;
 
-  // Allow title-only summarization
-  if (!title && !abstract) {
-    return new Response(JSON.stringify({ error: 'Title or abstract is required' }), {
+  if (!RELATED_MODES.includes(mode)) {
+    return new Response(JSON.stringify({ error: `mode must be one of: ${RELATED_MODES.join(', ')}` }), {
       status: 400,
       headers: { 'Content-Type': 'application/json' },
     });
   }
 
-  // If no abstract, generate a brief summary from title using AI
-  if (!abstract || typeof abstract !== 'string' || abstract.trim().length === 0) {
-    if (!env.ANTHROPIC_API_KEY) {
-      return new Response(JSON.stringify({
-        summary: `Research on: ${title}`,
-        aiGenerated: false
-      }), {
-        headers: { 'Content-Type': 'application/json' },
-      });
-    }
+  if (!rawPaper || typeof rawPaper !== 'object') {
+    return new Response(JSON.stringify({ error: 'Paper is required' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-    try {
-      let titlePrompt;
-      if (searchQuery) {
-        titlePrompt = `A user searched for: "${searchQuery}"
-This paper was found: "${title}"
+  const paper = {
+    doi: typeof rawPaper.doi === 'string' && DOI_PATTERN.test(rawPaper.doi.trim()) ? rawPaper.doi.trim() : null,
+    title: typeof rawPaper.title === 'string' ? sanitizeQuery(stripMarkup(rawPaper.title)) : '',
+    abstract: typeof rawPaper.abstract === 'string' ? stripMarkup(rawPaper.abstract).replace(/\s+/g, ' ').trim().substring(0, 2000) : ''
+  };
 
-Write ONE brief sentence (under 150 characters) that:
-1. Describes what this paper investigates
-2. Hints at why it's relevant to the search
+  if (mode === 'citing' && !paper.doi) {
+    return new Response(JSON.stringify({ error: 'A valid DOI is required to find citing papers' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  if (mode === 'related' && !paper.title) {
+    return new Response(JSON.stringify({ error: 'Paper title is required' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-Don't start with "This paper" - be direct.`;
-      } else {
-        titlePrompt = `Based on this physics paper title, write a single brief sentence (under 150 characters) describing what this research likely investigates. Be specific to physics. Title: "${title}"`;
-      }
+  // Claude-backed route - enforce per-user rate limit, only once the request is known to be valid
+  const rateLimit = await checkRateLimit(env, 'related', user.sub);
+  if (!rateLimit.allowed) {
+    return createRateLimitResponse(rateLimit.retryAfter);
+  }
 
-      const response = await fetch(CLAUDE_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: CLAUDE_MODEL,
-          max_tokens: 100,
-          messages: [{ role: 'user', content: titlePrompt }]
-        })
-      });
+  const searchOptions = { bypassCache: noCache === true };
 
-      if (response.ok) {
-        const data = await response.json();
-        const summary = data.content?.[0]?.text?.trim();
-        if (summary) {
-          return new Response(JSON.stringify({
-            summary: summary,
-            aiGenerated: true,
-            fromTitle: true
-          }), {
-            headers: { 'Content-Type': 'application/json' },
-          });
-        }
-      }
-    } catch (e) {
-      console.error('Title-only summarize error:', e);
-    }
+  try {
+    const result = mode === 'citing'
+      ? await findCitingPapers(env, user.token, paper, searchOptions)
+      : await findRelatedPapers(env, user.token, paper, Math.min(Math.max(parseInt(limit, 10) || 15, 1), 50), searchOptions);
 
-    return new Response(JSON.stringify({
-      summary: `Research on: ${title}`,
-      aiGenerated: false
-    }), {
+    return new Response(JSON.stringify(result), {
       headers: { 'Content-Type': 'application/json' },
     });
-  }
 
-  // Check if API key is configured
-  if (!env.ANTHROPIC_API_KEY) {
-    // Fallback to simple extraction
+  } catch (error) {
+    console.error('Related papers error:', error);
+
+    if (error.message === 'Unauthorized') {
+      return new Response(JSON.stringify({ error: 'Session expired. Please sign in again.' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
     return new Response(JSON.stringify({
-      summary: extractFirstSentences(abstract, 2),
-      aiGenerated: false
+      error: error.message === 'Citation lookup failed'
+        ? 'Could not look up citing papers right now. Please try again later.'
+        : 'Failed to find related papers. Please try again.'
     }), {
+      status: 502,
       headers: { 'Content-Type': 'application/json' },
     });
   }
+}
 
-  try {
-    let systemPrompt, userPrompt;
-
-    if (searchQuery) {
-      // Context-aware summary that explains relevance
-      systemPrompt = `You are a research assistant helping a physicist find relevant papers. Given a paper and a search query, write ONE sentence (max 200 chars) that:
-1. Summarizes the paper's key finding
-2. Naturally indicates why it's relevant to what the user is looking for
+/**
+ * Search for papers on the same topic - runs a search plan built from the paper,
+ * merges with overlap-boost ranking, then BM25 re-ranks against the paper's own text
+ */
+async function findRelatedPapers(env, accessToken, paper, limit, searchOptions) {
+  const plan = await planRelatedSearches(env, paper);
+  const searchResults = await runSearchPlan(env, accessToken, plan.searches, limit, 'relevance', searchOptions);
+  const searchesRun = searchResults.map(r => r.search);
 
-Don't start with "This paper" or "The authors". Be direct and specific.`;
+  // The article itself is always the best match for its own terms
+  const sourceDoi = (paper.doi || '').toLowerCase();
+  const ranked = rankByOverlap(searchResults).filter(p => !sourceDoi || (p.doi || '').toLowerCase() !== sourceDoi);
+  const bm25 = rerankWithBm25(ranked, `${paper.title} ${paper.abstract}`);
+  const results = bm25.papers.slice(0, 20);
 
-      userPrompt = `Search query: "${searchQuery}"
+  return {
+    query: paper.title,
+    source: { doi: paper.doi, title: paper.title },
+    aiAnalysis: {
+      mode: 'related',
+      interpretation: plan.interpretation,
+      concepts: plan.concepts,
+      searchesRun: searchesRun
+    },
+    ranking: withBm25Ranking({
+      method: 'overlap_boost',
+      overlapBonus: OVERLAP_BONUS,
+      totalSearches: searchesRun.length,
+      stats: {
+        totalUnique: ranked.length,
+        inMultipleSearches: ranked.filter(r => r.overlapCount > 1).length,
+        in3PlusSearches: ranked.filter(r => r.overlapCount > 2).length,
+        cacheHits: searchesRun.filter(s => s.cached).length
+      }
+    }, bm25),
+    total: results.length,
+    results: results
+  };
+}
 
-Paper title: ${title || 'Untitled'}
+/**
+ * Build 2-3 searches that find work on the paper's topic
+ * Claude picks the core topic, method and phenomenon; without it we fall back to title and abstract terms
+ */
+async function planRelatedSearches(env, paper) {
+  if (!env.ANTHROPIC_API_KEY) {
+    return fallbackRelatedPlan(paper);
+  }
 
-Abstract: ${abstract}
+  const systemPrompt = `You are a physics research search assistant for APS journals. Given a paper, write 2-3 keyword searches that would find OTHER papers on the same research question.
 
-Write a single summary sentence (under 200 chars) that captures the finding and its relevance:`;
-    } else {
-      // Standard summary without search context
-      systemPrompt = `You are a scientific paper summarizer. Given a paper's title and abstract, generate a single concise sentence (maximum 200 characters) that captures the key finding. Write for physicists. Be direct, factual, and brief. Never use more than one sentence.`;
+## Rules
+- One search for the core topic, one for the main method or technique, optionally one for the key phenomenon or system
+- Use specific physics terms from the paper, not generic words (study, results, novel, observation)
+- Preserve compound terms: "quantum entanglement", "Bose-Einstein condensate"
+- 2-5 words per search
+- weight 1.0-2.5 by how central the search is to the paper
 
-      userPrompt = `Title: ${title || 'Untitled'}\n\nAbstract: ${abstract}\n\nProvide a single-sentence summary (under 200 characters):`;
-    }
+Respond with valid JSON only:
+{
+  "interpretation": "One sentence on what the paper is about",
+  "concepts": ["concept1", "concept2"],
+  "searches": [
+    { "query": "search terms", "purpose": "brief label", "weight": 2.0 }
+  ]
+}`;
 
+  try {
     const response = await fetch(CLAUDE_API_URL, {
       method: 'POST',
       headers: {
@@ -1512,52 +4094,164 @@ Write a single summary sentence (under 200 chars) that captures the finding and
       },
       body: JSON.stringify({
         model: CLAUDE_MODEL,
-        max_tokens: 150,
+        max_tokens: 400,
         system: systemPrompt,
         messages: [
-          { role: 'user', content: userPrompt }
+          { role: 'user', content: `Title: ${paper.title || 'Unknown'}\nAbstract: ${paper.abstract || 'Not available'}` }
         ]
       })
     });
 
     if (!response.ok) {
-      console.error('Claude API error for summarize:', response.status);
-      return new Response(JSON.stringify({
-        summary: extractFirstSentences(abstract, 2),
-        aiGenerated: false
-      }), {
-        headers: { 'Content-Type': 'application/json' },
-      });
+      console.error('Claude API error:', response.status, await response.text());
+      return fallbackRelatedPlan(paper);
     }
 
     const data = await response.json();
-    const summary = data.content?.[0]?.text?.trim();
+    const jsonMatch = (data.content?.[0]?.text || '').match(/\{[\s\S]*\}/);
+    const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
 
-    if (!summary) {
-      return new Response(JSON.stringify({
-        summary: extractFirstSentences(abstract, 2),
-        aiGenerated: false
-      }), {
-        headers: { 'Content-Type': 'application/json' },
-      });
+    const searches = (parsed?.searches || []).filter(s => typeof s?.query === 'string' && s.query.trim());
+    if (searches.length === 0) {
+      console.error('Invalid related search plan:', parsed);
+      return fallbackRelatedPlan(paper);
     }
 
-    return new Response(JSON.stringify({
-      summary: summary,
-      aiGenerated: true
-    }), {
-      headers: { 'Content-Type': 'application/json' },
-    });
+    return {
+      interpretation: parsed.interpretation || `Related to: ${paper.title}`,
+      concepts: Array.isArray(parsed.concepts) ? parsed.concepts : [],
+      searches: searches.slice(0, 3).map(s => ({
+        query: sanitizeQuery(s.query),
+        purpose: s.purpose || 'related',
+        weight: Math.min(Math.max(s.weight || 1.0, 0.5), 2.5)
+      }))
+    };
 
   } catch (error) {
-    console.error('Summarize error:', error);
-    return new Response(JSON.stringify({
-      summary: extractFirstSentences(abstract, 2),
-      aiGenerated: false
-    }), {
-      headers: { 'Content-Type': 'application/json' },
+    console.error('Error planning related searches:', error);
+    return fallbackRelatedPlan(paper);
+  }
+}
+
+/**
+ * Searches from the paper's own words: its title terms, and the terms its abstract repeats most
+ */
+function fallbackRelatedPlan(paper) {
+  const keywords = text => (text || '').toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 2 && !QUERY_STOP_WORDS.has(w) && !/^\d+$/.test(w));
+
+  const titleTerms = [...new Set(keywords(paper.title))].slice(0, 6);
+
+  const counts = new Map();
+  for (const word of keywords(paper.abstract)) {
+    if (word.length > 3) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  // Map keeps first-appearance order, so ties go to the earlier term
+  const abstractTerms = [...counts.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 4)
+    .map(([word]) => word);
+
+  const searches = [];
+  if (titleTerms.length > 0) {
+    searches.push({ query: titleTerms.join(' '), purpose: 'title terms', weight: 2.0 });
+  }
+  if (abstractTerms.length >= 2) {
+    searches.push({ query: abstractTerms.join(' '), purpose: 'abstract terms', weight: 1.5 });
+  }
+  if (searches.length === 0) {
+    searches.push({ query: paper.title, purpose: 'title', weight: 1.0 });
+  }
+
+  return {
+    interpretation: `Related to: ${paper.title}`,
+    concepts: [...new Set([...titleTerms, ...abstractTerms])],
+    searches: searches
+  };
+}
+
+/**
+ * Look up the papers that cite this one in OpenCitations, then fetch the APS ones from Tesseract
+ * Citing papers outside APS journals are counted but not returned - Tesseract only indexes APS
+ */
+async function findCitingPapers(env, accessToken, paper, searchOptions) {
+  const citing = await fetchCitingDois(env, paper.doi);
+  const apsCiting = citing.filter(c => c.doi.startsWith('10.1103/'));
+
+  // Newest first - those are the ones a reader is least likely to know about
+  const wanted = apsCiting
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+    .slice(0, CITING_MAX_RESULTS);
+
+  let results = [];
+  let constraintsDropped = false;
+  let cached = false;
+  if (wanted.length > 0) {
+    const found = await callTesseractSearch(env, accessToken, { dois: wanted.map(c => c.doi) }, CITING_MAX_RESULTS, 'recent', searchOptions);
+    // Without the DOI clause the search returns arbitrary papers - report nothing rather than those
+    constraintsDropped = found.constraintsDropped === true;
+    cached = found.cached === true;
+    // DOIs are case-insensitive - Tesseract gets them as the index returned them, matching ignores case
+    const wantedDois = new Set(wanted.map(c => c.doi.toLowerCase()));
+    results = constraintsDropped
+      ? []
+      : (found.results || []).filter(p => wantedDois.has((p.doi || '').toLowerCase()));
+  }
+
+  return {
+    query: paper.title || paper.doi,
+    source: { doi: paper.doi, title: paper.title },
+    citing: {
+      total: citing.length,
+      aps: apsCiting.length,
+      requested: wanted.length,
+      found: results.length,
+      cached: cached,
+      constraintsDropped: constraintsDropped
+    },
+    ranking: { method: 'citation_date' },
+    total: results.length,
+    results: results
+  };
+}
+
+/**
+ * Fetch the DOIs citing a paper from the OpenCitations index
+ * Returns [{ doi, date }] with each DOI as the index returned it, deduplicated ignoring case;
+ * throws 'Citation lookup failed' when the index can't be reached
+ */
+async function fetchCitingDois(env, doi) {
+  const baseUrl = (env.CITATIONS_API_URL || OPENCITATIONS_API_URL).replace(/\/+$/, '');
+
+  let data;
+  try {
+    const response = await fetch(`${baseUrl}/citations/doi:${encodeURI(doi)}`, {
+      headers: { 'Accept': 'application/json' }
     });
+    if (!response.ok) {
+      console.error('OpenCitations error:', response.status, await response.text());
+      throw new Error('Citation lookup failed');
+    }
+    data = await response.json();
+  } catch (error) {
+    console.error('OpenCitations request failed:', error.message);
+    throw new Error('Citation lookup failed');
+  }
+
+  // Each row's "citing" field lists the citing work's ids, e.g. "omid:br/06... doi:10.1103/physrevb.1.1 openalex:W..."
+  const seen = new Map();
+  for (const row of Array.isArray(data) ? data : []) {
+    const match = (row?.citing || '').match(/(?:^|\s)doi:(\S+)/);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    if (!seen.has(key)) {
+      seen.set(key, { doi: match[1], date: row.creation || null });
+    }
   }
+  return [...seen.values()];
 }
 
 /**
@@ -1582,3 +4276,14 @@ function escapeHtml(text) {
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#039;');
 }
+
+// Internals exported for the unit tests in test/ - the Workers runtime only uses the default export
+export {
+  verifyAccessToken,
+  getSigningKey,
+  rerankWithBm25,
+  tokenizePhysicsText,
+  verifySynthesisGrounding,
+  findCitingPapers,
+  parseFieldedQuery
+};
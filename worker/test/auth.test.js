@@ -0,0 +1,225 @@
+// Sign-in flow against scripts/mock-oidc.js: /auth -> provider -> /auth/callback -> extension -> /auth/refresh
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import worker from '../src/index.js';
+
+const WORKER_URL = 'https://worker.test';
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const EXTENSION_REDIRECT = `https://${EXTENSION_ID}.chromiumapp.org/`;
+const MOCK_OIDC_SCRIPT = fileURLToPath(new URL('../scripts/mock-oidc.js', import.meta.url));
+
+let provider;
+let env;
+
+// Ask the OS for a free port, then release it for the mock provider
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the mock provider and wait for it to report that it is listening
+function startProvider(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [MOCK_OIDC_SCRIPT, String(port)], { stdio: ['ignore', 'pipe', 'inherit'] });
+    child.on('error', reject);
+    child.on('exit', code => reject(new Error(`mock-oidc exited with code ${code}`)));
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('listening')) resolve(child);
+    });
+  });
+}
+
+function callWorker(path, init = {}) {
+  return worker.fetch(new Request(`${WORKER_URL}${path}`, init), env, {});
+}
+
+// Set-Cookie headers as a name -> { value, attributes } map
+function readSetCookies(response) {
+  const cookies = {};
+  for (const header of response.headers.getSetCookie()) {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    const separator = pair.indexOf('=');
+    cookies[pair.substring(0, separator)] = { value: pair.substring(separator + 1), attributes };
+  }
+  return cookies;
+}
+
+// The tokens the callback hands to the extension in its redirect's fragment
+function readCallbackAuth(response) {
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get('Location'));
+  assert.equal(`${location.origin}${location.pathname}`, EXTENSION_REDIRECT);
+  assert.equal(location.search, '');
+  return Object.fromEntries(new URLSearchParams(location.hash.substring(1)));
+}
+
+// Run /auth and the provider's authorize step, stopping before the callback
+async function beginSignIn() {
+  const init = await callWorker(`/auth?redirect_uri=${encodeURIComponent(EXTENSION_REDIRECT)}`);
+  assert.equal(init.status, 302);
+  const cookies = readSetCookies(init);
+  const authorizeUrl = new URL(init.headers.get('Location'));
+
+  const authorize = await fetch(authorizeUrl, { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+  const callbackUrl = new URL(authorize.headers.get('Location'));
+
+  return {
+    authorizeUrl,
+    callbackUrl,
+    state: cookies.physchat_state,
+    verifier: cookies.physchat_pkce,
+    returnTo: cookies.physchat_return
+  };
+}
+
+function finishSignIn(callbackUrl, cookieHeader) {
+  const headers = cookieHeader ? { Cookie: cookieHeader } : {};
+  return callWorker(`${callbackUrl.pathname}${callbackUrl.search}`, { headers });
+}
+
+before(async () => {
+  const port = await findFreePort();
+  provider = await startProvider(port);
+  const issuer = `http://localhost:${port}`;
+  env = {
+    COGNITO_ISSUER: issuer,
+    COGNITO_AUTH_URL: `${issuer}/oauth2/authorize`,
+    COGNITO_TOKEN_URL: `${issuer}/oauth2/token`,
+    COGNITO_CLIENT_ID: 'physchat-test',
+    COGNITO_SCOPE: 'openid',
+    EXTENSION_IDS: EXTENSION_ID,
+    REFRESH_TOKEN_SECRET: 'test-refresh-secret'
+  };
+});
+
+after(() => {
+  provider.removeAllListeners('exit');
+  provider.kill();
+});
+
+test('state cookie and PKCE verifier round-trip through sign-in and refresh', async () => {
+  const { authorizeUrl, callbackUrl, state, verifier, returnTo } = await beginSignIn();
+
+  // The state and challenge sent to the provider come from the cookies set on /auth
+  assert.ok(state.attributes.includes('HttpOnly') && state.attributes.includes('Path=/auth'));
+  assert.equal(authorizeUrl.searchParams.get('state'), state.value);
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(
+    authorizeUrl.searchParams.get('code_challenge'),
+    createHash('sha256').update(verifier.value).digest('base64url')
+  );
+  assert.equal(authorizeUrl.searchParams.get('redirect_uri'), `${WORKER_URL}/auth/callback`);
+  assert.equal(callbackUrl.searchParams.get('state'), state.value);
+
+  const callback = await finishSignIn(callbackUrl, `physchat_state=${state.value}; physchat_pkce=${verifier.value}; physchat_return=${returnTo.value}`);
+  const auth = readCallbackAuth(callback);
+  assert.equal(auth.token.split('.').length, 3);
+  assert.ok(auth.refresh_token);
+  assert.equal(auth.expires_in, '3600');
+
+  // The issued token passes JWT verification against the provider's JWKS - a bad body gets past auth to a 400
+  const protectedCall = await callWorker('/chat', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${auth.token}` },
+    body: 'not json'
+  });
+  assert.equal(protectedCall.status, 400);
+
+  // The login cookies are single-use
+  const cleared = readSetCookies(callback);
+  assert.equal(cleared.physchat_state.value, '');
+  assert.ok(cleared.physchat_state.attributes.includes('Max-Age=0'));
+  assert.ok(cleared.physchat_pkce.attributes.includes('Max-Age=0'));
+  assert.ok(cleared.physchat_return.attributes.includes('Max-Age=0'));
+
+  const refresh = await callWorker('/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: auth.refresh_token })
+  });
+  assert.equal(refresh.status, 200);
+  const refreshed = await refresh.json();
+  assert.equal(refreshed.token.split('.').length, 3);
+});
+
+test('sign-in only returns to an extension redirect URL', async () => {
+  for (const redirect of [null, 'https://attacker.test/', `https://${EXTENSION_ID}.chromiumapp.org.attacker.test/`, `http://${EXTENSION_ID}.chromiumapp.org/`]) {
+    const query = redirect ? `?redirect_uri=${encodeURIComponent(redirect)}` : '';
+    const init = await callWorker(`/auth${query}`);
+    assert.equal(init.status, 400, String(redirect));
+    assert.equal(init.headers.getSetCookie().length, 0);
+  }
+
+  // EXTENSION_IDS limits sign-in to the listed extensions
+  const otherExtension = `https://${'p'.repeat(32)}.chromiumapp.org/`;
+  const allowList = { ...env, EXTENSION_IDS: `${EXTENSION_ID}, ${'b'.repeat(32)}` };
+  const rejected = await worker.fetch(new Request(`${WORKER_URL}/auth?redirect_uri=${encodeURIComponent(otherExtension)}`), allowList, {});
+  assert.equal(rejected.status, 400);
+  const accepted = await worker.fetch(new Request(`${WORKER_URL}/auth?redirect_uri=${encodeURIComponent(EXTENSION_REDIRECT)}`), allowList, {});
+  assert.equal(accepted.status, 302);
+});
+
+test('sign-in is refused for every extension when EXTENSION_IDS is unset', async () => {
+  const { EXTENSION_IDS, ...unlisted } = env;
+  for (const redirect of [EXTENSION_REDIRECT, `https://${'p'.repeat(32)}.chromiumapp.org/`]) {
+    const init = await worker.fetch(new Request(`${WORKER_URL}/auth?redirect_uri=${encodeURIComponent(redirect)}`), unlisted, {});
+    assert.equal(init.status, 400, redirect);
+    assert.equal(init.headers.getSetCookie().length, 0);
+  }
+});
+
+test('callback rejects a forged state', async () => {
+  const { callbackUrl, state, verifier, returnTo } = await beginSignIn();
+  callbackUrl.searchParams.set('state', 'f'.repeat(state.value.length));
+
+  const callback = await finishSignIn(callbackUrl, `physchat_state=${state.value}; physchat_pkce=${verifier.value}; physchat_return=${returnTo.value}`);
+  assert.equal(callback.status, 400);
+  assert.match(await callback.text(), /did not match this browser session/);
+});
+
+test('callback rejects a state whose cookie has expired', async () => {
+  const { callbackUrl } = await beginSignIn();
+
+  // After Max-Age the browser stops sending the login cookies
+  const callback = await finishSignIn(callbackUrl, null);
+  assert.equal(callback.status, 400);
+  assert.match(await callback.text(), /sign-in session expired/);
+});
+
+test('callback never hands tokens to a return URL swapped in after /auth', async () => {
+  const { callbackUrl, state, verifier } = await beginSignIn();
+  const forged = encodeURIComponent('https://attacker.test/');
+
+  const callback = await finishSignIn(callbackUrl, `physchat_state=${state.value}; physchat_pkce=${verifier.value}; physchat_return=${forged}`);
+  assert.equal(callback.status, 400);
+  assert.equal(callback.headers.get('Location'), null);
+});
+
+test('callback fails when the PKCE verifier does not match the challenge', async () => {
+  const { callbackUrl, state, returnTo } = await beginSignIn();
+
+  const callback = await finishSignIn(callbackUrl, `physchat_state=${state.value}; physchat_pkce=not-the-verifier; physchat_return=${returnTo.value}`);
+  assert.equal(callback.status, 400);
+  assert.match(await callback.text(), /authorization code was rejected/);
+});
+
+test('refresh rejects a tampered refresh token', async () => {
+  const refresh = await callWorker('/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' })
+  });
+  assert.equal(refresh.status, 401);
+});
@@ -0,0 +1,115 @@
+// BM25 re-ranking and the physics tokenizer it matches on
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rerankWithBm25, tokenizePhysicsText } from '../src/index.js';
+
+// Filler words that are not stop words, so every abstract can be padded to the same length
+const FILLER = ['lattice', 'sample', 'measurement', 'device', 'regime', 'crystal', 'probe', 'signal', 'field', 'domain', 'order', 'mode'];
+
+function abstractWith(term, count, length = 12) {
+  return [...Array(count).fill(term), ...FILLER.slice(0, length - count)].join(' ');
+}
+
+function scoreOf(result, doi) {
+  return result.papers.find(paper => paper.doi === doi).bm25Score;
+}
+
+test('term frequency saturates', () => {
+  const papers = [1, 2, 4, 8].map(count => ({ doi: `tf-${count}`, title: '', abstract: abstractWith('graphene', count) }));
+  papers.push({ doi: 'none', title: '', abstract: abstractWith('magnon', 1) });
+  const result = rerankWithBm25(papers, 'graphene');
+
+  const scores = [1, 2, 4, 8].map(count => scoreOf(result, `tf-${count}`));
+  assert.deepEqual(result.papers.map(paper => paper.doi), ['tf-8', 'tf-4', 'tf-2', 'tf-1', 'none']);
+
+  // Each doubling adds less, and no amount of repetition reaches k1 + 1 times a single mention
+  assert.ok(scores[1] - scores[0] > scores[2] - scores[1]);
+  assert.ok(scores[2] - scores[1] > scores[3] - scores[2]);
+  assert.ok(scores[3] < scores[0] * (result.stats.k1 + 1));
+  assert.equal(scoreOf(result, 'none'), 0);
+});
+
+test('rarer query terms weigh more', () => {
+  const papers = [
+    { doi: 'common-1', title: '', abstract: abstractWith('graphene', 1) },
+    { doi: 'common-2', title: '', abstract: abstractWith('graphene', 1) },
+    { doi: 'common-3', title: '', abstract: abstractWith('graphene', 1) },
+    { doi: 'rare', title: '', abstract: abstractWith('superconductivity', 1) }
+  ];
+  const result = rerankWithBm25(papers, 'graphene superconductivity');
+
+  assert.equal(result.papers[0].doi, 'rare');
+  assert.ok(scoreOf(result, 'rare') > scoreOf(result, 'common-1'));
+  assert.deepEqual(result.papers[0].bm25MatchedTerms, ['superconductivity']);
+  assert.deepEqual(result.stats.queryTerms, ['graphene', 'superconductivity']);
+  assert.equal(result.stats.matched, 4);
+});
+
+test('titles count more than abstracts', () => {
+  const papers = [
+    { doi: 'abstract', title: 'Electronic structure', abstract: 'Measurements on graphene samples.' },
+    { doi: 'title', title: 'Graphene structure', abstract: 'Electronic measurements on samples.' }
+  ];
+  const result = rerankWithBm25(papers, 'graphene');
+  assert.equal(result.papers[0].doi, 'title');
+});
+
+test('papers without an abstract are scored on their title', () => {
+  const papers = [
+    { doi: 'unrelated', title: 'Magnon transport', abstract: 'Spin waves in yttrium iron garnet.' },
+    { doi: 'no-abstract', title: 'Superconductivity in twisted bilayer graphene' },
+    { doi: 'empty', title: '', abstract: null }
+  ];
+  const result = rerankWithBm25(papers, 'twisted bilayer graphene');
+
+  assert.equal(result.papers[0].doi, 'no-abstract');
+  assert.ok(scoreOf(result, 'no-abstract') > 0);
+  assert.equal(scoreOf(result, 'empty'), 0);
+  for (const paper of result.papers) {
+    assert.ok(Number.isFinite(paper.bm25Score));
+  }
+});
+
+test('ties and non-matches keep their original order', () => {
+  const papers = ['a', 'b', 'c'].map(doi => ({ doi, title: 'Unrelated', abstract: 'Nothing to see.' }));
+  const result = rerankWithBm25(papers, 'graphene');
+  assert.deepEqual(result.papers.map(paper => paper.doi), ['a', 'b', 'c']);
+  assert.equal(result.stats.matched, 0);
+  assert.equal(result.stats.topScore, 0);
+});
+
+test('an empty result set is handled', () => {
+  const result = rerankWithBm25([], 'graphene');
+  assert.deepEqual(result.papers, []);
+  assert.equal(result.stats.avgDocLength, 0);
+});
+
+test('tokenizes physics text', () => {
+  const cases = [
+    ['hyphenated terms keep the compound and its parts', 'Spin-orbit coupling', ['spin-orbit', 'spin', 'orbit', 'coupling']],
+    ['single-letter parts of compounds are dropped', 'k-space x-ray', ['k-space', 'space', 'x-ray', 'ray']],
+    ['subscripts join their base', 'T_c and T_{N}', ['tc', 'tn']],
+    ['LaTeX and Unicode Greek become names', '\\alpha-RuCl3 and β phase', ['alpha', 'rucl3', 'beta', 'phase']],
+    ['MathML keeps its text', '<math><mi>T</mi><mi>c</mi></math> of <i>MoS</i><sub>2</sub>', ['tc', 'mos']],
+    ['formulas and alphanumerics stay whole', 'Monolayer MoS2 in 2D', ['monolayer', 'mos2', '2d']],
+    ['diacritics are folded', 'Schrödinger equation', ['schrodinger', 'equation']],
+    ['plain plurals are stemmed but physics is not', 'Physics of magnons and impurities', ['physics', 'magnon', 'impurity']],
+    ['stop words and bare numbers are dropped', 'the transition at 300 K', ['transition']],
+    ['missing text yields no tokens', undefined, []]
+  ];
+
+  for (const [name, text, expected] of cases) {
+    assert.deepEqual(tokenizePhysicsText(text), expected, name);
+  }
+});
+
+test('query symbols match the same physics written another way', () => {
+  const papers = [
+    { doi: 'other', title: 'Thermal conductivity of glasses' },
+    { doi: 'symbols', title: 'Raising T<sub>c</sub> in α-phase cuprates', abstract: '<math><mi>T</mi><mi>c</mi></math> rises with doping.' }
+  ];
+  const result = rerankWithBm25(papers, 'T_c alpha phase');
+  assert.equal(result.papers[0].doi, 'symbols');
+  assert.deepEqual(result.papers[0].bm25MatchedTerms, ['tc', 'alpha', 'phase']);
+});
@@ -0,0 +1,71 @@
+// Citing-paper lookup: OpenCitations DOIs -> Tesseract DOI search
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCitingPapers } from '../src/index.js';
+
+const env = {
+  TESSERACT_API_URL: 'https://tesseract.test/mcp',
+  CITATIONS_API_URL: 'https://opencitations.test/index/v2',
+  SEARCH_CACHE_TTL: '0'
+};
+
+// Route fetch to a fake OpenCitations index and Tesseract, recording the DOIs and sort Tesseract was asked for
+function mockServices(t, { citations, articles }) {
+  const originalFetch = globalThis.fetch;
+  const requested = [];
+  const sorts = [];
+  globalThis.fetch = async (url, init) => {
+    if (String(url).startsWith(env.CITATIONS_API_URL)) {
+      return Response.json(citations);
+    }
+    const args = JSON.parse(init.body).params.arguments;
+    requested.push(...JSON.stringify(args.clauses).match(/10\.1103\/[^"]+/g));
+    sorts.push(args.sort);
+    return Response.json({
+      jsonrpc: '2.0',
+      result: { content: [{ type: 'text', text: JSON.stringify({ total: articles.length, results: articles }) }] }
+    });
+  };
+  t.after(() => { globalThis.fetch = originalFetch; });
+  return { requested, sorts };
+}
+
+test('Tesseract gets DOIs as OpenCitations returned them, matched ignoring case', async (t) => {
+  const { requested, sorts } = mockServices(t, {
+    citations: [
+      { citing: 'omid:br/061 doi:10.1103/PhysRevB.101.045123 openalex:W1', creation: '2020-01-15' },
+      { citing: 'omid:br/062 doi:10.1103/physrevb.101.045123', creation: '2020-01-15' },
+      { citing: 'omid:br/063 doi:10.1103/PhysRevLett.125.117001', creation: '2020-09-10' },
+      { citing: 'omid:br/064 doi:10.1016/j.physc.2020.1353700', creation: '2020-05-01' },
+      { citing: 'omid:br/065 openalex:W5', creation: '2021-02-01' }
+    ],
+    articles: [
+      { title: 'Citing letter', doi: '10.1103/PhysRevLett.125.117001', journal: 'PRL', date: '2020-09-10' },
+      { title: 'Citing article', doi: '10.1103/physrevb.101.045123', journal: 'PRB', date: '2020-01-15' },
+      { title: 'Unrelated', doi: '10.1103/PhysRevB.99.000001', journal: 'PRB', date: '2019-01-01' }
+    ]
+  });
+
+  const result = await findCitingPapers(env, 'token', { doi: '10.1103/PhysRevB.90.000001', title: 'Cited paper' }, {});
+
+  assert.deepEqual(requested, ['10.1103/PhysRevLett.125.117001', '10.1103/PhysRevB.101.045123']);
+  assert.deepEqual(sorts, ['recent']);
+  assert.deepEqual(result.results.map(paper => paper.title), ['Citing letter', 'Citing article']);
+  assert.deepEqual(
+    { total: result.citing.total, aps: result.citing.aps, requested: result.citing.requested, found: result.citing.found },
+    { total: 3, aps: 2, requested: 2, found: 2 }
+  );
+});
+
+test('no APS citations means no Tesseract search', async (t) => {
+  const { requested } = mockServices(t, {
+    citations: [{ citing: 'doi:10.1016/j.physc.2020.1353700', creation: '2020-05-01' }],
+    articles: []
+  });
+
+  const result = await findCitingPapers(env, 'token', { doi: '10.1103/PhysRevB.90.000001', title: 'Cited paper' }, {});
+  assert.deepEqual(requested, []);
+  assert.equal(result.total, 0);
+  assert.equal(result.citing.total, 1);
+});
@@ -0,0 +1,100 @@
+// Lexical grounding check for synthesis claims
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifySynthesisGrounding } from '../src/index.js';
+
+const PAPERS = [
+  {
+    title: 'Superconductivity in twisted bilayer graphene',
+    abstract: 'We report unconventional superconductivity near the magic angle, with a critical temperature of 1.7 K.'
+  },
+  {
+    title: 'Magnon transport in yttrium iron garnet',
+    abstract: 'Spin waves propagate over millimetre distances in thin garnet films.'
+  }
+];
+
+function claim(text, citations, evidence) {
+  return evidence ? { text, citations, evidence } : { text, citations };
+}
+
+test('a claim backed by its cited abstract is supported', () => {
+  const result = verifySynthesisGrounding([
+    claim('Twisted bilayer graphene shows unconventional superconductivity near the magic angle.', [1])
+  ], PAPERS);
+
+  const [verified] = result.claims;
+  assert.equal(verified.status, 'supported');
+  assert.equal(verified.support, 1);
+  assert.deepEqual(verified.citations, [1]);
+  assert.equal(result.supported, 1);
+});
+
+test('a claim citing an abstract it shares no terms with is unsupported', () => {
+  const result = verifySynthesisGrounding([
+    claim('Twisted bilayer graphene shows unconventional superconductivity near the magic angle.', [2])
+  ], PAPERS);
+
+  const [verified] = result.claims;
+  assert.equal(verified.status, 'unsupported');
+  assert.equal(verified.support, 0);
+  assert.ok(verified.unmatchedTerms.includes('superconductivity'));
+  assert.equal(result.unsupported, 1);
+});
+
+test('a claim with no citation is flagged as uncited', () => {
+  const result = verifySynthesisGrounding([
+    claim('Spin waves propagate in garnet films.', []),
+    { text: 'Spin waves propagate in garnet films.' }
+  ], PAPERS);
+
+  for (const verified of result.claims) {
+    assert.equal(verified.status, 'uncited');
+    assert.deepEqual(verified.citations, []);
+    // Scored against every supplied paper, so the overlap is still reported
+    assert.equal(verified.support, 1);
+  }
+  assert.equal(result.uncited, 2);
+  assert.equal(result.supported, 0);
+});
+
+test('out-of-range citation indexes are reported and never count as support', () => {
+  const result = verifySynthesisGrounding([
+    claim('Twisted bilayer graphene superconducts near the magic angle.', [3]),
+    claim('Twisted bilayer graphene superconducts near the magic angle.', [0, 1, 7])
+  ], PAPERS);
+
+  const [onlyInvalid, mixed] = result.claims;
+  assert.equal(onlyInvalid.status, 'unsupported');
+  assert.deepEqual(onlyInvalid.citations, []);
+  assert.deepEqual(onlyInvalid.invalidCitations, [3]);
+
+  // The valid citation is kept and checked on its own
+  assert.deepEqual(mixed.citations, [1]);
+  assert.deepEqual(mixed.invalidCitations, [0, 7]);
+  assert.equal(mixed.status, 'supported');
+
+  assert.deepEqual(result.invalidCitations, [3, 0, 7]);
+});
+
+test('evidence quotes must appear in the paper they name', () => {
+  const result = verifySynthesisGrounding([
+    claim('Twisted bilayer graphene superconducts near the magic angle.', [1], [
+      { paper: 1, quote: 'Unconventional superconductivity near the magic angle.' },
+      { paper: 2, quote: 'unconventional superconductivity near the magic angle' },
+      { paper: 5, quote: 'critical temperature' }
+    ]),
+    claim('Twisted bilayer graphene superconducts near the magic angle.', [1], [
+      { paper: 1, quote: 'superconductivity appears at room temperature' }
+    ])
+  ], PAPERS);
+
+  const [quoted, misquoted] = result.claims;
+  assert.deepEqual(quoted.evidence.map(e => e.found), [true, false, false]);
+  assert.equal(quoted.status, 'supported');
+
+  // Enough overlap, but none of its quotes could be found
+  assert.equal(misquoted.status, 'weak');
+  assert.equal(result.quotesNotFound, 3);
+});
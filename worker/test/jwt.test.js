@@ -0,0 +1,161 @@
+// JWT verification: verifyAccessToken and getSigningKey against a generated RS256 key
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyAccessToken, getSigningKey } from '../src/index.js';
+
+const ISSUER = 'https://cognito-idp.test/pool';
+const CLIENT_ID = 'physchat-test';
+const KEY_ID = 'test-key';
+
+let privateKey;
+let publicJwk;
+let env;
+
+function base64Url(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(value);
+  return Buffer.from(bytes).toString('base64url');
+}
+
+async function signToken(claims, header = {}) {
+  const encodedHeader = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID, ...header }));
+  const encodedClaims = base64Url(JSON.stringify(claims));
+  const signature = await crypto.subtle.sign(
+    'RSASSA-PKCS1-v1_5',
+    privateKey,
+    new TextEncoder().encode(`${encodedHeader}.${encodedClaims}`)
+  );
+  return `${encodedHeader}.${encodedClaims}.${base64Url(signature)}`;
+}
+
+function accessClaims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: ISSUER,
+    sub: 'user-1',
+    client_id: CLIENT_ID,
+    token_use: 'access',
+    iat: now,
+    exp: now + 3600,
+    ...overrides
+  };
+}
+
+before(async () => {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  privateKey = keyPair.privateKey;
+  publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  env = {
+    COGNITO_ISSUER: ISSUER,
+    COGNITO_CLIENT_ID: CLIENT_ID,
+    COGNITO_JWKS: JSON.stringify({ keys: [{ ...publicJwk, kid: KEY_ID, use: 'sig' }] })
+  };
+});
+
+test('accepts a valid access token', async () => {
+  const result = await verifyAccessToken(env, await signToken(accessClaims()));
+  assert.equal(result.valid, true);
+  assert.equal(result.claims.sub, 'user-1');
+});
+
+test('rejects invalid tokens with a reason code', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const cases = [
+    { name: 'wrong issuer', claims: { iss: 'https://cognito-idp.test/other-pool' }, reason: 'invalid_issuer' },
+    { name: 'expired', claims: { exp: now - 600 }, reason: 'token_expired' },
+    { name: 'missing expiry', claims: { exp: undefined }, reason: 'token_expired' },
+    { name: 'not yet valid', claims: { nbf: now + 600 }, reason: 'token_not_yet_valid' },
+    { name: 'id token', claims: { token_use: 'id' }, reason: 'invalid_token_use' },
+    { name: 'other client', claims: { client_id: 'someone-else' }, reason: 'invalid_audience' },
+    { name: 'no subject', claims: { sub: undefined }, reason: 'malformed_token' },
+    { name: 'unknown kid', header: { kid: 'rotated-away' }, reason: 'unknown_key' }
+  ];
+
+  for (const { name, claims = {}, header, reason } of cases) {
+    const result = await verifyAccessToken(env, await signToken(accessClaims(claims), header));
+    assert.deepEqual(result, { valid: false, reason }, name);
+  }
+});
+
+test('accepts an ID token audience and a token within the clock skew', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = accessClaims({ client_id: undefined, token_use: undefined, aud: CLIENT_ID, exp: now - 30 });
+  const result = await verifyAccessToken(env, await signToken(claims));
+  assert.equal(result.valid, true);
+});
+
+test('rejects alg none, other algorithms and forged signatures', async () => {
+  const claims = base64Url(JSON.stringify(accessClaims()));
+
+  const unsigned = `${base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${claims}.`;
+  assert.deepEqual(await verifyAccessToken(env, unsigned), { valid: false, reason: 'unsupported_algorithm' });
+
+  const hmac = `${base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: KEY_ID }))}.${claims}.c2lnbmF0dXJl`;
+  assert.deepEqual(await verifyAccessToken(env, hmac), { valid: false, reason: 'unsupported_algorithm' });
+
+  // A valid signature over different claims
+  const [header, , signature] = (await signToken(accessClaims())).split('.');
+  const tampered = `${header}.${base64Url(JSON.stringify(accessClaims({ sub: 'admin' })))}.${signature}`;
+  assert.deepEqual(await verifyAccessToken(env, tampered), { valid: false, reason: 'invalid_signature' });
+});
+
+test('rejects malformed tokens', async () => {
+  for (const token of ['', 'abc', 'a.b', 'a.b.c', '!!!.???.sig']) {
+    assert.deepEqual(await verifyAccessToken(env, token), { valid: false, reason: 'malformed_token' }, token);
+  }
+});
+
+test('rejects every token when no issuer is configured', async () => {
+  const result = await verifyAccessToken({ ...env, COGNITO_ISSUER: '' }, await signToken(accessClaims()));
+  assert.deepEqual(result, { valid: false, reason: 'auth_not_configured' });
+});
+
+test('getSigningKey reads the inline COGNITO_JWKS override', async () => {
+  assert.ok(await getSigningKey(env, KEY_ID));
+  assert.equal(await getSigningKey(env, 'rotated-away'), null);
+
+  // Encryption keys in the set are ignored
+  const encryptionOnly = { ...env, COGNITO_JWKS: { keys: [{ ...publicJwk, kid: 'enc-key', use: 'enc' }] } };
+  assert.equal(await getSigningKey(encryptionOnly, 'enc-key'), null);
+});
+
+test('getSigningKey fetches and caches the issuer JWKS', async (t) => {
+  const originalFetch = globalThis.fetch;
+  const fetched = [];
+  globalThis.fetch = async (url) => {
+    fetched.push(String(url));
+    return new Response(JSON.stringify({ keys: [{ ...publicJwk, kid: KEY_ID }] }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  const remoteEnv = { COGNITO_ISSUER: ISSUER, COGNITO_CLIENT_ID: CLIENT_ID };
+  assert.ok(await getSigningKey(remoteEnv, KEY_ID));
+  assert.deepEqual(fetched, [`${ISSUER}/.well-known/jwks.json`]);
+
+  // Known kids come from the cache, and unknown kids don't refetch within the refetch interval
+  assert.ok(await getSigningKey(remoteEnv, KEY_ID));
+  assert.equal(await getSigningKey(remoteEnv, 'rotated-away'), null);
+  assert.equal(fetched.length, 1);
+
+  const result = await verifyAccessToken(remoteEnv, await signToken(accessClaims()));
+  assert.equal(result.valid, true);
+  assert.equal(fetched.length, 1);
+});
+
+test('an unreachable JWKS is reported rather than treated as an unknown key', async (t) => {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response('unavailable', { status: 503 });
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  const result = await verifyAccessToken(
+    { COGNITO_ISSUER: ISSUER, COGNITO_JWKS_URL: 'https://keys.test/unreachable.json' },
+    await signToken(accessClaims())
+  );
+  assert.deepEqual(result, { valid: false, reason: 'jwks_unavailable' });
+});
@@ -0,0 +1,188 @@
+// Fielded query syntax: the shared tokenizer and the worker's parseFieldedQuery
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PhysChatQuerySyntax from '../../extension/query-syntax.js';
+import worker, { parseFieldedQuery } from '../src/index.js';
+
+// The parse as it goes over the wire - unset filters are undefined and drop out
+function parse(query) {
+  return JSON.parse(JSON.stringify(parseFieldedQuery(query)));
+}
+
+test('parses fielded queries', () => {
+  const cases = [
+    {
+      name: 'plain text is left alone',
+      query: 'twisted bilayer graphene',
+      expected: { fielded: false, text: 'twisted bilayer graphene', clauses: [] }
+    },
+    {
+      name: 'unknown field prefixes stay text',
+      query: 'foo:bar ratio 3:1',
+      expected: { fielded: false, text: 'foo:bar ratio 3:1', clauses: [] }
+    },
+    {
+      name: 'field prefixes become clauses',
+      query: 'author:Weinberg title:graphene abstract:"spin liquid"',
+      expected: {
+        fielded: true,
+        text: '',
+        clauses: [
+          { operator: 'AND', field: 'author', value: 'Weinberg' },
+          { operator: 'AND', field: 'title', value: 'graphene' },
+          { operator: 'AND', field: 'abstract', value: 'spin liquid' }
+        ]
+      }
+    },
+    {
+      name: 'field names ignore case',
+      query: 'AUTHOR:Smith',
+      expected: { fielded: true, text: '', clauses: [{ operator: 'AND', field: 'author', value: 'Smith' }] }
+    },
+    {
+      name: 'quoted phrases stay quoted in the text',
+      query: '"quantum Hall effect" graphene',
+      expected: { fielded: true, text: '"quantum Hall effect" graphene', clauses: [] }
+    },
+    {
+      name: 'exclusions become NOT clauses',
+      query: 'graphene -bilayer -author:Smith -"twisted bilayer"',
+      expected: {
+        fielded: true,
+        text: 'graphene',
+        clauses: [
+          { operator: 'NOT', field: 'all', value: 'bilayer' },
+          { operator: 'NOT', field: 'author', value: 'Smith' },
+          { operator: 'NOT', field: 'all', value: '"twisted bilayer"' }
+        ]
+      }
+    },
+    {
+      name: 'a lone dash is text',
+      query: 'x - y',
+      expected: { fielded: false, text: 'x - y', clauses: [] }
+    },
+    {
+      name: 'empty phrases are dropped',
+      query: '"" graphene',
+      expected: { fielded: false, text: 'graphene', clauses: [] }
+    },
+    {
+      name: 'journal, type, doi and year become filters',
+      query: 'journal:"Physical Review Letters" type:reviews doi:10.1103/PhysRevLett.19.1264 year:2019..2023',
+      expected: {
+        fielded: true,
+        text: '',
+        clauses: [],
+        journals: ['PRL'],
+        articleTypes: ['review'],
+        dois: ['10.1103/PhysRevLett.19.1264'],
+        dateRange: { start: '2019-01-01', end: '2023-12-31' }
+      }
+    },
+    {
+      name: 'excluded journals and types become NOT clauses',
+      query: 'graphene -journal:PRB -type:review',
+      expected: {
+        fielded: true,
+        text: 'graphene',
+        clauses: [
+          { operator: 'NOT', field: 'journal', value: 'PRB' },
+          { operator: 'NOT', field: 'article_type', value: 'review' }
+        ]
+      }
+    },
+    {
+      name: 'single year',
+      query: 'graphene year:2020',
+      expected: { fielded: true, text: 'graphene', clauses: [], dateRange: { start: '2020-01-01', end: '2020-12-31' } }
+    },
+    {
+      name: 'open-ended years',
+      query: 'graphene year:..2018',
+      expected: { fielded: true, text: 'graphene', clauses: [], dateRange: { end: '2018-12-31' } }
+    }
+  ];
+
+  for (const { name, query, expected } of cases) {
+    assert.deepEqual(parse(query), expected, name);
+  }
+});
+
+test('rejects malformed queries with a message', () => {
+  const cases = [
+    { name: 'unterminated quote', query: 'title:"spin liquid', error: /^Unclosed quote in title:"spin liquid/ },
+    { name: 'unterminated bare phrase', query: 'graphene "spin', error: /^Unclosed quote/ },
+    { name: 'field without a value', query: 'author: Weinberg', error: /^author: needs a value, e.g. author:"Weinberg"/ },
+    { name: 'field with an empty phrase', query: 'title:"" graphene', error: /^title: needs a value/ },
+    { name: 'unknown journal', query: 'journal:XYZ graphene', error: /^Unknown journal "XYZ"/ },
+    { name: 'unknown article type', query: 'type:letter graphene', error: /^Unknown article type "letter"/ },
+    { name: 'not a DOI', query: 'doi:12345', error: /is not a DOI/ },
+    { name: 'unreadable year', query: 'graphene year:recent', error: /^Can't read year:recent/ },
+    { name: 'backwards years', query: 'graphene year:2023..2019', error: /ends before it starts/ },
+    { name: 'two years', query: 'graphene year:2019 year:2020', error: /^Only one year: is allowed/ },
+    { name: 'excluded year', query: 'graphene -year:2019', error: /can't be excluded/ },
+    { name: 'only exclusions', query: '-graphene year:2020', error: /^Add something to search for/ }
+  ];
+
+  for (const { name, query, error } of cases) {
+    const result = parseFieldedQuery(query);
+    assert.ok(result.error, name);
+    assert.match(result.error, error, name);
+  }
+});
+
+test('tokenizer reports where each term is and what is wrong with it', () => {
+  const query = '-author:"Weinberg" x:y title: "open';
+  const terms = PhysChatQuerySyntax.tokenize(query).map(t => ({ text: query.substring(t.start, t.end), ...t }));
+
+  assert.deepEqual(terms.map(t => t.text), ['-author:"Weinberg"', 'x:y', 'title:', '"open']);
+  assert.deepEqual(terms.map(t => [t.negate, t.field, t.value, t.phrase, t.problem]), [
+    [true, 'author', 'Weinberg', true, null],
+    [false, null, 'x:y', false, null],
+    [false, 'title', '', false, 'missing_value'],
+    [false, null, 'open', true, 'unclosed_quote']
+  ]);
+});
+
+// POST /search as a signed-in user - the token is checked against an inline key set
+async function postSearch(body) {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+  const env = {
+    COGNITO_ISSUER: 'https://cognito-idp.test/pool',
+    COGNITO_CLIENT_ID: 'physchat-test',
+    COGNITO_JWKS: JSON.stringify({ keys: [{ ...jwk, kid: 'test-key', use: 'sig' }] })
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT', kid: 'test-key' })}.${encode({
+    iss: env.COGNITO_ISSUER, sub: 'user-1', client_id: env.COGNITO_CLIENT_ID, token_use: 'access', iat: now, exp: now + 3600
+  })}`;
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, new TextEncoder().encode(unsigned));
+
+  return worker.fetch(new Request('https://worker.test/search', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${unsigned}.${Buffer.from(signature).toString('base64url')}` },
+    body: JSON.stringify(body)
+  }), env, {});
+}
+
+test('search refuses more clauses than Tesseract takes instead of dropping some', async (t) => {
+  // Nothing may reach Tesseract
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => assert.fail('Tesseract was called');
+  t.after(() => { globalThis.fetch = originalFetch; });
+
+  const clauses = Array.from({ length: 18 }, (_, i) => ({ operator: 'AND', field: 'title', value: `term${i}` }));
+  const response = await postSearch({ query: 'author:Weinberg title:graphene -abstract:review', clauses });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /^Too many field terms - at most 20 are allowed/);
+});